@@ -10,73 +10,213 @@
  * governing permissions and limitations under the License.
  */
 /* eslint-disable no-console */
+/* eslint-disable no-await-in-loop */
+
+import { checkApiKeyExpiry } from './key-expiry.js';
+import { recordTickSummary } from './tick-summary.js';
+/* eslint-disable import/no-relative-packages */
+import {
+  MISSED_GRACE_MS,
+  catchUpAction,
+  readCatchUpPolicy,
+  recordMissedEntries,
+  settleMissedEntries,
+} from '../../shared/catch-up-policy.js';
+import { isInFlight, markInFlight } from '../../shared/in-flight.js';
+import { getKillSwitch } from '../../shared/kill-switch.js';
+import { createPublishMessage } from '../../shared/publish-message.js';
+import {
+  isCoordinatedSite,
+  listScheduledSites,
+  migrateLegacySchedule,
+  readSiteSchedule,
+} from '../../shared/schedule-store.js';
+import { getSitePause } from '../../shared/site-pause.js';
+/* eslint-enable import/no-relative-packages */
 
 const LOOKAHEAD_MS = 5 * 60 * 1000; // 5 minutes in milliseconds
 
 /**
- * Read the scheduled.json file from R2 and return snapshots due for publishing
+ * Read the schedule of every site listed in the schedule index and return the
+ * snapshots due for publishing. Entries whose message is still in flight from
+ * an earlier tick are skipped. Entries that were missed (e.g. while the worker
+ * was down) are handled according to the catch-up policy of their site, and
+ * the ones skipped or held are recorded in `missed/YYYY-MM-DD.json`.
  * @param {Object} env - The environment object
  * @returns {Array} Array of snapshots to be published
  */
 async function getScheduledSnapshots(env) {
-  const scheduleData = await env.R2_BUCKET.get('schedule.json');
-  if (!scheduleData) {
+  const orgSiteKeys = await listScheduledSites(env);
+  if (orgSiteKeys.length === 0) {
     console.log('No schedule data found');
     return [];
   }
 
-  const schedule = await scheduleData.json();
   const now = Date.now();
   const lookaheadEnd = now + LOOKAHEAD_MS;
   const snapshotsToPublish = [];
+  const missedRecords = [];
 
   // Iterate through all org-site combinations
-  for (const [orgSiteKey, snapshots] of Object.entries(schedule)) {
+  for (const orgSiteKey of orgSiteKeys) {
     const [org, site] = orgSiteKey.split('--');
     if (!org || !site) {
       console.warn(`Invalid org-site key: ${orgSiteKey}`);
       // eslint-disable-next-line no-continue
       continue;
     }
+    // The schedule coordinator of the site queues its entries with an alarm
+    if (isCoordinatedSite(env, orgSiteKey)) {
+      console.log(`Skipping ${orgSiteKey}, its entries are queued by its schedule coordinator`);
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+    if (await getSitePause(env, org, site)) {
+      console.log(`Skipping ${orgSiteKey}, scheduled publishing is paused`);
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+    const snapshots = await readSiteSchedule(env, org, site);
 
-    // Check each snapshot/page for this org-site
-    for (const [path, snapshotData] of Object.entries(snapshots)) {
+    // Check each snapshot/page for this org-site. A path holds a single entry,
+    // or an array of entries when several actions are scheduled for it.
+    const entries = Object.entries(snapshots).flatMap(([path, value]) => (
+      Array.isArray(value) ? value : [value]).map((snapshotData) => [path, snapshotData]));
+    let policy;
+    const missed = [];
+    for (const [path, snapshotData] of entries) {
+      // Failed and held entries stay in the schedule for authors to see until
+      // they are re-scheduled or replayed
+      if (snapshotData.status === 'failed' || snapshotData.status === 'held') {
+        console.log(`Skipping ${snapshotData.status} entry ${path} for ${orgSiteKey}`);
+        // eslint-disable-next-line no-continue
+        continue;
+      }
       try {
-        const {
-          scheduledPublish: scheduledPublishStr,
-          approved = false,
-          type = 'snapshot',
-          userId = null,
-        } = snapshotData;
-        const scheduledPublish = new Date(scheduledPublishStr).getTime();
+        const scheduledPublish = new Date(snapshotData.scheduledPublish).getTime();
         // Check if this entry is due to be published in the next 5 minutes
         if (scheduledPublish <= lookaheadEnd) {
-          const delaySeconds = Math.max(0, Math.ceil((scheduledPublish - now) / 1000));
-          snapshotsToPublish.push({
-            org,
-            site,
-            path,
-            scheduledPublish: scheduledPublishStr,
-            approved,
-            type,
-            userId,
-            delaySeconds, // Ensure non-negative delay
-          });
-
-          console.log(`Scheduling ${type} ${path} for ${org}/${site} with ${delaySeconds}s delay`);
+          const snapshot = createPublishMessage(org, site, path, snapshotData, now);
+          if (await isInFlight(env, snapshot)) {
+            console.log(`Skipping ${snapshot.type} ${path} for ${orgSiteKey}, already queued`);
+            // eslint-disable-next-line no-continue
+            continue;
+          }
+          const overdueMs = now - scheduledPublish;
+          if (overdueMs > MISSED_GRACE_MS) {
+            policy ??= await readCatchUpPolicy(env, org, site);
+            const action = catchUpAction(policy, overdueMs);
+            if (action !== 'publish') {
+              console.log(`Missed ${snapshot.type} ${path} for ${orgSiteKey}: ${action} (${policy.value})`);
+              missed.push({ snapshot, action });
+              // eslint-disable-next-line no-continue
+              continue;
+            }
+          }
+          snapshotsToPublish.push(snapshot);
+          console.log(`Scheduling ${snapshot.type} ${path} for ${org}/${site} with ${snapshot.delaySeconds}s delay`);
         }
       } catch (err) {
         console.error(`Invalid scheduled publish date for ${orgSiteKey}/${path}:`, snapshotData, err);
       }
     }
+
+    if (missed.length > 0 && await settleMissedEntries(env, org, site, missed, now)) {
+      missedRecords.push(...missed.map(({ snapshot, action }) => ({
+        org,
+        site,
+        path: snapshot.path,
+        type: snapshot.type,
+        scheduledPublish: snapshot.scheduledPublish,
+        policy: policy.value,
+        action,
+      })));
+    }
   }
 
+  await recordMissedEntries(env, missedRecords, now);
   return snapshotsToPublish;
 }
 
+const SEND_BATCH_SIZE = 100; // Cloudflare Queues accept up to 100 messages per sendBatch
+const SEND_ATTEMPTS = 3;
+const SEND_RETRY_DELAY_MS = 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+// Send a chunk of messages, retrying with an exponential backoff
+async function sendChunk(env, chunk) {
+  const retryDelayMs = env.SEND_RETRY_DELAY_MS ?? SEND_RETRY_DELAY_MS;
+  for (let attempt = 1; attempt <= SEND_ATTEMPTS; attempt += 1) {
+    try {
+      await env.PUBLISH_QUEUE.sendBatch(chunk.map((snapshot) => ({
+        body: snapshot,
+        delaySeconds: snapshot.delaySeconds,
+      })));
+      return true;
+    } catch (error) {
+      console.warn(`Failed to queue a batch of ${chunk.length} entries (attempt ${attempt}):`, error.message);
+      if (attempt < SEND_ATTEMPTS) await sleep(retryDelayMs * 2 ** (attempt - 1));
+    }
+  }
+  return false;
+}
+
+/**
+ * Queue the snapshots for publishing with their delay, in `sendBatch` calls
+ * of up to 100 messages
+ * @param {Object} env - The environment object
+ * @param {Array} snapshots - The publish messages
+ * @returns {Promise<Array>} Array of {snapshot, success}
+ */
+async function queueSnapshots(env, snapshots) {
+  const results = [];
+  for (let i = 0; i < snapshots.length; i += SEND_BATCH_SIZE) {
+    const chunk = snapshots.slice(i, i + SEND_BATCH_SIZE);
+    const success = await sendChunk(env, chunk);
+    for (const snapshot of chunk) {
+      if (success) {
+        await markInFlight(env, snapshot);
+        console.log(`Queued ${snapshot.type} ${snapshot.path} for ${snapshot.org}/${snapshot.site} with ${snapshot.delaySeconds}s delay`);
+      } else {
+        console.error(`Failed to queue ${snapshot.type} ${snapshot.path} for ${snapshot.org}/${snapshot.site}`);
+      }
+      results.push({ snapshot, success });
+    }
+  }
+  return results;
+}
+
+// Daily trigger of the API key expiry check, see wrangler.toml
+export const API_KEY_EXPIRY_CRON = '0 6 * * *';
+
 export default {
   async scheduled(controller, env) {
+    if (controller?.cron === API_KEY_EXPIRY_CRON) {
+      try {
+        const report = await checkApiKeyExpiry(env);
+        console.log(`Checked ${report.checked} API keys, ${report.keys.length} expire soon or expired`);
+        return true;
+      } catch (error) {
+        console.error('Error checking API key expiry:', error);
+        return false;
+      }
+    }
+
     try {
+      const killSwitch = await getKillSwitch(env);
+      if (killSwitch) {
+        console.log(`Kill switch is on since ${killSwitch.enabledAt}, not queueing any entries`);
+        return true;
+      }
+
+      // Move a schedule.json left by an earlier version into per-site objects
+      await migrateLegacySchedule(env);
+
       // Get snapshots scheduled for publishing in the next 5 minutes
       const snapshotsToPublish = await getScheduledSnapshots(env);
       if (snapshotsToPublish.length === 0) {
@@ -84,23 +224,9 @@ export default {
         return true;
       }
       console.log(`Found ${snapshotsToPublish.length} entries to schedule for publishing`);
-      // Queue each snapshot for publishing with the appropriate delay
-      const queuePromises = snapshotsToPublish.map(async (snapshot) => {
-        try {
-          await env.PUBLISH_QUEUE.send(snapshot, {
-            delaySeconds: snapshot.delaySeconds,
-          });
-          console.log(`Queued ${snapshot.type} ${snapshot.path} for ${snapshot.org}/${snapshot.site} with ${snapshot.delaySeconds}s delay`);
-          return { success: true, snapshot };
-        } catch (error) {
-          console.error(`Failed to queue ${snapshot.type} ${snapshot.path} for ${snapshot.org}/${snapshot.site}:`, error);
-          return { success: false, snapshot, error };
-        }
-      });
-
-      const results = await Promise.all(queuePromises);
-      const successCount = results.filter((r) => r.success).length;
-      console.log(`Successfully queued ${successCount}/${snapshotsToPublish.length} entries for publishing`);
+      const results = await queueSnapshots(env, snapshotsToPublish);
+      const summary = await recordTickSummary(env, results);
+      console.log(`Successfully queued ${summary.queued}/${snapshotsToPublish.length} entries for publishing`);
       return true;
     } catch (error) {
       console.error('Error in scheduled function:', error);
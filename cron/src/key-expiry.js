@@ -0,0 +1,98 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+/* eslint-disable no-await-in-loop */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WARNING_DAYS = 14;
+
+// Keep in sync with the register worker, which stores these keys
+const API_KEY_SUFFIXES = ['--apiKey', '--nextApiKey'];
+
+/**
+ * Read the API keys stored in KV with the metadata saved when they were
+ * registered. Values are not read: `list` returns the metadata.
+ * @param {Object} env - The environment object
+ * @returns {Promise<Array<Object>>} `{ org, site, key, metadata }`
+ */
+export async function listApiKeys(env) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.SCHEDULER_KV.list({ cursor });
+    for (const { name, metadata } of page.keys) {
+      const suffix = API_KEY_SUFFIXES.find((candidate) => name.endsWith(candidate));
+      const [org, site] = name.split('--');
+      // enqueued, history and other keys share the namespace
+      if (suffix && name === `${org}--${site}${suffix}`) {
+        keys.push({
+          org, site, key: suffix.slice(2), metadata: metadata || {},
+        });
+      }
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+/**
+ * Write `reports/api-keys-YYYY-MM-DD.json` to R2, listing the API keys that
+ * expire within `API_KEY_EXPIRY_WARNING_DAYS` days (default 14) or already
+ * expired, and the keys registered without a known expiry
+ * @param {Object} env - The environment object
+ * @param {number} now - When the check ran, in milliseconds
+ * @returns {Promise<Object>} The report
+ */
+export async function checkApiKeyExpiry(env, now = Date.now()) {
+  const warningDays = Number(env.API_KEY_EXPIRY_WARNING_DAYS) || DEFAULT_WARNING_DAYS;
+  const apiKeys = await listApiKeys(env);
+
+  const keys = [];
+  const withoutExpiry = [];
+  for (const {
+    org, site, key, metadata,
+  } of apiKeys) {
+    const expiresAt = metadata.expiresAt ? new Date(metadata.expiresAt).getTime() : NaN;
+    if (Number.isNaN(expiresAt)) {
+      withoutExpiry.push({ org, site, key });
+    } else {
+      const daysLeft = Math.floor((expiresAt - now) / DAY_MS);
+      if (daysLeft < warningDays) {
+        keys.push({
+          org,
+          site,
+          key,
+          expiresAt: metadata.expiresAt,
+          daysLeft,
+          status: expiresAt <= now ? 'expired' : 'expiring',
+        });
+      }
+    }
+  }
+  keys.sort((a, b) => a.daysLeft - b.daysLeft);
+
+  const report = {
+    generatedAt: new Date(now).toISOString(),
+    warningDays,
+    checked: apiKeys.length,
+    keys,
+    withoutExpiry,
+  };
+  const fileName = `reports/api-keys-${report.generatedAt.split('T')[0]}.json`;
+  await env.R2_BUCKET.put(fileName, JSON.stringify(report, null, 2));
+  for (const {
+    org, site, key, status, daysLeft,
+  } of keys) {
+    console.warn(`${key} of ${org}/${site} is ${status} (${daysLeft} days left)`);
+  }
+  return report;
+}
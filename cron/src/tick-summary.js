@@ -0,0 +1,59 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+
+/**
+ * Count the entries a tick queued and failed to queue, per org/site
+ * @param {Array} results - Array of {snapshot, success}
+ * @returns {Object} `{ "<org>--<site>": { queued, failed } }`
+ */
+export function summarizeBySite(results) {
+  const sites = {};
+  for (const { snapshot, success } of results) {
+    const orgSiteKey = `${snapshot.org}--${snapshot.site}`;
+    sites[orgSiteKey] ??= { queued: 0, failed: 0 };
+    sites[orgSiteKey][success ? 'queued' : 'failed'] += 1;
+  }
+  return sites;
+}
+
+/**
+ * Append the summary of a tick to `ticks/YYYY-MM-DD.json` in R2, for the
+ * operations team to see what each tick queued
+ * @param {Object} env - The environment object
+ * @param {Array} results - Array of {snapshot, success}
+ * @param {number} now - When the tick ran, in milliseconds
+ * @returns {Promise<Object>} The summary
+ */
+export async function recordTickSummary(env, results, now = Date.now()) {
+  const sites = summarizeBySite(results);
+  const summary = {
+    tickAt: new Date(now).toISOString(),
+    queued: results.filter((result) => result.success).length,
+    failed: results.filter((result) => !result.success).length,
+    sites,
+  };
+
+  const fileName = `ticks/${summary.tickAt.split('T')[0]}.json`;
+  try {
+    let summaries = [];
+    const existing = await env.R2_BUCKET.get(fileName);
+    if (existing) {
+      summaries = await existing.json();
+    }
+    summaries.push(summary);
+    await env.R2_BUCKET.put(fileName, JSON.stringify(summaries, null, 2));
+  } catch (err) {
+    console.error('Could not record the tick summary:', err.message);
+  }
+  return summary;
+}
@@ -25,6 +25,18 @@ describe('Cron Service Tests', () => {
   let mockEnv;
   let mockPublishQueue;
   let queuedMessages;
+  let kvStore;
+  let r2Writes;
+
+  // Store the schedule as one object per org/site, listed in the schedule index
+  function mockSchedule(schedule) {
+    const objects = new Map(Object.entries(schedule)
+      .map(([orgSiteKey, entries]) => [`schedules/${orgSiteKey}.json`, entries]));
+    objects.set('schedules/index.json', Object.keys(schedule));
+    mockEnv.R2_BUCKET.get = async (key) => (objects.has(key)
+      ? { json: async () => objects.get(key) }
+      : null);
+  }
 
   beforeEach(() => {
     // Reset console mocks
@@ -37,32 +49,57 @@ describe('Cron Service Tests', () => {
 
     // Mock publish queue
     mockPublishQueue = {
-      send: async (message, options) => {
-        queuedMessages.push({ message, options });
-        return true;
+      sendBatch: async (messages) => {
+        messages.forEach(({ body, delaySeconds }) => {
+          queuedMessages.push({ message: body, options: { delaySeconds } });
+        });
       },
     };
 
+    // Mock KV for the in-flight markers, catch-up policies and pauses
+    kvStore = new Map();
+
+    // Capture R2 writes such as the tick summaries
+    r2Writes = new Map();
+
     // Mock environment
     mockEnv = {
       R2_BUCKET: {
-        get: async (key) => {
-          if (key === 'schedule.json') {
-            return {
-              json: async () => ({
-                'org1--site1': {
-                  snapshot1: { scheduledPublish: '2025-01-01T09:56:00Z', approved: false },
-                  snapshot2: { scheduledPublish: '2025-01-01T09:58:00Z', approved: false },
-                  snapshot3: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
-                },
-              }),
-            };
-          }
-          return null;
+        put: async (key, value) => {
+          r2Writes.set(key, JSON.parse(value));
         },
       },
       PUBLISH_QUEUE: mockPublishQueue,
+      SEND_RETRY_DELAY_MS: 0,
+      SCHEDULER_KV: {
+        get: async (key, options) => {
+          const value = kvStore.get(key)?.value ?? null;
+          return options?.type === 'json' && value !== null ? JSON.parse(value) : value;
+        },
+        put: async (key, value, options) => {
+          kvStore.set(key, { value, options });
+        },
+        // Two keys per page, to exercise the cursor
+        list: async ({ cursor } = {}) => {
+          const start = Number(cursor || 0);
+          const keys = [...kvStore.entries()].slice(start, start + 2)
+            .map(([name, { options }]) => ({ name, metadata: options?.metadata }));
+          const listComplete = start + 2 >= kvStore.size;
+          return {
+            keys,
+            list_complete: listComplete,
+            cursor: listComplete ? undefined : String(start + 2),
+          };
+        },
+      },
     };
+    mockSchedule({
+      'org1--site1': {
+        snapshot1: { scheduledPublish: '2025-01-01T09:56:00Z', approved: false },
+        snapshot2: { scheduledPublish: '2025-01-01T09:58:00Z', approved: false },
+        snapshot3: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
+      },
+    });
   });
 
   afterEach(() => {
@@ -84,9 +121,7 @@ describe('Cron Service Tests', () => {
     });
 
     it('should return empty array when schedule data is empty', async () => {
-      mockEnv.R2_BUCKET.get = async () => ({
-        json: async () => ({}),
-      });
+      mockSchedule({});
 
       const { default: worker } = await import('../src/index.js');
       const result = await worker.scheduled({}, mockEnv);
@@ -96,12 +131,10 @@ describe('Cron Service Tests', () => {
     });
 
     it('should handle invalid org-site keys gracefully', async () => {
-      mockEnv.R2_BUCKET.get = async () => ({
-        json: async () => ({
-          'invalid-key': {
-            snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
-          },
-        }),
+      mockSchedule({
+        'invalid-key': {
+          snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
+        },
       });
 
       const { default: worker } = await import('../src/index.js');
@@ -112,13 +145,11 @@ describe('Cron Service Tests', () => {
     });
 
     it('should handle invalid scheduled publish dates gracefully', async () => {
-      mockEnv.R2_BUCKET.get = async () => ({
-        json: async () => ({
-          'org1--site1': {
-            snapshot1: { scheduledPublish: 'invalid-date', approved: false },
-            snapshot2: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
-          },
-        }),
+      mockSchedule({
+        'org1--site1': {
+          snapshot1: { scheduledPublish: 'invalid-date', approved: false },
+          snapshot2: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
+        },
       });
 
       // Mock current time to be 5 minutes before the valid snapshot
@@ -221,20 +252,19 @@ describe('Cron Service Tests', () => {
       }
     });
 
-    it('should handle queue send failures gracefully', async () => {
-      // Mock current time to be 5 minutes before the scheduled time
+    it('should retry a batch that failed to queue', async () => {
       const originalDateNow = Date.now;
       Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
 
-      // Mock queue to throw error for first message
+      // Mock queue to fail the first batch
       let callCount = 0;
-      mockPublishQueue.send = async (message, options) => {
+      const { sendBatch } = mockPublishQueue;
+      mockPublishQueue.sendBatch = async (messages) => {
         callCount += 1;
         if (callCount === 1) {
           throw new Error('Queue send failed');
         }
-        queuedMessages.push({ message, options });
-        return true;
+        return sendBatch(messages);
       };
 
       try {
@@ -242,8 +272,78 @@ describe('Cron Service Tests', () => {
         const result = await worker.scheduled({}, mockEnv);
 
         assert.strictEqual(result, true);
-        // Should still queue the remaining snapshots
-        assert.strictEqual(queuedMessages.length, 2);
+        assert.strictEqual(callCount, 2);
+        assert.strictEqual(queuedMessages.length, 3);
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should record the entries that could not be queued in the tick summary', async () => {
+      mockSchedule({
+        'org1--site1': {
+          '/a': { type: 'page', scheduledPublish: '2025-01-01T09:56:00Z' },
+          '/b': { type: 'page', scheduledPublish: '2025-01-01T09:57:00Z' },
+        },
+        'org2--site2': {
+          '/c': { type: 'page', scheduledPublish: '2025-01-01T09:56:00Z' },
+        },
+      });
+      let callCount = 0;
+      mockPublishQueue.sendBatch = async () => {
+        callCount += 1;
+        throw new Error('Queue unavailable');
+      };
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        const result = await worker.scheduled({}, mockEnv);
+
+        assert.strictEqual(result, true);
+        assert.strictEqual(callCount, 3);
+        assert.strictEqual(kvStore.size, 0, 'No in-flight markers for entries that were not queued');
+        assert.deepStrictEqual(r2Writes.get('ticks/2025-01-01.json'), [{
+          tickAt: '2025-01-01T09:55:00.000Z',
+          queued: 0,
+          failed: 3,
+          sites: {
+            'org1--site1': { queued: 0, failed: 2 },
+            'org2--site2': { queued: 0, failed: 1 },
+          },
+        }]);
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should queue entries in batches of up to 100 messages', async () => {
+      const entries = {};
+      for (let i = 0; i < 250; i += 1) {
+        entries[`/page-${i}`] = { type: 'page', scheduledPublish: '2025-01-01T09:56:00Z' };
+      }
+      mockSchedule({ 'org1--site1': entries });
+      const batchSizes = [];
+      const { sendBatch } = mockPublishQueue;
+      mockPublishQueue.sendBatch = async (messages) => {
+        batchSizes.push(messages.length);
+        return sendBatch(messages);
+      };
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        await worker.scheduled({}, mockEnv);
+
+        assert.deepStrictEqual(batchSizes, [100, 100, 50]);
+        assert.strictEqual(queuedMessages.length, 250);
+        assert.deepStrictEqual(r2Writes.get('ticks/2025-01-01.json')[0].sites, {
+          'org1--site1': { queued: 250, failed: 0 },
+        });
       } finally {
         Date.now = originalDateNow;
       }
@@ -274,6 +374,44 @@ describe('Cron Service Tests', () => {
       assert.strictEqual(result, false);
       assert.strictEqual(queuedMessages.length, 0);
     });
+
+    it('should migrate a legacy schedule.json into per-site objects before reading it', async () => {
+      const objects = new Map([['schedule.json', {
+        'org1--site1': {
+          snapshot1: { scheduledPublish: '2025-01-01T09:58:00Z', approved: false },
+        },
+        'org2--site2': {
+          '/later': { type: 'page', scheduledPublish: '2025-01-02T10:00:00Z' },
+        },
+      }]]);
+      mockEnv.R2_BUCKET = {
+        get: async (key) => (objects.has(key)
+          ? { json: async () => objects.get(key) }
+          : null),
+        put: async (key, value) => {
+          objects.set(key, JSON.parse(value));
+        },
+        delete: async (key) => {
+          objects.delete(key);
+        },
+      };
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+      try {
+        const { default: worker } = await import('../src/index.js');
+        const result = await worker.scheduled({}, mockEnv);
+
+        assert.strictEqual(result, true);
+        assert.strictEqual(objects.has('schedule.json'), false);
+        assert.deepStrictEqual(objects.get('schedules/index.json'), ['org1--site1', 'org2--site2']);
+        assert.ok(objects.has('schedules/org2--site2.json'));
+        assert.strictEqual(queuedMessages.length, 1);
+        assert.strictEqual(queuedMessages[0].message.path, 'snapshot1');
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
   });
 
   describe('edge cases', () => {
@@ -331,14 +469,392 @@ describe('Cron Service Tests', () => {
       }
     });
 
-    it('should handle empty snapshot objects', async () => {
-      mockEnv.R2_BUCKET.get = async () => ({
-        json: async () => ({
-          'org1--site1': {},
-          'org2--site2': {
-            snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
+    it('should include the next occurrence for recurring entries', async () => {
+      mockSchedule({
+        'org1--site1': {
+          '/weekly': {
+            type: 'page',
+            scheduledPublish: '2025-01-01T09:58:00Z',
+            recurrence: { freq: 'weekly', count: 3 },
+            occurrence: 2,
+          },
+          '/last': {
+            type: 'page',
+            scheduledPublish: '2025-01-01T09:58:00Z',
+            recurrence: { freq: 'daily', count: 3 },
+            occurrence: 3,
           },
-        }),
+        },
+      });
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        const result = await worker.scheduled({}, mockEnv);
+
+        assert.strictEqual(result, true);
+        assert.strictEqual(queuedMessages.length, 2);
+        const weekly = queuedMessages.find((m) => m.message.path === '/weekly').message;
+        assert.strictEqual(weekly.scheduledPublish, '2025-01-01T09:58:00Z');
+        assert.strictEqual(weekly.occurrence, 2);
+        assert.deepStrictEqual(weekly.nextOccurrence, {
+          scheduledPublish: '2025-01-08T09:58:00.000Z',
+          occurrence: 3,
+        });
+        const last = queuedMessages.find((m) => m.message.path === '/last').message;
+        assert.strictEqual(last.nextOccurrence, null);
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should queue every action scheduled for the same path', async () => {
+      mockSchedule({
+        'org1--site1': {
+          '/promo': [
+            { type: 'page', scheduledPublish: '2025-01-01T09:56:00Z' },
+            { type: 'unpublish', scheduledPublish: '2025-01-01T09:59:00Z' },
+            { type: 'unpublish', scheduledPublish: '2025-01-02T09:59:00Z' },
+          ],
+        },
+      });
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        const result = await worker.scheduled({}, mockEnv);
+
+        assert.strictEqual(result, true);
+        assert.deepStrictEqual(
+          queuedMessages.map((m) => [m.message.path, m.message.type, m.options.delaySeconds]),
+          [['/promo', 'page', 60], ['/promo', 'unpublish', 240]],
+        );
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should skip entries the DLQ marked as failed', async () => {
+      mockSchedule({
+        'org1--site1': {
+          '/failed': {
+            type: 'page', scheduledPublish: '2025-01-01T09:50:00Z', status: 'failed', failedAt: '2025-01-01T09:58:00Z', failureReason: 'auth',
+          },
+          '/ok': { type: 'page', scheduledPublish: '2025-01-01T09:56:00Z' },
+        },
+      });
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        await worker.scheduled({}, mockEnv);
+
+        assert.deepStrictEqual(queuedMessages.map((m) => m.message.path), ['/ok']);
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should skip sites whose schedule coordinator queues their entries', async () => {
+      mockSchedule({
+        'org1--site1': { '/coordinated': { type: 'page', scheduledPublish: '2025-01-01T09:56:00Z' } },
+        'org2--site2': { '/ok': { type: 'page', scheduledPublish: '2025-01-01T09:56:00Z' } },
+      });
+      mockEnv.SCHEDULE_COORDINATOR_SITES = 'org1--site1';
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        await worker.scheduled({}, mockEnv);
+
+        assert.deepStrictEqual(queuedMessages.map((m) => m.message.path), ['/ok']);
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should not queue entries again while their message is in flight', async () => {
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        await worker.scheduled({}, mockEnv);
+        assert.strictEqual(queuedMessages.length, 3);
+
+        const marker = kvStore.get('enqueued--org1--site1--snapshot--snapshot1--2025-01-01T09:56:00Z');
+        assert.deepStrictEqual(JSON.parse(marker.value), { enqueuedAt: '2025-01-01T09:55:00.000Z' });
+        // due in 60 seconds, then stale after an hour
+        assert.deepStrictEqual(marker.options, { expirationTtl: 60 + 3600 });
+
+        // the next tick finds the past-due entries still in the schedule
+        Date.now = () => new Date('2025-01-01T10:00:00Z').getTime();
+        queuedMessages = [];
+        await worker.scheduled({}, mockEnv);
+        assert.strictEqual(queuedMessages.length, 0);
+
+        // a lost message is queued again once its marker expired
+        kvStore.delete('enqueued--org1--site1--snapshot--snapshot1--2025-01-01T09:56:00Z');
+        await worker.scheduled({}, mockEnv);
+        assert.deepStrictEqual(queuedMessages.map((m) => m.message.path), ['snapshot1']);
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should queue a re-scheduled entry although the earlier time is in flight', async () => {
+      kvStore.set('enqueued--org1--site1--page--/page--2025-01-01T09:56:00Z', { value: '{}' });
+      mockSchedule({
+        'org1--site1': { '/page': { type: 'page', scheduledPublish: '2025-01-01T09:57:00Z' } },
+      });
+      mockEnv.ENQUEUED_STALE_SECONDS = '600';
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        await worker.scheduled({}, mockEnv);
+
+        assert.deepStrictEqual(queuedMessages.map((m) => m.message.path), ['/page']);
+        const marker = kvStore.get('enqueued--org1--site1--page--/page--2025-01-01T09:57:00Z');
+        assert.deepStrictEqual(marker.options, { expirationTtl: 120 + 600 });
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should queue entries when the in-flight markers cannot be read', async () => {
+      mockEnv.SCHEDULER_KV.get = async () => {
+        throw new Error('KV unavailable');
+      };
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        await worker.scheduled({}, mockEnv);
+        assert.strictEqual(queuedMessages.length, 3);
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should publish missed entries late by default', async () => {
+      mockSchedule({
+        'org1--site1': { '/late': { type: 'page', scheduledPublish: '2025-01-01T08:00:00Z' } },
+      });
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        await worker.scheduled({}, mockEnv);
+
+        assert.deepStrictEqual(queuedMessages.map((m) => m.message.path), ['/late']);
+        assert.strictEqual(r2Writes.has('missed/2025-01-01.json'), false);
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should skip entries missed for longer than the skip-if-older-than policy', async () => {
+      kvStore.set('org1--site1--catchUpPolicy', { value: 'skip-if-older-than:1h' });
+      mockSchedule({
+        'org1--site1': {
+          '/stale': { type: 'page', scheduledPublish: '2025-01-01T08:00:00Z' },
+          '/recent': { type: 'page', scheduledPublish: '2025-01-01T09:30:00Z' },
+          '/weekly': {
+            type: 'page', scheduledPublish: '2025-01-01T07:00:00Z', recurrence: { freq: 'weekly' },
+          },
+        },
+      });
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        await worker.scheduled({}, mockEnv);
+
+        assert.deepStrictEqual(queuedMessages.map((m) => m.message.path), ['/recent']);
+        assert.deepStrictEqual(r2Writes.get('schedules/org1--site1.json'), {
+          '/recent': { type: 'page', scheduledPublish: '2025-01-01T09:30:00Z' },
+          '/weekly': {
+            type: 'page', scheduledPublish: '2025-01-08T07:00:00.000Z', recurrence: { freq: 'weekly' }, occurrence: 2,
+          },
+        });
+        assert.deepStrictEqual(r2Writes.get('missed/2025-01-01.json'), [
+          {
+            org: 'org1',
+            site: 'site1',
+            path: '/stale',
+            type: 'page',
+            scheduledPublish: '2025-01-01T08:00:00Z',
+            policy: 'skip-if-older-than:1h',
+            action: 'skipped',
+            detectedAt: '2025-01-01T09:55:00.000Z',
+          },
+          {
+            org: 'org1',
+            site: 'site1',
+            path: '/weekly',
+            type: 'page',
+            scheduledPublish: '2025-01-01T07:00:00Z',
+            policy: 'skip-if-older-than:1h',
+            action: 'skipped',
+            detectedAt: '2025-01-01T09:55:00.000Z',
+          },
+        ]);
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should keep missed entries a coordinator records at the same time', async () => {
+      kvStore.set('org1--site1--catchUpPolicy', { value: 'skip-if-older-than:1h' });
+      mockSchedule({
+        'org1--site1': { '/stale': { type: 'page', scheduledPublish: '2025-01-01T08:00:00Z' } },
+      });
+      const coordinatorRecord = { org: 'org2', site: 'site2', path: '/other' };
+      let missedFile = { value: [], etag: 'etag-1' };
+      const { get } = mockEnv.R2_BUCKET;
+      mockEnv.R2_BUCKET.get = async (key) => (key === 'missed/2025-01-01.json'
+        ? { etag: missedFile.etag, json: async () => structuredClone(missedFile.value) }
+        : get(key));
+      const { put } = mockEnv.R2_BUCKET;
+      mockEnv.R2_BUCKET.put = async (key, value, options) => {
+        if (key !== 'missed/2025-01-01.json') return put(key, value, options);
+        if (missedFile.etag === 'etag-1') {
+          // a coordinator appends after the cron worker read the file
+          missedFile = { value: [coordinatorRecord], etag: 'etag-2' };
+        }
+        if (options?.onlyIf?.etagMatches !== missedFile.etag) return null;
+        missedFile = { value: JSON.parse(value), etag: 'etag-3' };
+        return {};
+      };
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        await worker.scheduled({}, mockEnv);
+
+        assert.deepStrictEqual(missedFile.value.map((record) => record.path), ['/other', '/stale']);
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should hold missed entries for sites with the hold-for-approval policy', async () => {
+      kvStore.set('org1--site1--catchUpPolicy', { value: 'hold-for-approval' });
+      mockSchedule({
+        'org1--site1': {
+          '/missed': { type: 'page', scheduledPublish: '2025-01-01T09:45:00Z' },
+          '/on-time': { type: 'page', scheduledPublish: '2025-01-01T09:57:00Z' },
+          '/held': { type: 'page', scheduledPublish: '2025-01-01T09:00:00Z', status: 'held' },
+        },
+      });
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        await worker.scheduled({}, mockEnv);
+
+        assert.deepStrictEqual(queuedMessages.map((m) => m.message.path), ['/on-time']);
+        assert.deepStrictEqual(r2Writes.get('schedules/org1--site1.json')['/missed'], {
+          type: 'page',
+          scheduledPublish: '2025-01-01T09:45:00Z',
+          status: 'held',
+          heldAt: '2025-01-01T09:55:00.000Z',
+          heldReason: 'missed',
+        });
+        const [record] = r2Writes.get('missed/2025-01-01.json');
+        assert.strictEqual(record.path, '/missed');
+        assert.strictEqual(record.action, 'held');
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should not queue entries of paused sites', async () => {
+      kvStore.set('org1--site1--paused', { value: JSON.stringify({ pausedAt: '2025-01-01T09:00:00Z' }) });
+      mockSchedule({
+        'org1--site1': { '/paused': { type: 'page', scheduledPublish: '2025-01-01T09:57:00Z' } },
+        'org2--site2': { '/active': { type: 'page', scheduledPublish: '2025-01-01T09:57:00Z' } },
+      });
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        await worker.scheduled({}, mockEnv);
+
+        assert.deepStrictEqual(queuedMessages.map((m) => m.message.path), ['/active']);
+        assert.ok(!kvStore.has('enqueued--org1--site1--page--/paused--2025-01-01T09:57:00Z'));
+        assert.strictEqual(r2Writes.has('schedules/org1--site1.json'), false);
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should not queue anything while the kill switch is on', async () => {
+      kvStore.set('scheduler--killSwitch', { value: JSON.stringify({ enabledAt: '2025-01-01T09:00:00Z' }) });
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        const result = await worker.scheduled({}, mockEnv);
+
+        assert.strictEqual(result, true);
+        assert.strictEqual(queuedMessages.length, 0);
+        assert.strictEqual(r2Writes.size, 0, 'No tick summary is recorded');
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should publish missed entries late when the policy is invalid', async () => {
+      kvStore.set('org1--site1--catchUpPolicy', { value: 'skip-if-older-than:soon' });
+      mockSchedule({
+        'org1--site1': { '/late': { type: 'page', scheduledPublish: '2025-01-01T08:00:00Z' } },
+      });
+
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T09:55:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        await worker.scheduled({}, mockEnv);
+
+        assert.deepStrictEqual(queuedMessages.map((m) => m.message.path), ['/late']);
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should handle empty snapshot objects', async () => {
+      mockSchedule({
+        'org1--site1': {},
+        'org2--site2': {
+          snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
+        },
       });
 
       const originalDateNow = Date.now;
@@ -356,4 +872,92 @@ describe('Cron Service Tests', () => {
       }
     });
   });
+
+  describe('API key expiry check', () => {
+    const dailyCheck = { cron: '0 6 * * *' };
+
+    beforeEach(() => {
+      kvStore.set('org1--site1--apiKey', {
+        value: 'key1', options: { metadata: { expiresAt: '2025-01-05T00:00:00.000Z' } },
+      });
+      kvStore.set('org1--site1--nextApiKey', {
+        value: 'key2', options: { metadata: { expiresAt: '2025-06-01T00:00:00.000Z' } },
+      });
+      kvStore.set('org2--site2--apiKey', {
+        value: 'key3', options: { metadata: { expiresAt: '2024-12-31T00:00:00.000Z' } },
+      });
+      kvStore.set('org3--site3--apiKey', { value: 'key4', options: {} });
+      kvStore.set('enqueued--org1--site1--publish--/page--2025-01-01T10:00:00Z', { value: '1' });
+    });
+
+    it('should report the keys that expire soon or expired', async () => {
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T06:00:00Z').getTime();
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        const result = await worker.scheduled(dailyCheck, mockEnv);
+
+        assert.strictEqual(result, true);
+        assert.strictEqual(queuedMessages.length, 0, 'the daily check does not queue entries');
+        assert.deepStrictEqual(r2Writes.get('reports/api-keys-2025-01-01.json'), {
+          generatedAt: '2025-01-01T06:00:00.000Z',
+          warningDays: 14,
+          checked: 4,
+          keys: [
+            {
+              org: 'org2',
+              site: 'site2',
+              key: 'apiKey',
+              expiresAt: '2024-12-31T00:00:00.000Z',
+              daysLeft: -2,
+              status: 'expired',
+            },
+            {
+              org: 'org1',
+              site: 'site1',
+              key: 'apiKey',
+              expiresAt: '2025-01-05T00:00:00.000Z',
+              daysLeft: 3,
+              status: 'expiring',
+            },
+          ],
+          withoutExpiry: [{ org: 'org3', site: 'site3', key: 'apiKey' }],
+        });
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should use the configured warning period', async () => {
+      const originalDateNow = Date.now;
+      Date.now = () => new Date('2025-01-01T06:00:00Z').getTime();
+      mockEnv.API_KEY_EXPIRY_WARNING_DAYS = '365';
+
+      try {
+        const { default: worker } = await import('../src/index.js');
+        await worker.scheduled(dailyCheck, mockEnv);
+
+        const report = r2Writes.get('reports/api-keys-2025-01-01.json');
+        assert.strictEqual(report.warningDays, 365);
+        assert.deepStrictEqual(
+          report.keys.map(({ org, key }) => `${org} ${key}`),
+          ['org2 apiKey', 'org1 apiKey', 'org1 nextApiKey'],
+        );
+      } finally {
+        Date.now = originalDateNow;
+      }
+    });
+
+    it('should return false when the report cannot be written', async () => {
+      mockEnv.R2_BUCKET.put = async () => {
+        throw new Error('R2 unavailable');
+      };
+
+      const { default: worker } = await import('../src/index.js');
+      const result = await worker.scheduled(dailyCheck, mockEnv);
+
+      assert.strictEqual(result, false);
+    });
+  });
 });
@@ -0,0 +1,60 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+// eslint-disable-next-line import/no-relative-packages
+import { nextOccurrence } from '../../shared/recurrence.js';
+
+const NOW = new Date('2025-01-06T08:00:00Z').getTime();
+
+describe('nextOccurrence', () => {
+  it('should advance a weekly series by one week', () => {
+    const next = nextOccurrence('2025-01-06T09:00:00Z', { freq: 'weekly' }, 1, NOW);
+    assert.deepStrictEqual(next, { scheduledPublish: '2025-01-13T09:00:00.000Z', occurrence: 2 });
+  });
+
+  it('should honour the interval for daily series', () => {
+    const next = nextOccurrence('2025-01-06T09:00:00Z', { freq: 'daily', interval: 3 }, 1, NOW);
+    assert.strictEqual(next.scheduledPublish, '2025-01-09T09:00:00.000Z');
+  });
+
+  it('should clamp monthly series to the end of shorter months and keep the anchor day', () => {
+    const recurrence = { freq: 'monthly', byMonthDay: 31 };
+    const feb = nextOccurrence('2025-01-31T09:00:00Z', recurrence, 1, NOW);
+    assert.strictEqual(feb.scheduledPublish, '2025-02-28T09:00:00.000Z');
+    const mar = nextOccurrence(feb.scheduledPublish, recurrence, feb.occurrence, NOW);
+    assert.strictEqual(mar.scheduledPublish, '2025-03-31T09:00:00.000Z');
+    assert.strictEqual(mar.occurrence, 3);
+  });
+
+  it('should skip occurrences that are already in the past', () => {
+    const now = new Date('2025-01-22T10:00:00Z').getTime();
+    const next = nextOccurrence('2025-01-06T09:00:00Z', { freq: 'weekly' }, 1, now);
+    assert.deepStrictEqual(next, { scheduledPublish: '2025-01-27T09:00:00.000Z', occurrence: 4 });
+  });
+
+  it('should end the series once count is reached', () => {
+    assert.strictEqual(nextOccurrence('2025-01-06T09:00:00Z', { freq: 'weekly', count: 2 }, 2, NOW), null);
+    assert(nextOccurrence('2025-01-06T09:00:00Z', { freq: 'weekly', count: 2 }, 1, NOW));
+  });
+
+  it('should end the series after the until date', () => {
+    const recurrence = { freq: 'weekly', until: '2025-01-13T09:00:00Z' };
+    assert(nextOccurrence('2025-01-06T09:00:00Z', recurrence, 1, NOW));
+    assert.strictEqual(nextOccurrence('2025-01-13T09:00:00Z', recurrence, 2, NOW), null);
+  });
+
+  it('should throw for unsupported frequencies', () => {
+    assert.throws(() => nextOccurrence('2025-01-06T09:00:00Z', { freq: 'hourly' }, 1, NOW), /Unsupported recurrence frequency/);
+  });
+});
@@ -12,47 +12,83 @@
 /* eslint-disable no-console */
 /* eslint-disable no-await-in-loop */
 
+/* eslint-disable import/no-relative-packages */
+import { clearHistory, readHistory } from '../../shared/history.js';
+import { casUpdate, changeSiteSchedule } from '../../shared/schedule-store.js';
+/* eslint-enable import/no-relative-packages */
+
+/**
+ * Sort a failed message into a reason category from the last attempt
+ * recorded in its history.
+ * @param {Array} history - The delivery history of the message
+ * @returns {string} auth, not-found, throttled, kill-switch, api-key,
+ * server-error or unknown, or exceeded-max-retries when no history was recorded
+ */
+function categorizeFailure(history) {
+  const last = history.at(-1);
+  if (!last) return 'exceeded-max-retries';
+  if (last.kind === 'deferred' && last.source === 'kill-switch') return 'kill-switch';
+  if (last.source === 'api-key') return 'api-key';
+  // a 503 is throttled by the publish worker, but means admin is unavailable
+  if (last.status >= 500) return 'server-error';
+  if (last.kind === 'throttled' || last.status === 429) return 'throttled';
+  if (last.status === 401 || last.status === 403) return 'auth';
+  if (last.status === 404) return 'not-found';
+  return 'unknown';
+}
+
 /**
- * Batch update scheduled.json to remove multiple failed snapshots
+ * Batch update the site schedules to mark multiple failed entries with
+ * `status: 'failed'`, so authors can see that their scheduled publish failed.
+ * The cron worker skips failed entries; re-scheduling or replaying releases them.
+ * Recurring entries record the failure and move on to their next occurrence.
+ * Each org/site schedule is read and written once.
  * @param {Object} env - The environment object
- * @param {Array} snapshots - Array of {org, site, snapshotId}
+ * @param {Array} snapshots - Array of {org, site, path, type, scheduledPublish, reason,
+ * recurrence?, nextOccurrence?}
+ * @param {string} failedAt - When the entries failed
  * @returns {Promise<void>}
  */
-async function batchRemoveFromScheduledJson(env, snapshots) {
-  try {
-    // Read current schedule data
-    const scheduleData = await env.R2_BUCKET.get('schedule.json');
-    if (!scheduleData) {
-      console.log('No schedule data found');
-      return;
-    }
-
-    const schedule = await scheduleData.json();
-
-    // Remove all failed entries from schedule
-    for (const snapshot of snapshots) {
-      const orgSiteKey = `${snapshot.org}--${snapshot.site}`;
-
-      if (schedule[orgSiteKey] && schedule[orgSiteKey][snapshot.path]) {
-        delete schedule[orgSiteKey][snapshot.path];
+async function batchMarkFailedInScheduledJson(env, snapshots, failedAt) {
+  const groups = new Map();
+  for (const snapshot of snapshots) {
+    const orgSiteKey = `${snapshot.org}--${snapshot.site}`;
+    if (!groups.has(orgSiteKey)) groups.set(orgSiteKey, []);
+    groups.get(orgSiteKey).push(snapshot);
+  }
 
-        // If no more entries for this org-site, remove the entire entry
-        if (Object.keys(schedule[orgSiteKey]).length === 0) {
-          delete schedule[orgSiteKey];
+  for (const [orgSiteKey, siteSnapshots] of groups) {
+    const [{ org, site }] = siteSnapshots;
+    try {
+      let marked = 0;
+      const results = await changeSiteSchedule(env, org, site, siteSnapshots.map((snapshot) => ({
+        op: 'markFailed',
+        path: snapshot.path,
+        type: snapshot.type || 'snapshot',
+        scheduledPublish: snapshot.scheduledPublish,
+        failedAt,
+        failureReason: snapshot.reason,
+        nextOccurrence: snapshot.recurrence ? snapshot.nextOccurrence : null,
+      })));
+      results.forEach(({ changed, found, advanced }, i) => {
+        const { path } = siteSnapshots[i];
+        if (!found) {
+          console.warn(`Entry ${path} not found in the schedule of ${orgSiteKey}`);
+        } else if (advanced) {
+          console.log(`Advanced failed recurring entry ${path} for ${orgSiteKey} to ${advanced}`);
+        } else if (!changed) {
+          // the author re-scheduled the entry while the message was retried
+          console.log(`Entry ${path} for ${orgSiteKey} was re-scheduled, not marking it as failed`);
+        } else {
+          marked += 1;
+          console.log(`Marked entry ${path} as failed in the schedule of ${orgSiteKey}`);
         }
-
-        console.log(`Removed failed entry ${snapshot.path} from schedule.json for ${orgSiteKey}`);
-      } else {
-        console.warn(`Entry ${snapshot.path} not found in schedule.json for ${orgSiteKey}`);
-      }
+      });
+      console.log(`Marked ${marked} failed entries in the schedule of ${orgSiteKey}`);
+    } catch (err) {
+      console.error(`Failed to batch update the schedule of ${orgSiteKey}:`, err.message);
+      // Don't throw - we don't want DLQ messages to fail and retry
     }
-
-    // Write updated schedule back to R2
-    await env.R2_BUCKET.put('schedule.json', JSON.stringify(schedule, null, 2));
-    console.log(`Removed ${snapshots.length} failed snapshots from schedule.json`);
-  } catch (err) {
-    console.error('Failed to batch update schedule.json:', err.message);
-    // Don't throw - we don't want DLQ messages to fail and retry
   }
 }
 
@@ -60,7 +96,7 @@ async function batchRemoveFromScheduledJson(env, snapshots) {
  * Dead Letter Queue (DLQ) Consumer
  * Handles messages that failed after all retry attempts in the publish queue.
  * Logs failures and stores them in R2 for investigation and potential manual recovery.
- * Also removes failed entries from schedule.json to prevent further processing.
+ * Also marks failed entries in the site schedules to prevent further processing.
  */
 
 export default {
@@ -68,6 +104,8 @@ export default {
     console.log(`DLQ Consumer processing ${batch.messages.length} failed messages`);
 
     const failedMessages = [];
+    const nextOccurrences = [];
+    const historyBodies = [];
 
     // Log all failed messages
     for (const msg of batch.messages) {
@@ -75,12 +113,19 @@ export default {
         org,
         site,
         scheduledPublish,
+        approved = false,
         type = 'snapshot',
         userId,
+        recurrence,
+        occurrence,
+        nextOccurrence,
       } = msg.body;
       // backward compat: support in-flight messages that still use snapshotId
       const path = msg.body.path ?? msg.body.snapshotId;
 
+      const history = await readHistory(env, msg.body);
+      const reason = categorizeFailure(history);
+
       console.error('='.repeat(80));
       console.error('FAILED MESSAGE - Exceeded max retries');
       console.error('='.repeat(80));
@@ -91,6 +136,7 @@ export default {
       console.error(`Scheduled Publish: ${scheduledPublish}`);
       console.error(`Message ID: ${msg.id}`);
       console.error(`Timestamp: ${msg.timestamp}`);
+      console.error(`Reason: ${reason}`);
       console.error('='.repeat(80));
 
       failedMessages.push({
@@ -99,54 +145,50 @@ export default {
         path,
         scheduledPublish,
         type,
+        ...(type === 'snapshot' && { approved }),
         userId,
+        ...(recurrence && { recurrence, occurrence }),
         messageId: msg.id,
         timestamp: msg.timestamp,
+        reason,
+        ...(history.length > 0 && { history }),
       });
+      nextOccurrences.push(nextOccurrence);
+      if (history.length > 0) {
+        historyBodies.push(msg.body);
+      }
     }
 
     // Batch store all failed messages in single R2 write
     if (failedMessages.length > 0) {
+      const failedAt = new Date().toISOString();
       try {
         const today = new Date().toISOString().split('T')[0];
         const failedFileName = `failed/${today}.json`;
 
-        // Read existing failed messages for today
-        let existingFailed = [];
-        try {
-          const existing = await env.R2_BUCKET.get(failedFileName);
-          if (existing) {
-            existingFailed = await existing.json();
-          }
-        } catch (err) {
-          console.log('No existing failed messages for today, starting fresh');
-        }
+        // Append all new failed messages with metadata in a single write. The
+        // register worker marks replayed records in the same file, so the
+        // write is conditional on what was read.
+        await casUpdate(env, failedFileName, (existingFailed) => [
+          ...(existingFailed || []),
+          ...failedMessages.map((msg) => ({ ...msg, failedAt })),
+        ]);
+        console.log(`Stored ${failedMessages.length} failed messages in ${failedFileName}`);
 
-        // Add all new failed messages with metadata
-        const failedAt = new Date().toISOString();
-        for (const msg of failedMessages) {
-          existingFailed.push({
-            ...msg,
-            failedAt,
-            reason: 'exceeded-max-retries',
-          });
+        // The history is part of the failed records now
+        for (const body of historyBodies) {
+          await clearHistory(env, body);
         }
-
-        // Single write operation for all failed messages
-        await env.R2_BUCKET.put(failedFileName, JSON.stringify(existingFailed, null, 2));
-        console.log(`Stored ${failedMessages.length} failed messages in ${failedFileName}`);
       } catch (err) {
         console.error('Failed to store DLQ messages in R2:', err);
         // Don't throw - we don't want DLQ messages to fail and retry
       }
 
-      // Remove failed snapshots from schedule.json
-      try {
-        await batchRemoveFromScheduledJson(env, failedMessages);
-      } catch (err) {
-        console.error('Failed to remove failed snapshots from schedule.json:', err);
-        // Don't throw - we don't want DLQ messages to fail and retry
-      }
+      // Mark failed entries in the site schedules
+      await batchMarkFailedInScheduledJson(env, failedMessages.map((failed, i) => ({
+        ...failed,
+        nextOccurrence: nextOccurrences[i],
+      })), failedAt);
     }
     console.log(`DLQ Consumer processed ${batch.messages.length} failed messages`);
   },
@@ -20,6 +20,11 @@ import assert from 'node:assert';
 const originalConsoleLog = console.log;
 const originalConsoleError = console.error;
 
+// org/site key of a site schedule object, e.g. `schedules/org1--site1.json`
+function scheduleSite(key) {
+  return key.match(/^schedules\/(.+)\.json$/)?.[1];
+}
+
 describe('DLQ Consumer Tests', () => {
   let mockEnv;
   let storedData;
@@ -47,16 +52,16 @@ describe('DLQ Consumer Tests', () => {
           if (key.startsWith('failed/') && key.endsWith('.json')) {
             return null; // No existing failed messages
           }
-          if (key === 'schedule.json') {
+          if (scheduleData[scheduleSite(key)]) {
             return {
-              json: async () => scheduleData,
+              json: async () => structuredClone(scheduleData[scheduleSite(key)]),
             };
           }
           return null;
         },
         put: async (key, data) => {
-          if (key === 'schedule.json') {
-            scheduleData = JSON.parse(data);
+          if (scheduleSite(key)) {
+            scheduleData[scheduleSite(key)] = JSON.parse(data);
           }
           storedData[key] = JSON.parse(data);
           return true;
@@ -164,9 +169,9 @@ describe('DLQ Consumer Tests', () => {
           ],
         };
       }
-      if (key === 'schedule.json') {
+      if (scheduleData[scheduleSite(key)]) {
         return {
-          json: async () => scheduleData,
+          json: async () => structuredClone(scheduleData[scheduleSite(key)]),
         };
       }
       return null;
@@ -227,7 +232,7 @@ describe('DLQ Consumer Tests', () => {
     await worker.queue(batch, mockEnv);
   });
 
-  it('should remove failed snapshot from schedule.json', async () => {
+  it('should mark failed snapshot in the site schedule instead of removing it', async () => {
     const { default: worker } = await import('../src/index.js');
 
     const batch = {
@@ -247,13 +252,15 @@ describe('DLQ Consumer Tests', () => {
 
     await worker.queue(batch, mockEnv);
 
-    // Verify snapshot was removed from schedule.json
-    assert(!scheduleData['org1--site1'], 'org1--site1 entry should be removed when no snapshots remain');
-    assert(scheduleData['org2--site2'], 'org2--site2 entry should remain');
-    assert(scheduleData['org2--site2'].snapshot2, 'snapshot2 should remain in schedule');
+    // Verify snapshot was marked as failed in the site schedule
+    const entry = scheduleData['org1--site1'].snapshot1;
+    assert.strictEqual(entry.status, 'failed');
+    assert.strictEqual(entry.failureReason, 'exceeded-max-retries');
+    assert.ok(entry.failedAt);
+    assert.strictEqual(scheduleData['org2--site2'].snapshot2.status, undefined, 'snapshot2 should be untouched');
   });
 
-  it('should remove only failed snapshot from schedule.json, keeping others', async () => {
+  it('should mark only the failed snapshot in the site schedule, keeping others', async () => {
     // Add another snapshot to org1--site1
     scheduleData['org1--site1'].snapshot3 = { scheduledPublish: '2025-01-01T12:00:00Z', approved: false };
 
@@ -276,13 +283,41 @@ describe('DLQ Consumer Tests', () => {
 
     await worker.queue(batch, mockEnv);
 
-    // Verify only snapshot1 was removed, snapshot3 remains
-    assert(scheduleData['org1--site1'], 'org1--site1 entry should remain');
-    assert(!scheduleData['org1--site1'].snapshot1, 'snapshot1 should be removed');
-    assert(scheduleData['org1--site1'].snapshot3, 'snapshot3 should remain');
+    // Verify only snapshot1 was marked, snapshot3 stays scheduled
+    assert.strictEqual(scheduleData['org1--site1'].snapshot1.status, 'failed');
+    assert.strictEqual(scheduleData['org1--site1'].snapshot3.status, undefined);
   });
 
-  it('should remove multiple failed snapshots from schedule.json', async () => {
+  it('should mark only the failed action when several are scheduled for a path', async () => {
+    scheduleData['org1--site1']['/promo'] = [
+      { type: 'page', scheduledPublish: '2025-01-01T10:00:00Z' },
+      { type: 'unpublish', scheduledPublish: '2025-01-08T10:00:00Z' },
+    ];
+
+    const { default: worker } = await import('../src/index.js');
+
+    await worker.queue({
+      messages: [{
+        id: 'msg-123',
+        timestamp: 1696412100000,
+        body: {
+          org: 'org1',
+          site: 'site1',
+          path: '/promo',
+          type: 'page',
+          scheduledPublish: '2025-01-01T10:00:00Z',
+        },
+      }],
+    }, mockEnv);
+
+    const [publish, unpublish] = scheduleData['org1--site1']['/promo'];
+    assert.strictEqual(publish.status, 'failed');
+    assert.deepStrictEqual(unpublish, {
+      type: 'unpublish', scheduledPublish: '2025-01-08T10:00:00Z',
+    });
+  });
+
+  it('should mark multiple failed snapshots in the site schedule', async () => {
     const { default: worker } = await import('../src/index.js');
 
     const batch = {
@@ -312,22 +347,65 @@ describe('DLQ Consumer Tests', () => {
 
     await worker.queue(batch, mockEnv);
 
-    // Verify both snapshots were removed from schedule.json
-    assert(!scheduleData['org1--site1'], 'org1--site1 entry should be removed');
-    assert(!scheduleData['org2--site2'], 'org2--site2 entry should be removed');
-    assert.strictEqual(Object.keys(scheduleData).length, 0, 'schedule.json should be empty');
+    // Verify both snapshots were marked as failed in the site schedule
+    assert.strictEqual(scheduleData['org1--site1'].snapshot1.status, 'failed');
+    assert.strictEqual(scheduleData['org2--site2'].snapshot2.status, 'failed');
   });
 
-  it('should not throw error if schedule.json does not exist', async () => {
-    mockEnv.R2_BUCKET.get = async (key) => {
-      if (key === 'schedule.json') {
-        return null; // schedule.json doesn't exist
-      }
-      if (key.startsWith('failed/') && key.endsWith('.json')) {
-        return null;
-      }
-      return null;
+  it('should not mark an entry that was re-scheduled while the message was retried', async () => {
+    scheduleData['org1--site1'].snapshot1.scheduledPublish = '2025-01-02T10:00:00Z';
+    const { default: worker } = await import('../src/index.js');
+
+    await worker.queue({
+      messages: [{
+        id: 'msg-123',
+        timestamp: 1696412100000,
+        body: {
+          org: 'org1', site: 'site1', path: 'snapshot1', scheduledPublish: '2025-01-01T10:00:00Z',
+        },
+      }],
+    }, mockEnv);
+
+    assert.strictEqual(scheduleData['org1--site1'].snapshot1.status, undefined);
+  });
+
+  it('should move a failed recurring entry on to its next occurrence', async () => {
+    const recurrence = { freq: 'weekly' };
+    scheduleData['org1--site1']['/weekly'] = {
+      type: 'page', scheduledPublish: '2025-01-01T10:00:00Z', recurrence, occurrence: 2,
     };
+    const { default: worker } = await import('../src/index.js');
+
+    await worker.queue({
+      messages: [{
+        id: 'msg-123',
+        timestamp: 1696412100000,
+        body: {
+          org: 'org1',
+          site: 'site1',
+          path: '/weekly',
+          type: 'page',
+          scheduledPublish: '2025-01-01T10:00:00Z',
+          recurrence,
+          occurrence: 2,
+          nextOccurrence: { scheduledPublish: '2025-01-08T10:00:00Z', occurrence: 3 },
+        },
+      }],
+    }, mockEnv);
+
+    const entry = scheduleData['org1--site1']['/weekly'];
+    assert.strictEqual(entry.status, undefined);
+    assert.strictEqual(entry.scheduledPublish, '2025-01-08T10:00:00Z');
+    assert.strictEqual(entry.occurrence, 3);
+    assert.deepStrictEqual(entry.recurrence, recurrence);
+    assert.strictEqual(entry.lastFailure.scheduledPublish, '2025-01-01T10:00:00Z');
+    assert.strictEqual(entry.lastFailure.failureReason, 'exceeded-max-retries');
+    const [record] = Object.entries(storedData).find(([key]) => key.startsWith('failed/'))[1];
+    assert.deepStrictEqual([record.recurrence, record.occurrence], [recurrence, 2]);
+  });
+
+  it('should not throw error if the site schedule does not exist', async () => {
+    mockEnv.R2_BUCKET.get = async () => null;
 
     const { default: worker } = await import('../src/index.js');
 
@@ -350,10 +428,10 @@ describe('DLQ Consumer Tests', () => {
     await worker.queue(batch, mockEnv);
   });
 
-  it('should not throw error if schedule.json removal fails', async () => {
+  it('should not throw error if the site schedule update fails', async () => {
     mockEnv.R2_BUCKET.put = async (key, data) => {
-      if (key === 'schedule.json') {
-        throw new Error('Failed to update schedule.json');
+      if (scheduleSite(key)) {
+        throw new Error('Failed to update the site schedule');
       }
       storedData[key] = JSON.parse(data);
       return true;
@@ -379,9 +457,83 @@ describe('DLQ Consumer Tests', () => {
     // Should not throw - DLQ consumer should be resilient
     await worker.queue(batch, mockEnv);
 
-    // Verify failed message was still stored despite schedule.json error
+    // Verify failed message was still stored despite the schedule error
     const failedFileKey = Object.keys(storedData).find((key) => key.startsWith('failed/'));
     assert(failedFileKey, 'Failed message should be stored');
     assert(failedFileKey.startsWith('failed/'), 'Should be stored in failed/ folder');
   });
+
+  it('should attach the publish history, categorize the reason and clear the history', async () => {
+    const key = 'history--org1--site1--snapshot--snapshot1--2025-01-01T10:00:00Z';
+    const event = {
+      kind: 'throttled', source: 'admin', status: 429, retryAfter: 120, attempt: 5, timestamp: '2025-01-01T10:30:00Z',
+    };
+    const kvStore = new Map([[key, JSON.stringify([event])]]);
+    mockEnv.SCHEDULER_KV = {
+      get: async (name, options) => {
+        const value = kvStore.get(name) ?? null;
+        return value && options?.type === 'json' ? JSON.parse(value) : value;
+      },
+      delete: async (name) => {
+        kvStore.delete(name);
+      },
+    };
+
+    const { default: worker } = await import('../src/index.js');
+
+    await worker.queue({
+      messages: [{
+        id: 'msg-123',
+        timestamp: 1696412100000,
+        body: {
+          org: 'org1', site: 'site1', path: 'snapshot1', scheduledPublish: '2025-01-01T10:00:00Z',
+        },
+      }],
+    }, mockEnv);
+
+    const failedFileKey = Object.keys(storedData).find((name) => name.startsWith('failed/'));
+    assert.deepStrictEqual(storedData[failedFileKey][0].history, [event]);
+    assert.strictEqual(storedData[failedFileKey][0].reason, 'throttled');
+    assert.strictEqual(kvStore.has(key), false);
+  });
+
+  it('should categorize the failure reason from the last recorded attempt', async () => {
+    const failure = (status) => ({ kind: 'failed', status, attempt: 5 });
+    const cases = [
+      [[failure(500), failure(401)], 'auth'],
+      [[failure(403)], 'auth'],
+      [[failure(404)], 'not-found'],
+      [[failure(502)], 'server-error'],
+      [[{ kind: 'throttled', source: 'scheduler', attempt: 5 }], 'throttled'],
+      [[{
+        kind: 'throttled', source: 'admin', status: 503, attempt: 5,
+      }], 'server-error'],
+      [[failure(503), { kind: 'deferred', source: 'kill-switch', attempt: 5 }], 'kill-switch'],
+      [[{ kind: 'failed', error: 'Org/Site not registered', attempt: 5 }], 'unknown'],
+      [[{
+        kind: 'failed', source: 'api-key', error: 'Could not read the API key: bad key', attempt: 5,
+      }], 'api-key'],
+    ];
+    const { default: worker } = await import('../src/index.js');
+
+    for (const [history, reason] of cases) {
+      storedData = {};
+      mockEnv.SCHEDULER_KV = {
+        get: async () => history,
+        delete: async () => {},
+      };
+      // eslint-disable-next-line no-await-in-loop
+      await worker.queue({
+        messages: [{
+          id: 'msg-123',
+          body: {
+            org: 'org1', site: 'site1', path: 'snapshot1', scheduledPublish: '2025-01-01T10:00:00Z',
+          },
+        }],
+      }, mockEnv);
+      const failedFileKey = Object.keys(storedData).find((name) => name.startsWith('failed/'));
+      assert.strictEqual(storedData[failedFileKey][0].reason, reason);
+      assert.deepStrictEqual(storedData[failedFileKey][0].history, history);
+    }
+  });
 });
@@ -14,26 +14,115 @@
 /* eslint-disable quote-props */
 /* eslint-disable comma-dangle */
 
+import { createOrgLimiter, getRetryAfterSeconds } from './limiter.js';
+/* eslint-disable import/no-relative-packages */
+import { readApiKey } from '../../shared/api-key-store.js';
+import { appendHistory, clearHistory, readHistory } from '../../shared/history.js';
+import { enqueuedKey, markInFlight } from '../../shared/in-flight.js';
+import { getKillSwitch } from '../../shared/kill-switch.js';
+import { getActionType, getPathActions } from '../../shared/schedule-mutations.js';
+import { changeSiteSchedule, readSiteSchedule } from '../../shared/schedule-store.js';
+import { getSitePause } from '../../shared/site-pause.js';
+/* eslint-enable import/no-relative-packages */
+
 const ADMIN_API_BASE = 'https://admin.hlx.page';
 const MAIN_BRANCH = 'main';
 
+/**
+ * Get the API key of an org/site. A key that cannot be read or decrypted
+ * throws an error with `source: 'api-key'`, so the failure is recorded as
+ * such instead of looking like an org/site that is not registered.
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @returns {Promise<string|null>} null when no key is stored
+ */
 export async function getApiKey(env, org, site) {
   try {
     if (!env || !env.SCHEDULER_KV) {
       throw new Error('KV binding is missing in the environment.');
     }
     const kvConfigKey = `${org}--${site}--apiKey`;
-    const apiKey = await env.SCHEDULER_KV.get(kvConfigKey);
+    const apiKey = await readApiKey(env, kvConfigKey);
     if (!apiKey) {
       return null;
     }
     return apiKey;
   } catch (err) {
     console.error('Error getting API key from KV: ', org, site, err);
+    const error = new Error(`Could not read the API key: ${err.message}`);
+    error.source = 'api-key';
+    throw error;
+  }
+}
+
+/**
+ * Get the next API key of an org/site, stored while its key is being rotated
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @returns {Promise<string|null>}
+ */
+async function getNextApiKey(env, org, site) {
+  try {
+    return await readApiKey(env, `${org}--${site}--nextApiKey`);
+  } catch (err) {
+    console.error('Error getting next API key from KV: ', org, site, err);
     return null;
   }
 }
 
+/**
+ * Call the admin API with the API key of an org/site. When admin rejects the
+ * key with a 401 and a next key is stored, the call is made again with the
+ * next key, so publishing goes on while the key is rotated or after the
+ * current key expired.
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @param {string} apiKey - The current API key
+ * @param {string} url - The admin API URL
+ * @param {Object} options - fetch options, without the Authorization header
+ * @returns {Promise<Response>}
+ */
+async function adminFetch(env, org, site, apiKey, url, options = {}) {
+  const call = (key) => fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `token ${key}` },
+  });
+  const res = await call(apiKey);
+  if (res.status !== 401) return res;
+  const nextApiKey = await getNextApiKey(env, org, site);
+  if (!nextApiKey) return res;
+  console.warn(`API key of ${org}/${site} was rejected, retrying with the next API key`);
+  return call(nextApiKey);
+}
+
+/**
+ * Describe a failed admin API response: its status, the `x-error` header and
+ * the delay it asks for before retrying.
+ * @param {Response} res - The admin API response
+ * @returns {{ok: false, status: number, xError?: string, retryAfter?: number}}
+ */
+function failedResult(res) {
+  const xError = res.headers?.get?.('x-error');
+  return {
+    ok: false,
+    status: res.status,
+    ...(xError && { xError }),
+    retryAfter: getRetryAfterSeconds(res),
+  };
+}
+
+/**
+ * Describe a publish that failed with an error, keeping where the error came from
+ * @param {Error} error - The error
+ * @returns {{ok: false, error: string, source?: string}}
+ */
+function errorResult(error) {
+  return { ok: false, error: error.message, ...(error.source && { source: error.source }) };
+}
+
 /**
  * Publish a snapshot by calling the AEM Admin API
  * @param {Object} env - The environment object
@@ -41,7 +130,7 @@ export async function getApiKey(env, org, site) {
  * @param {string} site - The site
  * @param {string} snapshotId - The snapshot ID
  * @param {boolean} approved - Whether the snapshot is approved & published by the user
- * @returns {Promise<boolean>} - Success status
+ * @returns {Promise<{ok: boolean, status?: number, retryAfter?: number}>} - Publish result
  */
 async function publishSnapshot(env, org, site, snapshotId, approved) {
   try {
@@ -53,12 +142,15 @@ async function publishSnapshot(env, org, site, snapshotId, approved) {
     let res;
     if (approved) {
       console.log('Publish Snapshot Worker: approving snapshot', org, site, snapshotId);
-      res = await fetch(
+      res = await adminFetch(
+        env,
+        org,
+        site,
+        apiKey,
         `${ADMIN_API_BASE}/snapshot/${org}/${site}/${MAIN_BRANCH}/${snapshotId}?review=approve&keepResources=true`,
         {
           method: 'POST',
           headers: {
-            Authorization: `token ${apiKey}`,
             'Content-Type': 'application/json',
           },
           body: JSON.stringify({
@@ -69,12 +161,15 @@ async function publishSnapshot(env, org, site, snapshotId, approved) {
       );
     } else {
       console.log('Publish Snapshot Worker: publishing snapshot', org, site, snapshotId);
-      res = await fetch(
+      res = await adminFetch(
+        env,
+        org,
+        site,
+        apiKey,
         `${ADMIN_API_BASE}/snapshot/${org}/${site}/${MAIN_BRANCH}/${snapshotId}?publish=true`,
         {
           method: 'POST',
           headers: {
-            Authorization: `token ${apiKey}`,
             'Content-Type': 'application/json',
           },
           body: JSON.stringify({
@@ -86,13 +181,13 @@ async function publishSnapshot(env, org, site, snapshotId, approved) {
 
     if (res.status >= 400) {
       console.error('Publish Snapshot Worker: failed to publish snapshot', org, site, snapshotId, res.status, res.statusText);
-      return false;
+      return failedResult(res);
     }
     console.log('Publish Snapshot Worker: successfully published snapshot', org, site, snapshotId, res.status, res.statusText);
-    return true;
+    return { ok: true, status: res.status };
   } catch (error) {
     console.error(`Failed to publish snapshot ${snapshotId}:`, error.message);
-    return false;
+    return errorResult(error);
   }
 }
 
@@ -102,7 +197,7 @@ async function publishSnapshot(env, org, site, snapshotId, approved) {
  * @param {string} org - The organization
  * @param {string} site - The site
  * @param {string} path - The page path
- * @returns {Promise<boolean>} - Success status
+ * @returns {Promise<{ok: boolean, status?: number, retryAfter?: number}>} - Publish result
  */
 async function publishPage(env, org, site, path) {
   try {
@@ -112,22 +207,136 @@ async function publishPage(env, org, site, path) {
       throw new Error('Org/Site not registered');
     }
     console.log('Publish Page Worker: publishing page', org, site, path);
-    const res = await fetch(`${ADMIN_API_BASE}/live/${org}/${site}/${MAIN_BRANCH}${path}`, {
+    const res = await adminFetch(env, org, site, apiKey, `${ADMIN_API_BASE}/live/${org}/${site}/${MAIN_BRANCH}${path}`, {
       method: 'POST',
-      headers: { Authorization: `token ${apiKey}` },
     });
     if (res.status >= 400) {
       console.error('Publish Page Worker: failed to publish page', org, site, path, res.status, res.statusText);
-      return false;
+      return failedResult(res);
     }
     console.log('Publish Page Worker: successfully published page', org, site, path, res.status, res.statusText);
-    return true;
+    return { ok: true, status: res.status };
   } catch (error) {
     console.error(`Failed to publish page ${path}:`, error.message);
-    return false;
+    return errorResult(error);
+  }
+}
+
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_POLL_MAX_ATTEMPTS = 60;
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Publish several pages of one site with a single admin bulk live job.
+ * The job is polled until it has stopped, and its details are mapped back to
+ * the requested paths.
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @param {Array<string>} paths - The page paths
+ * @returns {Promise<Map<string, Object>>} - Publish result per path
+ */
+async function bulkPublishPages(env, org, site, paths) {
+  const results = new Map(paths.map((path) => [path, { ok: false }]));
+  try {
+    const apiKey = await getApiKey(env, org, site);
+    if (!apiKey) {
+      console.log('Publish Page Worker: No API token found');
+      throw new Error('Org/Site not registered');
+    }
+    const get = (url) => adminFetch(env, org, site, apiKey, url);
+    console.log('Publish Page Worker: starting bulk publish job', org, site, paths.length);
+    const res = await adminFetch(env, org, site, apiKey, `${ADMIN_API_BASE}/live/${org}/${site}/${MAIN_BRANCH}/*`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ paths }),
+    });
+    if (res.status >= 400) {
+      console.error('Publish Page Worker: failed to start bulk publish job', org, site, res.status, res.statusText);
+      const result = failedResult(res);
+      return new Map(paths.map((path) => [path, result]));
+    }
+    const { job } = await res.json();
+    const jobUrl = `${ADMIN_API_BASE}/job/${org}/${site}/${MAIN_BRANCH}/${job.topic || 'live'}/${job.name}`;
+
+    let { state } = job;
+    for (let attempt = 0; state !== 'stopped' && attempt < JOB_POLL_MAX_ATTEMPTS; attempt += 1) {
+      if (attempt > 0) await sleep(env.JOB_POLL_INTERVAL_MS ?? JOB_POLL_INTERVAL_MS);
+      const jobRes = await get(jobUrl);
+      if (jobRes.ok) {
+        ({ state } = await jobRes.json());
+      }
+    }
+    if (state !== 'stopped') {
+      console.error('Publish Page Worker: bulk publish job did not finish in time', org, site, job.name);
+      return results;
+    }
+
+    const detailsRes = await get(`${jobUrl}/details`);
+    if (!detailsRes.ok) {
+      console.error('Publish Page Worker: failed to read bulk publish job details', org, site, job.name, detailsRes.status);
+      return results;
+    }
+    const details = await detailsRes.json();
+    for (const resource of details.data?.resources || []) {
+      if (results.has(resource.path)) {
+        results.set(resource.path, {
+          ok: resource.status < 400,
+          status: resource.status,
+          ...(resource.error && { xError: resource.error }),
+        });
+      }
+    }
+    console.log('Publish Page Worker: bulk publish job finished', org, site, job.name);
+  } catch (error) {
+    console.error(`Failed to bulk publish pages for ${org}/${site}:`, error.message);
+    return new Map(paths.map((path) => [path, errorResult(error)]));
+  }
+  return results;
+}
+
+/**
+ * Unpublish (take down) a page by calling the AEM Admin API
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @param {string} path - The page path
+ * @returns {Promise<{ok: boolean, status?: number, retryAfter?: number}>} - Publish result
+ */
+async function unpublishPage(env, org, site, path) {
+  try {
+    const apiKey = await getApiKey(env, org, site);
+    if (!apiKey) {
+      console.log('Unpublish Page Worker: No API token found');
+      throw new Error('Org/Site not registered');
+    }
+    console.log('Unpublish Page Worker: unpublishing page', org, site, path);
+    const res = await adminFetch(env, org, site, apiKey, `${ADMIN_API_BASE}/live/${org}/${site}/${MAIN_BRANCH}${path}`, {
+      method: 'DELETE',
+    });
+    if (res.status >= 400) {
+      console.error('Unpublish Page Worker: failed to unpublish page', org, site, path, res.status, res.statusText);
+      return failedResult(res);
+    }
+    console.log('Unpublish Page Worker: successfully unpublished page', org, site, path, res.status, res.statusText);
+    return { ok: true, status: res.status };
+  } catch (error) {
+    console.error(`Failed to unpublish page ${path}:`, error.message);
+    return errorResult(error);
   }
 }
 
+const PUBLISHED_BY = {
+  page: 'scheduled-page-publisher',
+  unpublish: 'scheduled-page-unpublisher',
+  snapshot: 'scheduled-snapshot-publisher',
+};
+
 /**
  * Batch move completed snapshots to completed folder (single R2 write operation)
  * @param {Object} env - The environment object
@@ -157,7 +366,10 @@ async function batchMoveToCompleted(env, snapshots) {
       path: snapshot.path,
       scheduledPublish: snapshot.scheduledPublish,
       publishedAt: snapshot.publishedAt,
-      publishedBy: snapshot.type === 'page' ? 'scheduled-page-publisher' : 'scheduled-snapshot-publisher',
+      publishedBy: PUBLISHED_BY[snapshot.type] || PUBLISHED_BY.snapshot,
+      action: snapshot.type === 'unpublish' ? 'unpublish' : 'publish',
+      ...(snapshot.recurrence && { occurrence: snapshot.occurrence }),
+      ...(snapshot.throttleEvents?.length > 0 && { throttleEvents: snapshot.throttleEvents }),
     });
   }
 
@@ -166,142 +378,466 @@ async function batchMoveToCompleted(env, snapshots) {
 }
 
 /**
- * Batch update scheduled.json to remove multiple published snapshots (single R2 read + write)
+ * Group entries by the org/site schedule they belong to
+ * @param {Array} snapshots - Array of {org, site, ...}
+ * @returns {Map<string, Array>} Entries by `<org>--<site>`
+ */
+function groupBySite(snapshots) {
+  const groups = new Map();
+  for (const snapshot of snapshots) {
+    const orgSiteKey = `${snapshot.org}--${snapshot.site}`;
+    if (!groups.has(orgSiteKey)) groups.set(orgSiteKey, []);
+    groups.get(orgSiteKey).push(snapshot);
+  }
+  return groups;
+}
+
+/**
+ * Batch update the site schedules to remove multiple published snapshots (one
+ * read + write per org/site). Recurring entries are advanced to their next
+ * occurrence instead of being removed, unless the series has ended.
  * @param {Object} env - The environment object
- * @param {Array} snapshots - Array of {org, site, path}
+ * @param {Array} snapshots - Array of {org, site, path, scheduledPublish, recurrence?,
+ * nextOccurrence?}
  * @returns {Promise<void>}
  */
 async function batchUpdateScheduledJson(env, snapshots) {
   try {
-  // Read current schedule data (single read)
-    const scheduleData = await env.R2_BUCKET.get('schedule.json');
-    if (!scheduleData) {
-      console.log('No schedule data found');
-      throw new Error('Schedule data not found');
-    }
-
-    const schedule = await scheduleData.json();
-
-    // Remove all published entries from schedule
-    for (const snapshot of snapshots) {
-      const orgSiteKey = `${snapshot.org}--${snapshot.site}`;
-
-      if (schedule[orgSiteKey] && schedule[orgSiteKey][snapshot.path]) {
-        delete schedule[orgSiteKey][snapshot.path];
-
-        // If no more entries for this org-site, remove the entire entry
-        if (Object.keys(schedule[orgSiteKey]).length === 0) {
-          delete schedule[orgSiteKey];
+    for (const [orgSiteKey, siteSnapshots] of groupBySite(snapshots)) {
+      const [{ org, site }] = siteSnapshots;
+      const results = await changeSiteSchedule(env, org, site, siteSnapshots.map((snapshot) => ({
+        op: 'complete',
+        path: snapshot.path,
+        type: snapshot.type || 'snapshot',
+        scheduledPublish: snapshot.scheduledPublish,
+        nextOccurrence: snapshot.recurrence ? snapshot.nextOccurrence : null,
+      })));
+      results.forEach(({ found, advanced }, i) => {
+        const { path } = siteSnapshots[i];
+        if (!found) {
+          console.warn(`Entry ${path} not found in the schedule of ${orgSiteKey}`);
+        } else if (advanced) {
+          console.log(`Advanced recurring entry ${path} for ${orgSiteKey} to ${advanced}`);
         }
-      } else {
-        console.warn(`Entry ${snapshot.path} not found in scheduled.json for ${orgSiteKey}`);
-      }
+      });
     }
-    await env.R2_BUCKET.put('schedule.json', JSON.stringify(schedule, null, 2));
   } catch (err) {
-    console.error('Failed to batch update scheduled.json:', err.message);
+    console.error('Failed to batch update the schedule:', err.message);
     throw err;
   }
 }
 
 /**
- * Check whether a schedule entry still exists in schedule.json.
+ * Check whether a schedule entry still exists in the site schedule.
  * Returns false if the entry was removed (e.g. via DELETE /schedule/page),
- * preventing publication of unscheduled items whose queue messages are
- * already in-flight.
+ * marked as failed by the DLQ worker or held, or re-scheduled to another
+ * time than the message was queued for, preventing publication of
+ * unscheduled items whose queue messages are already in-flight.
  */
-async function isStillScheduled(env, org, site, path) {
+async function isStillScheduled(env, org, site, path, type, scheduledPublish) {
+  // messages queued before the time was part of them are not compared
+  const queuedFor = scheduledPublish ? new Date(scheduledPublish).getTime() : null;
   try {
-    const scheduleData = await env.R2_BUCKET.get('schedule.json');
-    if (!scheduleData) return false;
-    const schedule = await scheduleData.json();
-    const orgSiteKey = `${org}--${site}`;
-    return !!(schedule[orgSiteKey] && schedule[orgSiteKey][path]);
+    const schedule = await readSiteSchedule(env, org, site);
+    return getPathActions(schedule, path)
+      .some((entry) => getActionType(entry) === type
+        && !['failed', 'held'].includes(entry.status)
+        && (queuedFor === null || new Date(entry.scheduledPublish).getTime() === queuedFor));
   } catch (err) {
     console.warn('Could not verify schedule entry, proceeding with publish:', err.message);
     return true;
   }
 }
 
+const RETRY_BASE_DELAY_SECONDS = 30;
+const RETRY_MAX_DELAY_SECONDS = 15 * 60;
+// Cloudflare Queues accept retry delays of up to 12 hours
+const THROTTLE_MAX_DELAY_SECONDS = 12 * 60 * 60;
+const THROTTLE_STATUSES = [429, 503];
+const DEFAULT_KILL_SWITCH_RETRY_SECONDS = 60 * 60;
+const DEFAULT_MAX_DEFERRALS = 24;
+
+function getBackoffSeconds(msg) {
+  const attempts = msg.attempts || 1;
+  return Math.min(RETRY_BASE_DELAY_SECONDS * 2 ** (attempts - 1), RETRY_MAX_DELAY_SECONDS);
+}
+
+/**
+ * Extend the in-flight marker of a message that is delivered again after a
+ * delay, so the cron worker does not queue the entry a second time while the
+ * message waits
+ * @param {Object} env - The environment object
+ * @param {Object} msg - The queue message
+ * @param {number} delaySeconds - The delay before it is delivered again
+ */
+async function refreshInFlight(env, msg, delaySeconds) {
+  await markInFlight(env, { ...msg.body, delaySeconds });
+}
+
+/**
+ * Retry a single message with an exponential backoff based on its attempts,
+ * leaving the other messages of the batch untouched. The failure is added to
+ * the message history, which the DLQ worker stores if the retries run out.
+ * @param {Object} env - The environment object
+ * @param {Object} msg - The queue message
+ * @param {string} reason - Why the message is retried
+ * @param {Object} failure - {status?, xError?, error?} of the failed attempt
+ */
+async function retryMessage(env, msg, reason, failure = {}) {
+  const delaySeconds = getBackoffSeconds(msg);
+  await appendHistory(env, msg.body, {
+    kind: 'failed',
+    ...failure,
+    attempt: msg.attempts || 1,
+    timestamp: new Date().toISOString(),
+  });
+  console.error(`${reason} (attempt ${msg.attempts || 1}), retrying in ${delaySeconds}s`);
+  await refreshInFlight(env, msg, delaySeconds);
+  msg.retry({ delaySeconds });
+}
+
+/**
+ * Whether a message was deferred (throttled or held back by the kill switch)
+ * more than `MAX_DEFERRALS` times (default 24), counted from its history
+ * @param {Object} env - The environment object
+ * @param {Object} msg - The queue message
+ * @returns {Promise<boolean>}
+ */
+async function hasExhaustedDeferrals(env, msg) {
+  const maxDeferrals = Number(env.MAX_DEFERRALS) || DEFAULT_MAX_DEFERRALS;
+  const history = await readHistory(env, msg.body);
+  const deferrals = history.filter(({ kind }) => kind === 'throttled' || kind === 'deferred');
+  return deferrals.length > maxDeferrals;
+}
+
+/**
+ * Send a message again after a delay and ack the original. Unlike `retry()`,
+ * this does not count against the queue's `max_retries`, so waiting for a
+ * rate limit does not send messages to the DLQ that admin never rejected.
+ * Falls back to `retry()` when the message cannot be sent, or once it was
+ * deferred more than `MAX_DEFERRALS` times, so a message admin keeps
+ * throttling still reaches the DLQ.
+ * @param {Object} env - The environment object
+ * @param {Object} msg - The queue message
+ * @param {number} delaySeconds - The delay before it is delivered again
+ */
+async function requeueMessage(env, msg, delaySeconds) {
+  await refreshInFlight(env, msg, delaySeconds);
+  try {
+    if (await hasExhaustedDeferrals(env, msg)) {
+      throw new Error('the message was deferred too many times');
+    }
+    if (!env.PUBLISH_QUEUE) throw new Error('PUBLISH_QUEUE binding is missing');
+    await env.PUBLISH_QUEUE.send(msg.body, { delaySeconds });
+    msg.ack();
+  } catch (err) {
+    console.warn('Could not send the message again, retrying it instead:', err.message);
+    msg.retry({ delaySeconds });
+  }
+}
+
+/**
+ * Send a throttled message again after the requested delay and record the
+ * throttling event in the message history.
+ * @param {Object} env - The environment object
+ * @param {Object} msg - The queue message
+ * @param {number} delaySeconds - The delay to wait for
+ * @param {Object} event - {source: 'admin'|'scheduler', status?, xError?}
+ */
+async function deferMessage(env, msg, delaySeconds, event) {
+  const delay = Math.min(delaySeconds, THROTTLE_MAX_DELAY_SECONDS);
+  await appendHistory(env, msg.body, {
+    kind: 'throttled',
+    ...event,
+    retryAfter: delay,
+    attempt: msg.attempts || 1,
+    timestamp: new Date().toISOString(),
+  });
+  const { org, site } = msg.body;
+  console.warn(`Throttled ${msg.body.path ?? msg.body.snapshotId} for ${org}/${site} (${event.source}), retrying in ${delay}s`);
+  await requeueMessage(env, msg, delay);
+}
+
+/**
+ * Retry a message whose publish failed. Rate-limit and unavailable responses
+ * pause the org in the limiter and wait for the delay the admin API asked for;
+ * other failures use the regular backoff.
+ * @param {Object} env - The environment object
+ * @param {Object} limiter - The per-org limiter
+ * @param {Object} msg - The queue message
+ * @param {Object} result - The publish result {ok, status, xError, retryAfter, error, source}
+ * @param {string} reason - Why the message is retried
+ */
+async function handleFailedMessage(env, limiter, msg, result, reason) {
+  const {
+    status, xError, error, source,
+  } = result;
+  if (THROTTLE_STATUSES.includes(status)) {
+    const delaySeconds = result.retryAfter ?? getBackoffSeconds(msg);
+    await limiter.block(msg.body.org, delaySeconds);
+    await deferMessage(env, msg, delaySeconds, { source: 'admin', status, ...(xError && { xError }) });
+  } else {
+    await retryMessage(env, msg, reason, {
+      status, xError, error, ...(source && { source }),
+    });
+  }
+}
+
+// Describe a published message for the completed and schedule updates
+function toPublishedEntry(body, path) {
+  return {
+    org: body.org,
+    site: body.site,
+    path,
+    scheduledPublish: body.scheduledPublish,
+    approved: body.approved ?? false,
+    type: body.type,
+    userId: body.userId,
+    recurrence: body.recurrence,
+    nextOccurrence: body.nextOccurrence,
+    occurrence: body.occurrence,
+    publishedAt: new Date().toISOString(), // Capture exact publish time
+  };
+}
+
+/**
+ * Publish the page messages of a batch with one bulk job per org/site. Only the
+ * messages whose path failed in the job are retried; a site with a single due
+ * page is still published with a plain live request.
+ * @param {Object} env - The environment object
+ * @param {Object} limiter - The per-org limiter
+ * @param {Array} messages - The page messages of the batch
+ * @param {Array} published - Collects {msg, entry} for every published message
+ * @returns {Promise<void>}
+ */
+async function publishPageMessages(env, limiter, messages, published) {
+  const groups = new Map();
+  for (const msg of messages) {
+    const { org, site } = msg.body;
+    const path = msg.body.path ?? msg.body.snapshotId;
+    if (!await isStillScheduled(env, org, site, path, 'page', msg.body.scheduledPublish)) {
+      console.log(`Skipping page ${path} for ${org}/${site}: entry was unscheduled`);
+      msg.ack();
+    } else {
+      const orgSiteKey = `${org}--${site}`;
+      if (!groups.has(orgSiteKey)) groups.set(orgSiteKey, { org, site, items: [] });
+      groups.get(orgSiteKey).items.push({ msg, path });
+    }
+  }
+
+  for (const { org, site, items } of groups.values()) {
+    const paths = [...new Set(items.map(({ path }) => path))];
+    const wait = await limiter.take(org);
+    if (wait > 0) {
+      for (const { msg } of items) {
+        await deferMessage(env, msg, wait, { source: 'scheduler' });
+      }
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+    const results = paths.length === 1
+      ? new Map([[paths[0], await publishPage(env, org, site, paths[0])]])
+      : await bulkPublishPages(env, org, site, paths);
+    for (const { msg, path } of items) {
+      const result = results.get(path);
+      if (result.ok) {
+        published.push({ msg, entry: toPublishedEntry(msg.body, path) });
+        console.log(`Successfully published page ${path} for ${org}/${site}`);
+      } else {
+        await handleFailedMessage(env, limiter, msg, result, `Failed to publish page ${path} for ${org}/${site}`);
+      }
+    }
+  }
+}
+
+/**
+ * Send every message of the batch again while the kill switch is on, after
+ * `KILL_SWITCH_RETRY_SECONDS` (default 1 hour). Like throttled messages, they
+ * are sent again rather than retried, so a long outage does not use up the
+ * queue's max_retries.
+ * @param {Object} env - The environment object
+ * @param {Array} messages - The messages of the batch
+ * @param {Object} killSwitch - {enabledAt, reason?}
+ */
+async function deferAllMessages(env, messages, killSwitch) {
+  const delaySeconds = Math.min(
+    Number(env.KILL_SWITCH_RETRY_SECONDS) || DEFAULT_KILL_SWITCH_RETRY_SECONDS,
+    THROTTLE_MAX_DELAY_SECONDS,
+  );
+  for (const msg of messages) {
+    await appendHistory(env, msg.body, {
+      kind: 'deferred',
+      source: 'kill-switch',
+      retryAfter: delaySeconds,
+      attempt: msg.attempts || 1,
+      timestamp: new Date().toISOString(),
+    });
+    await requeueMessage(env, msg, delaySeconds);
+  }
+  console.warn(`Kill switch is on since ${killSwitch.enabledAt}, deferring ${messages.length} messages in ${delaySeconds}s`);
+}
+
+/**
+ * Hold the messages of paused sites: their entries are marked as held (reason
+ * `paused`) and the messages acked, so resuming the site decides whether they
+ * are still published. The in-flight markers are removed, so the cron worker
+ * queues released entries again.
+ * @param {Object} env - The environment object
+ * @param {Array} messages - The messages of the batch
+ * @returns {Promise<Array>} The messages of sites that are not paused
+ */
+async function holdPausedMessages(env, messages) {
+  const paused = new Map();
+  const active = [];
+  for (const msg of messages) {
+    const { org, site } = msg.body;
+    const orgSiteKey = `${org}--${site}`;
+    if (!paused.has(orgSiteKey)) {
+      const pause = await getSitePause(env, org, site);
+      paused.set(orgSiteKey, pause ? { org, site, messages: [] } : null);
+    }
+    if (paused.get(orgSiteKey)) {
+      paused.get(orgSiteKey).messages.push(msg);
+    } else {
+      active.push(msg);
+    }
+  }
+
+  const heldAt = new Date(Date.now()).toISOString();
+  for (const group of paused.values()) {
+    if (group) {
+      const { org, site } = group;
+      try {
+        await changeSiteSchedule(env, org, site, group.messages.map(({ body }) => ({
+          op: 'hold',
+          path: body.path ?? body.snapshotId,
+          type: body.type || 'snapshot',
+          scheduledPublish: body.scheduledPublish,
+          heldAt,
+          reason: 'paused',
+        })));
+        for (const msg of group.messages) {
+          try {
+            await env.SCHEDULER_KV.delete(enqueuedKey(msg.body));
+          } catch (err) {
+            console.warn('Could not remove the in-flight marker:', err.message);
+          }
+          console.log(`Holding ${msg.body.type || 'snapshot'} ${msg.body.path ?? msg.body.snapshotId} for ${org}/${site}: scheduled publishing is paused`);
+          msg.ack();
+        }
+      } catch (err) {
+        for (const msg of group.messages) {
+          await retryMessage(env, msg, `Could not hold the entries of paused site ${org}/${site}`, { error: err.message });
+        }
+      }
+    }
+  }
+  return active;
+}
+
 export default {
   async queue(batch, env) {
-    const publishedSnapshots = [];
-    // Step 1: Publish all snapshots/pages in the batch
-    for (const msg of batch.messages) {
+    const killSwitch = await getKillSwitch(env);
+    if (killSwitch) {
+      await deferAllMessages(env, batch.messages, killSwitch);
+      return;
+    }
+
+    const published = [];
+    const limiter = createOrgLimiter(env);
+    // Step 0: Hold the messages of paused sites
+    const messages = await holdPausedMessages(env, batch.messages);
+
+    // Step 1: Publish all pages with one bulk job per org/site
+    const pageMessages = messages.filter((msg) => msg.body.type === 'page');
+    await publishPageMessages(env, limiter, pageMessages, published);
+
+    // Step 2: Publish snapshots and take down pages
+    for (const msg of messages.filter((m) => m.body.type !== 'page')) {
       console.log('Publish Worker: processing message');
       console.log(`Message retry count: ${msg.attempts || 0}`);
       const {
         org,
         site,
-        scheduledPublish,
         approved = false,
         type = 'snapshot',
-        userId,
+        scheduledPublish,
       } = msg.body;
       // backward compat: support in-flight messages that still use snapshotId
       const path = msg.body.path ?? msg.body.snapshotId;
 
       try {
         // Guard: verify the entry hasn't been unscheduled while the message was in-flight
-        const stillScheduled = await isStillScheduled(env, org, site, path);
+        const stillScheduled = await isStillScheduled(env, org, site, path, type, scheduledPublish);
         if (!stillScheduled) {
           console.log(`Skipping ${type} ${path} for ${org}/${site}: entry was unscheduled`);
+          msg.ack();
           // eslint-disable-next-line no-continue
           continue;
         }
 
-        // Publish the snapshot or page
-        const publishSuccess = type === 'page'
-          ? await publishPage(env, org, site, path)
-          : await publishSnapshot(env, org, site, path, approved);
-
-        if (!publishSuccess) {
-          // Publish failed - throw error to trigger queue retry for entire batch
-          const error = new Error(`Failed to publish ${type} ${path} for ${org}/${site}`);
-          console.error(error.message);
-          throw error;
+        const wait = await limiter.take(org);
+        if (wait > 0) {
+          await deferMessage(env, msg, wait, { source: 'scheduler' });
+          // eslint-disable-next-line no-continue
+          continue;
         }
 
-        // Track successfully published entry with publish timestamp
-        publishedSnapshots.push({
-          org,
-          site,
-          path,
-          scheduledPublish,
-          approved,
-          type,
-          userId,
-          publishedAt: new Date().toISOString(), // Capture exact publish time
-        });
+        // Publish the snapshot, or take the page down
+        const result = type === 'unpublish'
+          ? await unpublishPage(env, org, site, path)
+          : await publishSnapshot(env, org, site, path, approved);
 
-        console.log(`Successfully published ${type} ${path} for ${org}/${site}`);
+        if (result.ok) {
+          // Track successfully published entry with publish timestamp
+          published.push({ msg, entry: toPublishedEntry({ ...msg.body, type }, path) });
+          console.log(`Successfully published ${type} ${path} for ${org}/${site}`);
+        } else {
+          const action = type === 'unpublish' ? 'unpublish page' : `publish ${type}`;
+          await handleFailedMessage(env, limiter, msg, result, `Failed to ${action} ${path} for ${org}/${site}`);
+        }
       } catch (err) {
-        console.error(`Publish Worker failed (attempt ${msg.attempts || 1}):`, org, site, path, err.message);
-        // Re-throw to signal failure and trigger automatic retry by Cloudflare Queues
-        throw err;
+        await retryMessage(env, msg, `Publish Worker failed for ${org}/${site} ${path}`, { error: err.message });
       }
     }
 
-    // Step 2: Batch update completed snapshots
-    if (publishedSnapshots.length > 0) {
-      try {
-        await batchMoveToCompleted(env, publishedSnapshots);
-        console.log(`Moved ${publishedSnapshots.length} snapshots to completed folder`);
-      } catch (err) {
-        console.error('Failed to batch move to completed:', err.message);
-        throw err;
-      }
+    await limiter.flush();
+    if (published.length === 0) {
+      return;
+    }
 
-      // Step 3: Batch update schedule.json
-      try {
-        await batchUpdateScheduledJson(env, publishedSnapshots);
-        console.log(`Updated schedule.json, removed ${publishedSnapshots.length} snapshots`);
-      } catch (err) {
-        console.error('Failed to batch update schedule.json:', err.message);
-        throw err;
+    // Step 3: Record the published entries in completed/ and the schedule. The
+    // messages are only acked once both writes succeeded, otherwise they are retried.
+    for (const item of published) {
+      item.history = await readHistory(env, item.msg.body);
+      item.entry.throttleEvents = item.history.filter((event) => event.kind === 'throttled');
+    }
+    const publishedSnapshots = published.map(({ entry }) => entry);
+    try {
+      await batchMoveToCompleted(env, publishedSnapshots);
+      console.log(`Moved ${publishedSnapshots.length} snapshots to completed folder`);
+
+      await batchUpdateScheduledJson(env, publishedSnapshots);
+      console.log(`Updated the schedule, removed ${publishedSnapshots.length} snapshots`);
+    } catch (err) {
+      console.error('Failed to record published entries:', err.message);
+      for (const { msg } of published) {
+        await retryMessage(
+          env,
+          msg,
+          `Failed to record ${msg.body.type || 'snapshot'} ${msg.body.path ?? msg.body.snapshotId}`,
+          { error: err.message },
+        );
       }
+      return;
     }
 
+    for (const { msg, history } of published) {
+      msg.ack();
+      if (history.length > 0) {
+        await clearHistory(env, msg.body);
+      }
+    }
     console.log(`Successfully processed ${publishedSnapshots.length} entries`);
   },
 };
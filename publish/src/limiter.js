@@ -0,0 +1,125 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+
+const WINDOW_MS = 60 * 1000;
+const DEFAULT_LIMIT_PER_MINUTE = 60;
+
+/**
+ * Read the delay an admin API response asks for, in seconds. Supports
+ * `Retry-After` (seconds or HTTP date) and the `RateLimit-Reset` /
+ * `X-RateLimit-Reset` headers (seconds until the limit resets).
+ * @param {Response} res - The admin API response
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|undefined} The delay in seconds, if the response asks for one
+ */
+export function getRetryAfterSeconds(res, now = Date.now()) {
+  const headers = res?.headers;
+  if (!headers?.get) return undefined;
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, Math.ceil((date - now) / 1000));
+  }
+  const reset = headers.get('ratelimit-reset') || headers.get('x-ratelimit-reset');
+  if (reset && Number.isFinite(Number(reset))) {
+    return Math.max(0, Math.ceil(Number(reset)));
+  }
+  return undefined;
+}
+
+/**
+ * Create a per-org limiter for the admin API calls of one queue batch. The
+ * state is shared through KV (`ratelimit--<org>`) so that concurrent batches
+ * stay within the same budget, and a site that is being throttled is left
+ * alone until the admin API allows requests again. The KV counter is
+ * best-effort: it caps the scheduler's share of the org's admin quota so
+ * authors can keep working during large releases.
+ * @param {Object} env - The environment object (SCHEDULER_KV, ORG_RATE_LIMIT_PER_MINUTE)
+ * @param {Function} now - Returns the current time in milliseconds
+ */
+export function createOrgLimiter(env, now = () => Date.now()) {
+  const limit = Number(env.ORG_RATE_LIMIT_PER_MINUTE) || DEFAULT_LIMIT_PER_MINUTE;
+  const states = new Map();
+  const changed = new Set();
+
+  async function load(org) {
+    if (!states.has(org)) {
+      let state = null;
+      try {
+        state = await env.SCHEDULER_KV.get(`ratelimit--${org}`, { type: 'json' });
+      } catch (err) {
+        console.warn(`Could not read rate limit state for ${org}:`, err.message);
+      }
+      states.set(org, {
+        blockedUntil: 0, window: 0, count: 0, ...state,
+      });
+    }
+    return states.get(org);
+  }
+
+  return {
+    /**
+     * Take one admin API call from the org's budget.
+     * @returns {Promise<number>} 0 when the call may proceed, otherwise the
+     * number of seconds to wait
+     */
+    async take(org) {
+      const state = await load(org);
+      const time = now();
+      if (state.blockedUntil > time) {
+        return Math.ceil((state.blockedUntil - time) / 1000);
+      }
+      const window = Math.floor(time / WINDOW_MS);
+      if (state.window !== window) {
+        state.window = window;
+        state.count = 0;
+      }
+      if (state.count >= limit) {
+        return Math.ceil(((window + 1) * WINDOW_MS - time) / 1000);
+      }
+      state.count += 1;
+      changed.add(org);
+      return 0;
+    },
+
+    /**
+     * Stop calling the admin API for an org until the given delay has passed.
+     */
+    async block(org, seconds) {
+      const state = await load(org);
+      state.blockedUntil = Math.max(state.blockedUntil, now() + seconds * 1000);
+      changed.add(org);
+    },
+
+    /**
+     * Persist the changed org states to KV.
+     */
+    async flush() {
+      const time = now();
+      await Promise.all([...changed].map(async (org) => {
+        const state = states.get(org);
+        const until = Math.max(state.blockedUntil, (state.window + 1) * WINDOW_MS);
+        // KV requires an expiration of at least 60 seconds
+        const expirationTtl = Math.max(60, Math.ceil((until - time) / 1000) + 60);
+        try {
+          await env.SCHEDULER_KV.put(`ratelimit--${org}`, JSON.stringify(state), { expirationTtl });
+        } catch (err) {
+          console.warn(`Could not store rate limit state for ${org}:`, err.message);
+        }
+      }));
+      changed.clear();
+    },
+  };
+}
@@ -0,0 +1,97 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createOrgLimiter, getRetryAfterSeconds } from '../src/limiter.js';
+
+function createKV() {
+  const store = new Map();
+  return {
+    store,
+    get: async (key, options) => {
+      const value = store.get(key)?.value ?? null;
+      return value && options?.type === 'json' ? JSON.parse(value) : value;
+    },
+    put: async (key, value, options) => {
+      store.set(key, { value, options });
+    },
+  };
+}
+
+describe('getRetryAfterSeconds', () => {
+  const now = Date.parse('2025-01-01T10:00:00Z');
+
+  it('should read Retry-After in seconds', () => {
+    const res = new Response(null, { status: 429, headers: { 'Retry-After': '120' } });
+    assert.strictEqual(getRetryAfterSeconds(res, now), 120);
+  });
+
+  it('should read Retry-After as an HTTP date', () => {
+    const res = new Response(null, { status: 503, headers: { 'Retry-After': 'Wed, 01 Jan 2025 10:01:30 GMT' } });
+    assert.strictEqual(getRetryAfterSeconds(res, now), 90);
+  });
+
+  it('should fall back to the rate-limit reset header', () => {
+    const res = new Response(null, { status: 429, headers: { 'X-RateLimit-Reset': '15' } });
+    assert.strictEqual(getRetryAfterSeconds(res, now), 15);
+  });
+
+  it('should return undefined without a delay header', () => {
+    assert.strictEqual(getRetryAfterSeconds(new Response(null, { status: 429 }), now), undefined);
+    assert.strictEqual(getRetryAfterSeconds({ status: 429 }, now), undefined);
+  });
+});
+
+describe('createOrgLimiter', () => {
+  it('should allow calls up to the per-minute limit and defer the rest to the next window', async () => {
+    const kv = createKV();
+    const time = Date.parse('2025-01-01T10:00:45Z');
+    const limiter = createOrgLimiter({ SCHEDULER_KV: kv, ORG_RATE_LIMIT_PER_MINUTE: '2' }, () => time);
+
+    assert.strictEqual(await limiter.take('org1'), 0);
+    assert.strictEqual(await limiter.take('org1'), 0);
+    assert.strictEqual(await limiter.take('org1'), 15);
+    assert.strictEqual(await limiter.take('org2'), 0, 'Other orgs keep their own budget');
+  });
+
+  it('should share the budget and blocks through KV', async () => {
+    const kv = createKV();
+    let time = Date.parse('2025-01-01T10:00:00Z');
+    const env = { SCHEDULER_KV: kv, ORG_RATE_LIMIT_PER_MINUTE: '2' };
+
+    const first = createOrgLimiter(env, () => time);
+    assert.strictEqual(await first.take('org1'), 0);
+    await first.block('org1', 300);
+    await first.flush();
+    assert.ok(kv.store.get('ratelimit--org1').options.expirationTtl >= 300);
+
+    const second = createOrgLimiter(env, () => time);
+    assert.strictEqual(await second.take('org1'), 300);
+
+    time += 301 * 1000;
+    const third = createOrgLimiter(env, () => time);
+    assert.strictEqual(await third.take('org1'), 0);
+  });
+
+  it('should fail open when KV is unavailable', async () => {
+    const env = {
+      SCHEDULER_KV: {
+        get: async () => { throw new Error('KV down'); },
+        put: async () => { throw new Error('KV down'); },
+      },
+    };
+    const limiter = createOrgLimiter(env);
+    assert.strictEqual(await limiter.take('org1'), 0);
+    await limiter.flush();
+  });
+});
@@ -15,12 +15,38 @@ import {
   describe, it, beforeEach, afterEach,
 } from 'node:test';
 import assert from 'node:assert';
+// eslint-disable-next-line import/no-relative-packages
+import { writeApiKey } from '../../shared/api-key-store.js';
 
 // Mock console methods to avoid noise in tests
 const originalConsoleLog = console.log;
 const originalConsoleError = console.error;
 const originalConsoleWarn = console.warn;
 
+/**
+ * Run the queue handler with ack/retry spies on every message
+ * @returns {Promise<{acked: Array, retried: Array, retryDelays: Array}>} - The paths of
+ * the acked and retried messages and the requested retry delays
+ */
+async function runQueue(worker, batch, env) {
+  const acked = [];
+  const retried = [];
+  const retryDelays = [];
+  const messages = batch.messages.map((msg) => {
+    const path = msg.body.path ?? msg.body.snapshotId;
+    return {
+      ...msg,
+      ack: () => acked.push(path),
+      retry: (options) => {
+        retried.push(path);
+        retryDelays.push(options?.delaySeconds);
+      },
+    };
+  });
+  await worker.queue({ ...batch, messages }, env);
+  return { acked, retried, retryDelays };
+}
+
 describe('Publish Snapshot Service Tests', () => {
   let mockEnv;
   let mockR2Bucket;
@@ -50,16 +76,18 @@ describe('Publish Snapshot Service Tests', () => {
     // Mock R2 bucket
     mockR2Bucket = {
       get: async (key) => {
-        if (key === 'schedule.json') {
+        if (key === 'schedules/org1--site1.json') {
           return {
             json: async () => ({
-              'org1--site1': {
-                snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
-                snapshot2: { scheduledPublish: '2025-01-01T11:00:00Z', approved: false },
-              },
-              'org2--site2': {
-                snapshot3: { scheduledPublish: '2025-01-01T12:00:00Z', approved: false },
-              },
+              snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
+              snapshot2: { scheduledPublish: '2025-01-01T11:00:00Z', approved: false },
+            }),
+          };
+        }
+        if (key === 'schedules/org2--site2.json') {
+          return {
+            json: async () => ({
+              snapshot3: { scheduledPublish: '2025-01-01T12:00:00Z', approved: false },
             }),
           };
         }
@@ -136,13 +164,13 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      await worker.queue(batch, mockEnv);
+      await runQueue(worker, batch, mockEnv);
 
       // Verify fetch was called with correct parameters
       assert.strictEqual(mockFetch.callCount || 1, 1);
     });
 
-    it('should handle publish API failures and throw to trigger retry', async () => {
+    it('should retry the message when the publish API fails', async () => {
       // Mock fetch to return error
       global.fetch = async () => {
         throw new Error('Publish API failed');
@@ -161,19 +189,18 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      // Should throw error to trigger queue retry
-      await assert.rejects(
-        () => worker.queue(batch, mockEnv),
-        /Failed to publish snapshot snapshot1 for org1\/site1/,
-      );
+      const { acked, retried, retryDelays } = await runQueue(worker, batch, mockEnv);
+      assert.deepStrictEqual(acked, []);
+      assert.deepStrictEqual(retried, ['snapshot1']);
+      assert.deepStrictEqual(retryDelays, [30]);
     });
   });
 
   describe('updateScheduledJson function', () => {
-    it('should remove published snapshot from scheduled.json', async () => {
+    it('should remove published snapshot from the site schedule', async () => {
       let updatedSchedule = null;
       mockR2Bucket.put = async (key, data) => {
-        if (key === 'schedule.json') {
+        if (key === 'schedules/org1--site1.json') {
           updatedSchedule = JSON.parse(data);
         }
         return true;
@@ -192,31 +219,27 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      await worker.queue(batch, mockEnv);
+      await runQueue(worker, batch, mockEnv);
 
       // Verify snapshot was removed from schedule
       assert(updatedSchedule, 'Schedule should be updated');
-      assert.strictEqual(updatedSchedule['org1--site1'].snapshot1, undefined);
-      assert(updatedSchedule['org1--site1'].snapshot2, 'snapshot2 should remain in schedule');
+      assert.strictEqual(updatedSchedule.snapshot1, undefined);
+      assert(updatedSchedule.snapshot2, 'snapshot2 should remain in schedule');
     });
 
-    it('should remove entire org-site entry when no snapshots remain', async () => {
-      let updatedSchedule = null;
+    it('should empty the org-site schedule and unlist it when no snapshots remain', async () => {
+      const writes = {};
       mockR2Bucket.put = async (key, data) => {
-        if (key === 'schedule.json') {
-          updatedSchedule = JSON.parse(data);
-        }
+        writes[key] = JSON.parse(data);
         return true;
       };
 
       // Mock schedule with only one snapshot for the org-site
       mockR2Bucket.get = async (key) => {
-        if (key === 'schedule.json') {
+        if (key === 'schedules/org1--site1.json') {
           return {
             json: async () => ({
-              'org1--site1': {
-                snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
-              },
+              snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
             }),
           };
         }
@@ -236,18 +259,111 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      await worker.queue(batch, mockEnv);
+      await runQueue(worker, batch, mockEnv);
 
-      // Verify entire org-site entry was removed
-      assert(updatedSchedule, 'Schedule should be updated');
-      assert.strictEqual(updatedSchedule['org1--site1'], undefined);
+      // Verify the org-site schedule was emptied and removed from the index
+      assert.deepStrictEqual(writes['schedules/org1--site1.json'], {});
+      assert.deepStrictEqual(writes['schedules/index.json'], []);
+    });
+
+    it('should advance a recurring entry to its next occurrence instead of removing it', async () => {
+      let updatedSchedule = null;
+      let completedData = null;
+      global.fetch = async () => ({ ok: true, status: 200, statusText: 'OK' });
+      mockR2Bucket.get = async (key) => {
+        if (key === 'schedules/org1--site1.json') {
+          return {
+            json: async () => ({
+              '/weekly': {
+                type: 'page',
+                scheduledPublish: '2025-01-01T10:00:00Z',
+                recurrence: { freq: 'weekly', count: 3 },
+              },
+            }),
+          };
+        }
+        return null;
+      };
+      mockR2Bucket.put = async (key, data) => {
+        if (key === 'schedules/org1--site1.json') updatedSchedule = JSON.parse(data);
+        if (key.startsWith('completed/')) completedData = JSON.parse(data);
+        return true;
+      };
+
+      const { default: worker } = await import('../src/index.js');
+
+      await runQueue(worker, {
+        messages: [{
+          body: {
+            org: 'org1',
+            site: 'site1',
+            path: '/weekly',
+            type: 'page',
+            scheduledPublish: '2025-01-01T10:00:00Z',
+            recurrence: { freq: 'weekly', count: 3 },
+            occurrence: 1,
+            nextOccurrence: { scheduledPublish: '2025-01-08T10:00:00.000Z', occurrence: 2 },
+          },
+        }],
+      }, mockEnv);
+
+      const entry = updatedSchedule['/weekly'];
+      assert.strictEqual(entry.scheduledPublish, '2025-01-08T10:00:00.000Z');
+      assert.strictEqual(entry.occurrence, 2);
+      assert.deepStrictEqual(entry.recurrence, { freq: 'weekly', count: 3 });
+      assert.strictEqual(completedData[0].occurrence, 1);
+    });
+
+    it('should remove a recurring entry once the series has ended', async () => {
+      let updatedSchedule = null;
+      global.fetch = async () => ({ ok: true, status: 200, statusText: 'OK' });
+      mockR2Bucket.get = async (key) => {
+        if (key === 'schedules/org1--site1.json') {
+          return {
+            json: async () => ({
+              '/weekly': {
+                type: 'page',
+                scheduledPublish: '2025-01-01T10:00:00Z',
+                recurrence: { freq: 'weekly', count: 3 },
+                occurrence: 3,
+              },
+              snapshot2: { scheduledPublish: '2025-01-01T11:00:00Z', approved: false },
+            }),
+          };
+        }
+        return null;
+      };
+      mockR2Bucket.put = async (key, data) => {
+        if (key === 'schedules/org1--site1.json') updatedSchedule = JSON.parse(data);
+        return true;
+      };
+
+      const { default: worker } = await import('../src/index.js');
+
+      await runQueue(worker, {
+        messages: [{
+          body: {
+            org: 'org1',
+            site: 'site1',
+            path: '/weekly',
+            type: 'page',
+            scheduledPublish: '2025-01-01T10:00:00Z',
+            recurrence: { freq: 'weekly', count: 3 },
+            occurrence: 3,
+            nextOccurrence: null,
+          },
+        }],
+      }, mockEnv);
+
+      assert.strictEqual(updatedSchedule['/weekly'], undefined);
+      assert(updatedSchedule.snapshot2, 'snapshot2 should remain in schedule');
     });
 
     it('should skip publish when schedule data is missing (entry was unscheduled)', async () => {
       let scheduleWritten = false;
       mockR2Bucket.get = async () => null;
       mockR2Bucket.put = async (key) => {
-        if (key === 'schedule.json') scheduleWritten = true;
+        if (key === 'schedules/org1--site1.json') scheduleWritten = true;
         return true;
       };
 
@@ -264,8 +380,8 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      await worker.queue(batch, mockEnv);
-      assert.strictEqual(scheduleWritten, false, 'Should not write schedule.json when all messages were skipped');
+      await runQueue(worker, batch, mockEnv);
+      assert.strictEqual(scheduleWritten, false, 'Should not write the schedule when all messages were skipped');
     });
 
     it('should skip publish when entry is not found in schedule (unscheduled)', async () => {
@@ -289,9 +405,35 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      await worker.queue(batch, mockEnv);
+      await runQueue(worker, batch, mockEnv);
       assert.strictEqual(publishCalled, false, 'Should not call publish API for unscheduled entry');
     });
+
+    it('should skip publish when the entry was re-scheduled after it was queued', async () => {
+      let publishCalled = false;
+      global.fetch = async () => {
+        publishCalled = true;
+        return { ok: true, status: 200 };
+      };
+
+      const { default: worker } = await import('../src/index.js');
+
+      // snapshot2 is scheduled for 11:00, the message was queued for 10:00
+      const { acked, retried } = await runQueue(worker, {
+        messages: [{
+          body: {
+            org: 'org1',
+            site: 'site1',
+            path: 'snapshot2',
+            scheduledPublish: '2025-01-01T10:00:00Z',
+          },
+        }],
+      }, mockEnv);
+
+      assert.strictEqual(publishCalled, false, 'Should not publish at the old time');
+      assert.deepStrictEqual(acked, ['snapshot2']);
+      assert.deepStrictEqual(retried, []);
+    });
   });
 
   describe('moveToCompleted function', () => {
@@ -321,7 +463,7 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      await worker.queue(batch, mockEnv);
+      await runQueue(worker, batch, mockEnv);
 
       // Verify completed data structure
       assert(completedData, 'Completed data should be stored');
@@ -350,12 +492,10 @@ describe('Publish Snapshot Service Tests', () => {
 
       // Mock no existing completed data
       mockR2Bucket.get = async (key) => {
-        if (key === 'schedule.json') {
+        if (key === 'schedules/org1--site1.json') {
           return {
             json: async () => ({
-              'org1--site1': {
-                snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
-              },
+              snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
             }),
           };
         }
@@ -375,7 +515,7 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      await worker.queue(batch, mockEnv);
+      await runQueue(worker, batch, mockEnv);
 
       // Verify new completed data was created
       assert(completedData, 'Completed data should be created');
@@ -390,7 +530,7 @@ describe('Publish Snapshot Service Tests', () => {
       let completedUpdateCount = 0;
 
       mockR2Bucket.put = async (key) => {
-        if (key === 'schedule.json') {
+        if (key === 'schedules/org1--site1.json') {
           scheduleUpdateCount += 1;
         }
         if (key.startsWith('completed/') && key.endsWith('.json')) {
@@ -422,14 +562,43 @@ describe('Publish Snapshot Service Tests', () => {
         ],
       };
 
-      await worker.queue(batch, mockEnv);
+      await runQueue(worker, batch, mockEnv);
 
       // Verify batch optimization: only 1 write per file (not 1 per snapshot)
-      assert.strictEqual(scheduleUpdateCount, 1, 'Should update schedule.json once per batch');
+      assert.strictEqual(scheduleUpdateCount, 1, 'Should update the site schedule once per batch');
       assert.strictEqual(completedUpdateCount, 1, 'Should update completed file once per batch');
     });
 
-    it('should throw error on first failure and stop batch processing', async () => {
+    it('should retry the published messages when the site schedule keeps changing concurrently', async () => {
+      let scheduleWrites = 0;
+      mockR2Bucket.put = async (key) => {
+        if (key === 'schedules/org1--site1.json') {
+          scheduleWrites += 1;
+          // R2 resolves conditional puts to null when the etag no longer matches
+          return null;
+        }
+        return true;
+      };
+
+      const { default: worker } = await import('../src/index.js');
+
+      const { acked, retried } = await runQueue(worker, {
+        messages: [{
+          body: {
+            org: 'org1',
+            site: 'site1',
+            path: 'snapshot1',
+            scheduledPublish: '2025-01-01T10:00:00Z',
+          },
+        }],
+      }, mockEnv);
+
+      assert.strictEqual(scheduleWrites, 5, 'Should re-read and retry a bounded number of times');
+      assert.deepStrictEqual(acked, []);
+      assert.deepStrictEqual(retried, ['snapshot1']);
+    });
+
+    it('should retry only the failed message and still record the others', async () => {
       // Mock fetch to fail for first message only
       let callCount = 0;
       global.fetch = async () => {
@@ -443,11 +612,11 @@ describe('Publish Snapshot Service Tests', () => {
         };
       };
 
-      let scheduleUpdateCount = 0;
-      mockR2Bucket.put = async (key) => {
-        if (key === 'schedule.json') {
-          scheduleUpdateCount += 1;
-        }
+      const scheduleWrites = [];
+      let completed;
+      mockR2Bucket.put = async (key, value) => {
+        if (key.startsWith('schedules/')) scheduleWrites.push(key);
+        if (key.startsWith('completed/')) completed = JSON.parse(value);
         return true;
       };
 
@@ -456,6 +625,7 @@ describe('Publish Snapshot Service Tests', () => {
       const batch = {
         messages: [
           {
+            attempts: 3,
             body: {
               org: 'org1',
               site: 'site1',
@@ -468,23 +638,23 @@ describe('Publish Snapshot Service Tests', () => {
               org: 'org2',
               site: 'site2',
               path: 'snapshot3',
-              scheduledPublish: '2025-01-01T10:00:00Z',
+              scheduledPublish: '2025-01-01T12:00:00Z',
             },
           },
         ],
       };
 
-      // Should throw on first failure, stopping batch processing
-      await assert.rejects(
-        () => worker.queue(batch, mockEnv),
-        /Failed to publish snapshot snapshot1 for org1\/site1/,
-      );
+      const { acked, retried, retryDelays } = await runQueue(worker, batch, mockEnv);
 
-      // No snapshots should be processed due to first failure
-      assert.strictEqual(scheduleUpdateCount, 0);
+      assert.deepStrictEqual(retried, ['snapshot1']);
+      assert.deepStrictEqual(retryDelays, [120], 'Backoff grows with the message attempts');
+      assert.deepStrictEqual(acked, ['snapshot3']);
+      assert.strictEqual(completed.at(-1).path, 'snapshot3');
+      // Only the schedule of the published site is touched
+      assert.deepStrictEqual(scheduleWrites, ['schedules/org2--site2.json', 'schedules/index.json']);
     });
 
-    it('should not update schedule when publish fails and throw error', async () => {
+    it('should not update schedule when publish fails', async () => {
       // Mock fetch to always fail
       global.fetch = async () => {
         throw new Error('Publish API failed');
@@ -492,7 +662,7 @@ describe('Publish Snapshot Service Tests', () => {
 
       let scheduleUpdateCount = 0;
       mockR2Bucket.put = async (key) => {
-        if (key === 'schedule.json') {
+        if (key === 'schedules/org1--site1.json') {
           scheduleUpdateCount += 1;
         }
         return true;
@@ -511,11 +681,8 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      // Should throw error to trigger retry
-      await assert.rejects(
-        () => worker.queue(batch, mockEnv),
-        /Failed to publish snapshot snapshot1 for org1\/site1/,
-      );
+      const { retried } = await runQueue(worker, batch, mockEnv);
+      assert.deepStrictEqual(retried, ['snapshot1']);
 
       // Schedule should not be updated when publish fails
       assert.strictEqual(scheduleUpdateCount, 0);
@@ -523,7 +690,7 @@ describe('Publish Snapshot Service Tests', () => {
   });
 
   describe('error handling', () => {
-    it('should throw error on R2 bucket errors to trigger retry', async () => {
+    it('should retry published messages on R2 bucket errors', async () => {
       mockR2Bucket.get = async () => {
         throw new Error('R2 bucket error');
       };
@@ -541,14 +708,13 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      // Should throw error to trigger retry (R2 error from batchUpdateScheduledJson)
-      await assert.rejects(
-        () => worker.queue(batch, mockEnv),
-        /R2 bucket error/,
-      );
+      // R2 error from batchUpdateScheduledJson
+      const { acked, retried } = await runQueue(worker, batch, mockEnv);
+      assert.deepStrictEqual(acked, []);
+      assert.deepStrictEqual(retried, ['snapshot1']);
     });
 
-    it('should throw error on R2 put errors to trigger retry', async () => {
+    it('should retry published messages on R2 put errors', async () => {
       mockR2Bucket.put = async () => {
         throw new Error('R2 put error');
       };
@@ -566,16 +732,14 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      // Should throw error to trigger retry (R2 put error occurs during schedule update)
-      await assert.rejects(
-        () => worker.queue(batch, mockEnv),
-        /R2 put error|Failed to update schedule\.json/,
-      );
+      const { acked, retried } = await runQueue(worker, batch, mockEnv);
+      assert.deepStrictEqual(acked, []);
+      assert.deepStrictEqual(retried, ['snapshot1']);
     });
 
-    it('should throw error on JSON parsing errors to trigger retry', async () => {
+    it('should retry published messages on JSON parsing errors', async () => {
       mockR2Bucket.get = async (key) => {
-        if (key === 'schedule.json') {
+        if (key === 'schedules/org1--site1.json') {
           return {
             json: async () => {
               throw new Error('JSON parsing error');
@@ -598,16 +762,14 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      // Should throw error to trigger retry (wrapped in schedule update error)
-      await assert.rejects(
-        () => worker.queue(batch, mockEnv),
-        /JSON parsing error|Failed to update schedule\.json/,
-      );
+      const { acked, retried } = await runQueue(worker, batch, mockEnv);
+      assert.deepStrictEqual(acked, []);
+      assert.deepStrictEqual(retried, ['snapshot1']);
     });
   });
 
   describe('edge cases', () => {
-    it('should throw error when API token missing for scheduled entry', async () => {
+    it('should retry the message when API token missing for scheduled entry', async () => {
       // Mock KV to return no API token
       mockEnv.SCHEDULER_KV.get = async () => null;
 
@@ -624,11 +786,9 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      // Should throw error (no API token found)
-      await assert.rejects(
-        () => worker.queue(batch, mockEnv),
-        /Org\/Site not registered|Failed to publish snapshot/,
-      );
+      // No API token found
+      const { retried } = await runQueue(worker, batch, mockEnv);
+      assert.deepStrictEqual(retried, ['snapshot1']);
     });
 
     it('should handle invalid scheduledPublish date format', async () => {
@@ -646,7 +806,7 @@ describe('Publish Snapshot Service Tests', () => {
       };
 
       // Should not throw error
-      await worker.queue(batch, mockEnv);
+      await runQueue(worker, batch, mockEnv);
     });
 
     it('should support backward-compat snapshotId field in message body', async () => {
@@ -664,7 +824,7 @@ describe('Publish Snapshot Service Tests', () => {
       };
 
       // Should not throw - backward compat with snapshotId
-      await worker.queue(batch, mockEnv);
+      await runQueue(worker, batch, mockEnv);
     });
   });
 
@@ -678,12 +838,10 @@ describe('Publish Snapshot Service Tests', () => {
 
       // Schedule does NOT contain /my-page (simulates DELETE was called)
       mockR2Bucket.get = async (key) => {
-        if (key === 'schedule.json') {
+        if (key === 'schedules/org1--site1.json') {
           return {
             json: async () => ({
-              'org1--site1': {
-                snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
-              },
+              snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
             }),
           };
         }
@@ -705,8 +863,9 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      await worker.queue(batch, mockEnv);
+      const { acked } = await runQueue(worker, batch, mockEnv);
       assert.strictEqual(publishCalled, false, 'Should not publish a page that was unscheduled');
+      assert.deepStrictEqual(acked, ['/my-page'], 'Unscheduled message is acked, not retried');
     });
 
     it('should still publish when isStillScheduled R2 read fails (fail-open)', async () => {
@@ -718,12 +877,10 @@ describe('Publish Snapshot Service Tests', () => {
           throw new Error('R2 transient error');
         }
         // Subsequent calls for batchMoveToCompleted / batchUpdateScheduledJson
-        if (key === 'schedule.json') {
+        if (key === 'schedules/org1--site1.json') {
           return {
             json: async () => ({
-              'org1--site1': {
-                snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
-              },
+              snapshot1: { scheduledPublish: '2025-01-01T10:00:00Z', approved: false },
             }),
           };
         }
@@ -744,7 +901,228 @@ describe('Publish Snapshot Service Tests', () => {
       };
 
       // Should not throw — fail-open means we publish when unsure
-      await worker.queue(batch, mockEnv);
+      await runQueue(worker, batch, mockEnv);
+    });
+  });
+
+  describe('paused sites', () => {
+    let store;
+    let writes;
+
+    beforeEach(() => {
+      store = new Map([
+        ['org1--site1--apiKey', 'test-api-key'],
+        ['org1--site1--paused', JSON.stringify({ pausedAt: '2025-01-01T09:00:00Z' })],
+        ['enqueued--org1--site1--page--/my-page--2025-01-01T10:00:00Z', '{}'],
+      ]);
+      mockEnv.SCHEDULER_KV = {
+        get: async (key, options) => {
+          const value = store.get(key) ?? null;
+          return value && options?.type === 'json' ? JSON.parse(value) : value;
+        },
+        put: async (key, value) => {
+          store.set(key, value);
+        },
+        delete: async (key) => {
+          store.delete(key);
+        },
+      };
+      writes = new Map();
+      mockR2Bucket.get = async (key) => {
+        if (key === 'schedules/org1--site1.json') {
+          return {
+            etag: 'etag-1',
+            json: async () => ({
+              '/my-page': { type: 'page', scheduledPublish: '2025-01-01T10:00:00Z' },
+            }),
+          };
+        }
+        return null;
+      };
+      mockR2Bucket.put = async (key, value) => {
+        writes.set(key, JSON.parse(value));
+        return {};
+      };
+    });
+
+    const pageMessage = {
+      body: {
+        org: 'org1',
+        site: 'site1',
+        path: '/my-page',
+        scheduledPublish: '2025-01-01T10:00:00Z',
+        type: 'page',
+      },
+    };
+
+    it('should hold and ack messages of paused sites without publishing', async () => {
+      let publishCalled = false;
+      global.fetch = async () => {
+        publishCalled = true;
+        return { ok: true, status: 200, statusText: 'OK' };
+      };
+
+      const { default: worker } = await import('../src/index.js');
+      const { acked, retried } = await runQueue(worker, { messages: [pageMessage] }, mockEnv);
+
+      assert.strictEqual(publishCalled, false);
+      assert.deepStrictEqual(acked, ['/my-page']);
+      assert.deepStrictEqual(retried, []);
+      assert.deepStrictEqual(writes.get('schedules/org1--site1.json'), {
+        '/my-page': {
+          type: 'page',
+          scheduledPublish: '2025-01-01T10:00:00Z',
+          status: 'held',
+          heldAt: '2025-01-01T10:00:00.000Z',
+          heldReason: 'paused',
+        },
+      });
+      // removed so the entry is queued again once it is released
+      assert.ok(!store.has('enqueued--org1--site1--page--/my-page--2025-01-01T10:00:00Z'));
+    });
+
+    it('should retry messages of paused sites when they cannot be held', async () => {
+      mockR2Bucket.put = async () => {
+        throw new Error('R2 unavailable');
+      };
+
+      const { default: worker } = await import('../src/index.js');
+      const { acked, retried } = await runQueue(worker, { messages: [pageMessage] }, mockEnv);
+
+      assert.deepStrictEqual(acked, []);
+      assert.deepStrictEqual(retried, ['/my-page']);
+    });
+
+    it('should not publish held entries of sites that are no longer paused', async () => {
+      store.delete('org1--site1--paused');
+      mockR2Bucket.get = async (key) => {
+        if (key === 'schedules/org1--site1.json') {
+          return {
+            json: async () => ({
+              '/my-page': {
+                type: 'page', scheduledPublish: '2025-01-01T10:00:00Z', status: 'held', heldReason: 'missed',
+              },
+            }),
+          };
+        }
+        return null;
+      };
+      let publishCalled = false;
+      global.fetch = async () => {
+        publishCalled = true;
+        return { ok: true, status: 200, statusText: 'OK' };
+      };
+
+      const { default: worker } = await import('../src/index.js');
+      const { acked } = await runQueue(worker, { messages: [pageMessage] }, mockEnv);
+
+      assert.strictEqual(publishCalled, false);
+      assert.deepStrictEqual(acked, ['/my-page']);
+    });
+  });
+
+  describe('API key rotation', () => {
+    const pageMessage = {
+      body: {
+        org: 'org1', site: 'site1', path: '/my-page', scheduledPublish: '2025-01-01T10:00:00Z', type: 'page',
+      },
+    };
+
+    function mockAdmin(validKey) {
+      const keys = [];
+      global.fetch = async (url, opts) => {
+        keys.push(opts.headers.Authorization);
+        const ok = opts.headers.Authorization === `token ${validKey}`;
+        return { ok, status: ok ? 200 : 401, statusText: ok ? 'OK' : 'Unauthorized' };
+      };
+      return keys;
+    }
+
+    beforeEach(() => {
+      mockR2Bucket.get = async (key) => (key === 'schedules/org1--site1.json'
+        ? { json: async () => ({ '/my-page': { type: 'page', scheduledPublish: '2025-01-01T10:00:00Z' } }) }
+        : null);
+    });
+
+    it('should retry with the next API key when the current one is rejected', async () => {
+      mockEnv.SCHEDULER_KV.get = async (key) => ({
+        'org1--site1--apiKey': 'expired-key',
+        'org1--site1--nextApiKey': 'next-key',
+      }[key] ?? null);
+      const keys = mockAdmin('next-key');
+
+      const { default: worker } = await import('../src/index.js');
+      const { acked, retried } = await runQueue(worker, { messages: [pageMessage] }, mockEnv);
+
+      assert.deepStrictEqual(keys, ['token expired-key', 'token next-key']);
+      assert.deepStrictEqual(acked, ['/my-page']);
+      assert.deepStrictEqual(retried, []);
+    });
+
+    it('should only use the current API key while it is accepted', async () => {
+      mockEnv.SCHEDULER_KV.get = async (key) => ({
+        'org1--site1--apiKey': 'current-key',
+        'org1--site1--nextApiKey': 'next-key',
+      }[key] ?? null);
+      const keys = mockAdmin('current-key');
+
+      const { default: worker } = await import('../src/index.js');
+      await runQueue(worker, { messages: [pageMessage] }, mockEnv);
+
+      assert.deepStrictEqual(keys, ['token current-key']);
+    });
+
+    it('should fail with the 401 when there is no next API key', async () => {
+      mockEnv.SCHEDULER_KV.get = async (key) => (key === 'org1--site1--apiKey' ? 'expired-key' : null);
+      const keys = mockAdmin('next-key');
+
+      const { default: worker } = await import('../src/index.js');
+      const { retried } = await runQueue(worker, { messages: [pageMessage] }, mockEnv);
+
+      assert.deepStrictEqual(keys, ['token expired-key']);
+      assert.deepStrictEqual(retried, ['/my-page']);
+    });
+  });
+
+  describe('API key encryption', () => {
+    it('should decrypt the stored API key', async () => {
+      const store = new Map();
+      const env = {
+        ...mockEnv,
+        API_KEY_ENCRYPTION_KEYS: JSON.stringify({ 1: Buffer.alloc(32, 1).toString('base64') }),
+        API_KEY_ENCRYPTION_KEY_VERSION: '1',
+        SCHEDULER_KV: {
+          get: async (key) => store.get(key) ?? null,
+          put: async (key, value) => {
+            store.set(key, value);
+          },
+        },
+      };
+      await writeApiKey(env, 'org1--site1--apiKey', 'secret-key');
+
+      const { getApiKey } = await import('../src/index.js');
+      assert.notStrictEqual(store.get('org1--site1--apiKey'), 'secret-key');
+      assert.strictEqual(await getApiKey(env, 'org1', 'site1'), 'secret-key');
+    });
+
+    it('should throw an api-key error for a stored API key it cannot decrypt', async () => {
+      const env = {
+        ...mockEnv,
+        SCHEDULER_KV: { get: async () => 'enc:1:AAAA:AAAA' },
+      };
+
+      const { getApiKey } = await import('../src/index.js');
+      await assert.rejects(getApiKey(env, 'org1', 'site1'), (err) => err.source === 'api-key');
+    });
+
+    it('should return null when no API key is stored', async () => {
+      const env = {
+        ...mockEnv,
+        SCHEDULER_KV: { get: async () => null },
+      };
+
+      const { getApiKey } = await import('../src/index.js');
+      assert.strictEqual(await getApiKey(env, 'org1', 'site1'), null);
     });
   });
 
@@ -759,12 +1137,10 @@ describe('Publish Snapshot Service Tests', () => {
 
       // Ensure /my-page exists in the schedule so isStillScheduled returns true
       mockR2Bucket.get = async (key) => {
-        if (key === 'schedule.json') {
+        if (key === 'schedules/org1--site1.json') {
           return {
             json: async () => ({
-              'org1--site1': {
-                '/my-page': { type: 'page', scheduledPublish: '2025-01-01T10:00:00Z', userId: 'user@example.com' },
-              },
+              '/my-page': { type: 'page', scheduledPublish: '2025-01-01T10:00:00Z', userId: 'user@example.com' },
             }),
           };
         }
@@ -787,10 +1163,190 @@ describe('Publish Snapshot Service Tests', () => {
       };
 
       // Should not throw
-      await worker.queue(batch, mockEnv);
+      await runQueue(worker, batch, mockEnv);
     });
 
-    it('should throw error when page publish API returns 4xx', async () => {
+    it('should unpublish a page with DELETE on the live API and record it as an unpublish', async () => {
+      const fetchCalls = [];
+      let completedData = null;
+      let updatedSchedule = null;
+      global.fetch = async (url, options) => {
+        fetchCalls.push({ url, method: options.method });
+        return { ok: true, status: 204, statusText: 'No Content' };
+      };
+      mockR2Bucket.get = async (key) => {
+        if (key === 'schedules/org1--site1.json') {
+          return {
+            json: async () => ({
+              '/campaign': { type: 'unpublish', scheduledPublish: '2025-01-01T10:00:00Z', userId: 'user@example.com' },
+            }),
+          };
+        }
+        return null;
+      };
+      mockR2Bucket.put = async (key, data) => {
+        if (key.startsWith('completed/')) completedData = JSON.parse(data);
+        if (key === 'schedules/org1--site1.json') updatedSchedule = JSON.parse(data);
+        return true;
+      };
+
+      const { default: worker } = await import('../src/index.js');
+
+      await runQueue(worker, {
+        messages: [{
+          body: {
+            org: 'org1',
+            site: 'site1',
+            path: '/campaign',
+            scheduledPublish: '2025-01-01T10:00:00Z',
+            type: 'unpublish',
+            userId: 'user@example.com',
+          },
+        }],
+      }, mockEnv);
+
+      assert.deepStrictEqual(fetchCalls, [{
+        url: 'https://admin.hlx.page/live/org1/site1/main/campaign',
+        method: 'DELETE',
+      }]);
+      assert.strictEqual(completedData[0].action, 'unpublish');
+      assert.strictEqual(completedData[0].publishedBy, 'scheduled-page-unpublisher');
+      assert.deepStrictEqual(updatedSchedule, {});
+    });
+
+    it('should retry the message when page unpublish API fails', async () => {
+      global.fetch = async () => ({ ok: false, status: 403, statusText: 'Forbidden' });
+      mockR2Bucket.get = async (key) => {
+        if (key === 'schedules/org1--site1.json') {
+          return {
+            json: async () => ({
+              '/campaign': { type: 'unpublish', scheduledPublish: '2025-01-01T10:00:00Z' },
+            }),
+          };
+        }
+        return null;
+      };
+
+      const { default: worker } = await import('../src/index.js');
+
+      const { retried } = await runQueue(worker, {
+        messages: [{
+          body: {
+            org: 'org1',
+            site: 'site1',
+            path: '/campaign',
+            scheduledPublish: '2025-01-01T10:00:00Z',
+            type: 'unpublish',
+          },
+        }],
+      }, mockEnv);
+      assert.deepStrictEqual(retried, ['/campaign']);
+    });
+
+    it('should remove only the published action when a path also has an unpublish scheduled', async () => {
+      let updatedSchedule = null;
+      global.fetch = async () => ({ ok: true, status: 200, statusText: 'OK' });
+      mockR2Bucket.get = async (key) => {
+        if (key === 'schedules/org1--site1.json') {
+          return {
+            json: async () => ({
+              '/promo': [
+                { type: 'page', scheduledPublish: '2025-01-01T10:00:00Z' },
+                { type: 'unpublish', scheduledPublish: '2025-01-08T10:00:00Z' },
+              ],
+            }),
+          };
+        }
+        return null;
+      };
+      mockR2Bucket.put = async (key, data) => {
+        if (key === 'schedules/org1--site1.json') updatedSchedule = JSON.parse(data);
+        return true;
+      };
+
+      const { default: worker } = await import('../src/index.js');
+
+      await runQueue(worker, {
+        messages: [{
+          body: {
+            org: 'org1',
+            site: 'site1',
+            path: '/promo',
+            scheduledPublish: '2025-01-01T10:00:00Z',
+            type: 'page',
+          },
+        }],
+      }, mockEnv);
+
+      assert.deepStrictEqual(updatedSchedule['/promo'], {
+        type: 'unpublish', scheduledPublish: '2025-01-08T10:00:00Z',
+      });
+    });
+
+    it('should keep an entry that was re-scheduled while it was published', async () => {
+      let schedule = { '/promo': { type: 'page', scheduledPublish: '2025-01-01T10:00:00Z' } };
+      global.fetch = async () => {
+        // the author moves the page to 12:00 while admin publishes it
+        schedule = { '/promo': { type: 'page', scheduledPublish: '2025-01-01T12:00:00Z' } };
+        return { ok: true, status: 200, statusText: 'OK' };
+      };
+      mockR2Bucket.get = async (key) => (key === 'schedules/org1--site1.json'
+        ? { json: async () => structuredClone(schedule) }
+        : null);
+      let updatedSchedule = null;
+      mockR2Bucket.put = async (key, data) => {
+        if (key === 'schedules/org1--site1.json') updatedSchedule = JSON.parse(data);
+        return true;
+      };
+
+      const { default: worker } = await import('../src/index.js');
+
+      await runQueue(worker, {
+        messages: [{
+          body: {
+            org: 'org1', site: 'site1', path: '/promo', scheduledPublish: '2025-01-01T10:00:00Z', type: 'page',
+          },
+        }],
+      }, mockEnv);
+
+      assert.strictEqual(updatedSchedule, null);
+    });
+
+    it('should skip an unpublish message when only a publish is scheduled for the path', async () => {
+      let fetchCalled = false;
+      global.fetch = async () => {
+        fetchCalled = true;
+        return { ok: true, status: 200, statusText: 'OK' };
+      };
+      mockR2Bucket.get = async (key) => {
+        if (key === 'schedules/org1--site1.json') {
+          return {
+            json: async () => ({
+              '/promo': { type: 'page', scheduledPublish: '2025-01-01T10:00:00Z' },
+            }),
+          };
+        }
+        return null;
+      };
+
+      const { default: worker } = await import('../src/index.js');
+
+      await runQueue(worker, {
+        messages: [{
+          body: {
+            org: 'org1',
+            site: 'site1',
+            path: '/promo',
+            scheduledPublish: '2025-01-01T10:00:00Z',
+            type: 'unpublish',
+          },
+        }],
+      }, mockEnv);
+
+      assert.strictEqual(fetchCalled, false);
+    });
+
+    it('should retry the message when page publish API returns 4xx', async () => {
       global.fetch = async (url) => {
         if (url.includes('/live/')) {
           return { ok: false, status: 403, statusText: 'Forbidden' };
@@ -799,12 +1355,10 @@ describe('Publish Snapshot Service Tests', () => {
       };
 
       mockR2Bucket.get = async (key) => {
-        if (key === 'schedule.json') {
+        if (key === 'schedules/org1--site1.json') {
           return {
             json: async () => ({
-              'org1--site1': {
-                '/my-page': { type: 'page', scheduledPublish: '2025-01-01T10:00:00Z', userId: 'user@example.com' },
-              },
+              '/my-page': { type: 'page', scheduledPublish: '2025-01-01T10:00:00Z', userId: 'user@example.com' },
             }),
           };
         }
@@ -826,22 +1380,19 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      await assert.rejects(
-        () => worker.queue(batch, mockEnv),
-        /Failed to publish page \/my-page for org1\/site1/,
-      );
+      const { acked, retried } = await runQueue(worker, batch, mockEnv);
+      assert.deepStrictEqual(acked, []);
+      assert.deepStrictEqual(retried, ['/my-page']);
     });
 
-    it('should throw error when page publish API token is missing', async () => {
+    it('should retry the message when page publish API token is missing', async () => {
       mockEnv.SCHEDULER_KV.get = async () => null;
 
       mockR2Bucket.get = async (key) => {
-        if (key === 'schedule.json') {
+        if (key === 'schedules/org1--site1.json') {
           return {
             json: async () => ({
-              'org1--site1': {
-                '/my-page': { type: 'page', scheduledPublish: '2025-01-01T10:00:00Z', userId: 'user@example.com' },
-              },
+              '/my-page': { type: 'page', scheduledPublish: '2025-01-01T10:00:00Z', userId: 'user@example.com' },
             }),
           };
         }
@@ -863,10 +1414,369 @@ describe('Publish Snapshot Service Tests', () => {
         }],
       };
 
-      await assert.rejects(
-        () => worker.queue(batch, mockEnv),
-        /Org\/Site not registered|Failed to publish page/,
+      const { retried } = await runQueue(worker, batch, mockEnv);
+      assert.deepStrictEqual(retried, ['/my-page']);
+    });
+  });
+
+  describe('bulk page publishing', () => {
+    function pageMessage(path) {
+      return {
+        body: {
+          org: 'org1',
+          site: 'site1',
+          path,
+          scheduledPublish: '2025-01-01T10:00:00Z',
+          type: 'page',
+        },
+      };
+    }
+
+    function mockSchedule(paths) {
+      const schedule = Object.fromEntries(paths.map((path) => [path, { type: 'page', scheduledPublish: '2025-01-01T10:00:00Z' }]));
+      mockR2Bucket.get = async (key) => (key === 'schedules/org1--site1.json' ? { json: async () => schedule } : null);
+    }
+
+    it('should publish the pages of one site with a single bulk job and retry only failed paths', async () => {
+      mockSchedule(['/a', '/b', '/c']);
+      let storedSchedule;
+      let completed;
+      mockR2Bucket.put = async (key, value) => {
+        if (key === 'schedules/org1--site1.json') storedSchedule = JSON.parse(value);
+        if (key.startsWith('completed/')) completed = JSON.parse(value);
+        return true;
+      };
+      const calls = [];
+      let polls = 0;
+      global.fetch = async (url, options = {}) => {
+        calls.push(`${options.method || 'GET'} ${url}`);
+        if (url.endsWith('/live/org1/site1/main/*') && options.method === 'POST') {
+          assert.deepStrictEqual(JSON.parse(options.body).paths, ['/a', '/b', '/c']);
+          return {
+            ok: true,
+            status: 202,
+            json: async () => ({ job: { topic: 'live', name: 'job-42', state: 'created' } }),
+          };
+        }
+        if (url.endsWith('/job/org1/site1/main/live/job-42')) {
+          polls += 1;
+          return { ok: true, json: async () => ({ state: polls < 2 ? 'running' : 'stopped' }) };
+        }
+        if (url.endsWith('/job/org1/site1/main/live/job-42/details')) {
+          return {
+            ok: true,
+            json: async () => ({
+              data: {
+                resources: [
+                  { path: '/a', status: 200 },
+                  { path: '/b', status: 502 },
+                  { path: '/c', status: 200 },
+                ],
+              },
+            }),
+          };
+        }
+        throw new Error(`Unexpected fetch call ${url}`);
+      };
+      mockEnv.JOB_POLL_INTERVAL_MS = 0;
+
+      const { default: worker } = await import('../src/index.js');
+      const { acked, retried } = await runQueue(worker, {
+        messages: [pageMessage('/a'), pageMessage('/b'), pageMessage('/c')],
+      }, mockEnv);
+
+      assert.strictEqual(calls.filter((call) => call.startsWith('POST')).length, 1);
+      assert.strictEqual(polls, 2);
+      assert.deepStrictEqual(retried, ['/b']);
+      assert.deepStrictEqual(acked, ['/a', '/c']);
+      assert.deepStrictEqual(completed.map((entry) => entry.path), ['/a', '/c']);
+      assert.deepStrictEqual(Object.keys(storedSchedule), ['/b']);
+    });
+
+    it('should retry every page of the group when the bulk job cannot be started', async () => {
+      mockSchedule(['/a', '/b']);
+      let putCount = 0;
+      mockR2Bucket.put = async () => {
+        putCount += 1;
+        return true;
+      };
+      global.fetch = async () => ({ ok: false, status: 503, statusText: 'Service Unavailable' });
+
+      const { default: worker } = await import('../src/index.js');
+      const { retried } = await runQueue(worker, {
+        messages: [pageMessage('/a'), pageMessage('/b')],
+      }, mockEnv);
+
+      assert.deepStrictEqual(retried, ['/a', '/b']);
+      assert.strictEqual(putCount, 0);
+    });
+  });
+
+  describe('throttling and failure history', () => {
+    function createKV() {
+      const store = new Map([['org1--site1--apiKey', 'test-api-key']]);
+      return {
+        store,
+        get: async (key, options) => {
+          const value = store.get(key) ?? null;
+          return value && options?.type === 'json' ? JSON.parse(value) : value;
+        },
+        put: async (key, value) => {
+          store.set(key, value);
+        },
+        delete: async (key) => {
+          store.delete(key);
+        },
+      };
+    }
+
+    function snapshotMessage(path, attempts = 1) {
+      return {
+        attempts,
+        body: {
+          org: 'org1', site: 'site1', path, scheduledPublish: '2025-01-01T10:00:00Z',
+        },
+      };
+    }
+
+    it('should retry throttled messages after Retry-After and pause the org', async () => {
+      const kv = createKV();
+      mockEnv.SCHEDULER_KV = kv;
+      let fetchCount = 0;
+      global.fetch = async () => {
+        fetchCount += 1;
+        return new Response(null, { status: 429, headers: { 'Retry-After': '90' } });
+      };
+
+      const { default: worker } = await import('../src/index.js');
+      const { acked, retried, retryDelays } = await runQueue(worker, {
+        messages: [snapshotMessage('snapshot1'), {
+          attempts: 1,
+          body: {
+            org: 'org1', site: 'site1', path: 'snapshot2', scheduledPublish: '2025-01-01T11:00:00Z',
+          },
+        }],
+      }, mockEnv);
+
+      assert.strictEqual(fetchCount, 1, 'Second message is deferred without calling the admin API');
+      assert.deepStrictEqual(acked, []);
+      assert.deepStrictEqual(retried, ['snapshot1', 'snapshot2']);
+      assert.deepStrictEqual(retryDelays, [90, 90]);
+
+      const history = JSON.parse(kv.store.get('history--org1--site1--snapshot--snapshot1--2025-01-01T10:00:00Z'));
+      assert.strictEqual(history.length, 1);
+      assert.strictEqual(history[0].kind, 'throttled');
+      assert.strictEqual(history[0].source, 'admin');
+      assert.strictEqual(history[0].status, 429);
+      assert.strictEqual(history[0].retryAfter, 90);
+      const deferred = JSON.parse(kv.store.get('history--org1--site1--snapshot--snapshot2--2025-01-01T11:00:00Z'));
+      assert.strictEqual(deferred[0].source, 'scheduler');
+      assert.ok(JSON.parse(kv.store.get('ratelimit--org1')).blockedUntil > Date.now());
+    });
+
+    it('should send throttled messages again instead of using up their retries', async () => {
+      mockEnv.SCHEDULER_KV = createKV();
+      const sent = [];
+      mockEnv.PUBLISH_QUEUE = {
+        send: async (body, options) => {
+          sent.push({ path: body.path, delaySeconds: options.delaySeconds });
+        },
+      };
+      global.fetch = async () => new Response(null, { status: 429, headers: { 'Retry-After': '90' } });
+
+      const { default: worker } = await import('../src/index.js');
+      const { acked, retried } = await runQueue(worker, {
+        messages: [snapshotMessage('snapshot1', 4)],
+      }, mockEnv);
+
+      assert.deepStrictEqual(acked, ['snapshot1']);
+      assert.deepStrictEqual(retried, []);
+      assert.deepStrictEqual(sent, [{ path: 'snapshot1', delaySeconds: 90 }]);
+    });
+
+    it('should retry messages that were deferred too often, so they can reach the DLQ', async () => {
+      const kv = createKV();
+      const event = {
+        kind: 'throttled', source: 'admin', status: 503, retryAfter: 60, attempt: 1, timestamp: '2025-01-01T09:59:00Z',
+      };
+      kv.store.set(
+        'history--org1--site1--snapshot--snapshot1--2025-01-01T10:00:00Z',
+        JSON.stringify(Array(3).fill(event)),
       );
+      mockEnv.SCHEDULER_KV = kv;
+      mockEnv.MAX_DEFERRALS = '3';
+      const sent = [];
+      mockEnv.PUBLISH_QUEUE = { send: async (body) => sent.push(body) };
+      global.fetch = async () => new Response(null, { status: 503, headers: { 'Retry-After': '60' } });
+
+      const { default: worker } = await import('../src/index.js');
+      const { acked, retried, retryDelays } = await runQueue(worker, {
+        messages: [snapshotMessage('snapshot1')],
+      }, mockEnv);
+
+      assert.deepStrictEqual(acked, []);
+      assert.deepStrictEqual(retried, ['snapshot1']);
+      assert.deepStrictEqual(retryDelays, [60]);
+      assert.deepStrictEqual(sent, []);
+    });
+
+    it('should extend the in-flight marker of deferred and retried messages', async () => {
+      const kv = createKV();
+      const ttls = new Map();
+      kv.put = async (key, value, options) => {
+        kv.store.set(key, value);
+        ttls.set(key, options?.expirationTtl);
+      };
+      mockEnv.SCHEDULER_KV = kv;
+      global.fetch = async (url) => (url.includes('snapshot1')
+        ? new Response(null, { status: 429, headers: { 'Retry-After': '7200' } })
+        : new Response(null, { status: 500 }));
+
+      const { default: worker } = await import('../src/index.js');
+      await runQueue(worker, {
+        messages: [snapshotMessage('snapshot1'), {
+          attempts: 3,
+          body: {
+            org: 'org2', site: 'site2', path: 'snapshot3', scheduledPublish: '2025-01-01T12:00:00Z',
+          },
+        }],
+      }, mockEnv);
+
+      // the marker outlives the delay by the stale timeout (default 1 hour)
+      assert.strictEqual(ttls.get('enqueued--org1--site1--snapshot--snapshot1--2025-01-01T10:00:00Z'), 7200 + 3600);
+      assert.strictEqual(ttls.get('enqueued--org2--site2--snapshot--snapshot3--2025-01-01T12:00:00Z'), 120 + 3600);
+    });
+
+    it('should still retry messages that failed for other reasons', async () => {
+      mockEnv.SCHEDULER_KV = createKV();
+      const sent = [];
+      mockEnv.PUBLISH_QUEUE = { send: async (body) => sent.push(body) };
+      global.fetch = async () => new Response(null, { status: 500 });
+
+      const { default: worker } = await import('../src/index.js');
+      const { retried } = await runQueue(worker, {
+        messages: [snapshotMessage('snapshot1')],
+      }, mockEnv);
+
+      assert.deepStrictEqual(retried, ['snapshot1']);
+      assert.deepStrictEqual(sent, []);
+    });
+
+    it('should send all messages again with a long delay while the kill switch is on', async () => {
+      const kv = createKV();
+      kv.store.set('scheduler--killSwitch', JSON.stringify({ enabledAt: '2025-01-01T09:00:00Z' }));
+      mockEnv.SCHEDULER_KV = kv;
+      mockEnv.KILL_SWITCH_RETRY_SECONDS = '1800';
+      const sent = [];
+      mockEnv.PUBLISH_QUEUE = { send: async (body, options) => sent.push({ body, options }) };
+      let fetchCount = 0;
+      global.fetch = async () => {
+        fetchCount += 1;
+        return new Response(null, { status: 200 });
+      };
+
+      const { default: worker } = await import('../src/index.js');
+      const { acked, retried } = await runQueue(worker, {
+        messages: [snapshotMessage('snapshot1'), {
+          body: {
+            org: 'org1', site: 'site1', path: '/page', type: 'page', scheduledPublish: '2025-01-01T10:00:00Z',
+          },
+        }],
+      }, mockEnv);
+
+      assert.strictEqual(fetchCount, 0);
+      assert.deepStrictEqual(acked, ['snapshot1', '/page']);
+      assert.deepStrictEqual(retried, []);
+      assert.deepStrictEqual(sent.map(({ options }) => options.delaySeconds), [1800, 1800]);
+      assert.strictEqual(sent[1].body.path, '/page');
+      const [event] = JSON.parse(kv.store.get('history--org1--site1--snapshot--snapshot1--2025-01-01T10:00:00Z'));
+      assert.strictEqual(event.kind, 'deferred');
+      assert.strictEqual(event.source, 'kill-switch');
+    });
+
+    it('should retry the messages while the kill switch is on without the queue binding', async () => {
+      const kv = createKV();
+      kv.store.set('scheduler--killSwitch', JSON.stringify({ enabledAt: '2025-01-01T09:00:00Z' }));
+      mockEnv.SCHEDULER_KV = kv;
+      mockEnv.KILL_SWITCH_RETRY_SECONDS = '1800';
+      delete mockEnv.PUBLISH_QUEUE;
+
+      const { default: worker } = await import('../src/index.js');
+      const { acked, retried, retryDelays } = await runQueue(worker, {
+        messages: [snapshotMessage('snapshot1')],
+      }, mockEnv);
+
+      assert.deepStrictEqual(acked, []);
+      assert.deepStrictEqual(retried, ['snapshot1']);
+      assert.deepStrictEqual(retryDelays, [1800]);
+    });
+
+    it('should record earlier throttling events in the completed record', async () => {
+      const kv = createKV();
+      const key = 'history--org1--site1--snapshot--snapshot1--2025-01-01T10:00:00Z';
+      const event = {
+        kind: 'throttled', source: 'admin', status: 503, retryAfter: 60, attempt: 1, timestamp: '2025-01-01T09:59:00Z',
+      };
+      kv.store.set(key, JSON.stringify([event]));
+      mockEnv.SCHEDULER_KV = kv;
+      let completed;
+      mockR2Bucket.put = async (name, value) => {
+        if (name.startsWith('completed/')) completed = JSON.parse(value);
+        return true;
+      };
+
+      const { default: worker } = await import('../src/index.js');
+      const { acked } = await runQueue(worker, {
+        messages: [snapshotMessage('snapshot1', 2)],
+      }, mockEnv);
+
+      assert.deepStrictEqual(acked, ['snapshot1']);
+      assert.deepStrictEqual(completed.at(-1).throttleEvents, [event]);
+      assert.strictEqual(kv.store.has(key), false, 'History is cleared once recorded');
+    });
+
+    it('should record the admin status and x-error of failed attempts', async () => {
+      const kv = createKV();
+      mockEnv.SCHEDULER_KV = kv;
+      global.fetch = async () => new Response(null, {
+        status: 403, headers: { 'x-error': 'not authorized: token revoked' },
+      });
+
+      const { default: worker } = await import('../src/index.js');
+      const { retried } = await runQueue(worker, {
+        messages: [snapshotMessage('snapshot1', 4)],
+      }, mockEnv);
+
+      assert.deepStrictEqual(retried, ['snapshot1']);
+      const [event] = JSON.parse(kv.store.get('history--org1--site1--snapshot--snapshot1--2025-01-01T10:00:00Z'));
+      assert.strictEqual(event.kind, 'failed');
+      assert.strictEqual(event.status, 403);
+      assert.strictEqual(event.xError, 'not authorized: token revoked');
+      assert.strictEqual(event.attempt, 4);
+      assert.ok(event.timestamp);
+    });
+
+    it('should record a stored API key it cannot decrypt as an api-key failure', async () => {
+      const kv = createKV();
+      kv.store.set('org1--site1--apiKey', 'enc:1:AAAA:AAAA');
+      mockEnv.SCHEDULER_KV = kv;
+      let fetchCount = 0;
+      global.fetch = async () => {
+        fetchCount += 1;
+        return new Response(null, { status: 200 });
+      };
+
+      const { default: worker } = await import('../src/index.js');
+      const { retried } = await runQueue(worker, {
+        messages: [snapshotMessage('snapshot1')],
+      }, mockEnv);
+
+      assert.strictEqual(fetchCount, 0);
+      assert.deepStrictEqual(retried, ['snapshot1']);
+      const [event] = JSON.parse(kv.store.get('history--org1--site1--snapshot--snapshot1--2025-01-01T10:00:00Z'));
+      assert.strictEqual(event.kind, 'failed');
+      assert.strictEqual(event.source, 'api-key');
+      assert.match(event.error, /^Could not read the API key: /);
     });
   });
 });
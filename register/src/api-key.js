@@ -0,0 +1,107 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+
+const ADMIN = 'https://admin.hlx.page';
+
+/**
+ * Read the claims of an admin API key, which is a JWT. Only the payload is
+ * decoded; the signature is checked by admin whenever the key is used.
+ * @param {string} apiKey - The API key
+ * @returns {Object|null} The claims, or null when the key is not a JWT
+ */
+export function decodeApiKey(apiKey) {
+  const [, payload] = String(apiKey).split('.');
+  if (!payload) return null;
+  try {
+    const binary = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+    const claims = JSON.parse(new TextDecoder().decode(
+      Uint8Array.from(binary, (char) => char.charCodeAt(0)),
+    ));
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+async function adminGet(url, apiKey) {
+  return fetch(url, {
+    method: 'GET',
+    headers: { Authorization: `token ${apiKey}`, Accept: 'application/json' },
+  });
+}
+
+/**
+ * Check an API key before it is stored for an org/site, so a wrong key is
+ * rejected at registration instead of failing the first scheduled publish.
+ * The key must not be expired, must be accepted by admin for the org/site
+ * (`GET /status`), must be able to publish (`live` write permission) and to
+ * read the snapshots of the site. Status does not report whether the key may
+ * publish snapshots, so that is only known at the first scheduled publish.
+ * @param {Object} options
+ * @param {string} options.org - The organization
+ * @param {string} options.site - The site
+ * @param {string} options.apiKey - The API key
+ * @param {string} [options.field] - The name of the key in error messages
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {Promise<{ok: true, metadata: Object}|{ok: false, status: number, error: string}>}
+ * The metadata holds the `scopes` and `expiresAt` known from the key's claims
+ * (null when it does not have them) and `validatedAt`
+ */
+export async function validateApiKey({
+  org, site, apiKey, field = 'apiKey', now = Date.now(),
+}) {
+  const claims = decodeApiKey(apiKey);
+  const expiresAt = Number.isFinite(claims?.exp) ? new Date(claims.exp * 1000).toISOString() : null;
+  if (expiresAt && new Date(expiresAt).getTime() <= now) {
+    return { ok: false, status: 400, error: `Invalid ${field}: it expired at ${expiresAt}` };
+  }
+
+  let status;
+  let snapshots;
+  try {
+    status = await adminGet(`${ADMIN}/status/${org}/${site}/main/`, apiKey);
+    if (status.status === 401 || status.status === 403) {
+      return { ok: false, status: 400, error: `Invalid ${field}: it is not accepted for ${org}/${site}` };
+    }
+    if (!status.ok) {
+      console.warn(`API key validation: admin status returned ${status.status}`);
+      return { ok: false, status: 503, error: `Could not validate ${field}, please retry` };
+    }
+    snapshots = await adminGet(`${ADMIN}/snapshot/${org}/${site}/main`, apiKey);
+  } catch (err) {
+    console.warn('API key validation failed:', err);
+    return { ok: false, status: 503, error: `Could not validate ${field}, please retry` };
+  }
+
+  const missing = [];
+  const { live } = await status.json().catch(() => ({}));
+  if (!live?.permissions?.includes('write')) missing.push('publish (live write)');
+  if (snapshots.status === 401 || snapshots.status === 403) {
+    missing.push('snapshot (read)');
+  } else if (!snapshots.ok) {
+    console.warn(`API key validation: admin snapshot list returned ${snapshots.status}`);
+    return { ok: false, status: 503, error: `Could not validate ${field}, please retry` };
+  }
+  if (missing.length > 0) {
+    return { ok: false, status: 400, error: `Invalid ${field}: missing permissions: ${missing.join(', ')}` };
+  }
+
+  return {
+    ok: true,
+    metadata: {
+      scopes: claims?.scopes ?? claims?.roles ?? null,
+      expiresAt,
+      validatedAt: new Date(now).toISOString(),
+    },
+  };
+}
@@ -0,0 +1,253 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+
+/* eslint-disable import/no-relative-packages */
+import {
+  MISSED_GRACE_MS,
+  catchUpAction,
+  missedEntryMutations,
+  readCatchUpPolicy,
+  recordMissedEntries,
+} from '../../shared/catch-up-policy.js';
+import { getKillSwitch } from '../../shared/kill-switch.js';
+import { createPublishMessage } from '../../shared/publish-message.js';
+import { applyMutations } from '../../shared/schedule-mutations.js';
+import {
+  readSiteSchedule,
+  siteScheduleKey,
+  updateSiteSchedule,
+} from '../../shared/schedule-store.js';
+import { getSitePause } from '../../shared/site-pause.js';
+/* eslint-enable import/no-relative-packages */
+
+const ENQUEUE_RETRY_DELAY_MS = 60 * 1000;
+// How often a stopped alarm checks whether the kill switch is off or the
+// site was resumed again
+const STOPPED_RECHECK_MS = 5 * 60 * 1000;
+
+// Key of an action in the enqueued markers
+function actionKey(path, entry) {
+  return `${entry.type || 'snapshot'}|${path}`;
+}
+
+function listActions(schedule) {
+  return Object.entries(schedule).flatMap(([path, value]) => (
+    Array.isArray(value) ? value : [value]).map((entry) => [path, entry]));
+}
+
+// Entries that still have to be sent to the publish queue
+function pendingActions(schedule, enqueued) {
+  return listActions(schedule).filter(([path, entry]) => !['failed', 'held'].includes(entry.status)
+    && enqueued[actionKey(path, entry)] !== entry.scheduledPublish
+    && !Number.isNaN(new Date(entry.scheduledPublish).getTime()));
+}
+
+/**
+ * Schedule coordinator: a Durable Object per org/site (named `<org>--<site>`)
+ * that owns the schedule of that site.
+ *
+ * Workers send it mutations with `POST /mutations {org, site, mutations}`.
+ * They are applied one request at a time to the schedule held in the object's
+ * storage, which is adopted from R2 on first use. After each change the R2
+ * object is overwritten as the snapshot read by the API and exports, and its
+ * etag is kept. When the R2 object no longer has that etag, another worker
+ * wrote it (e.g. while the site was taken off `SCHEDULE_COORDINATOR_SITES`)
+ * and it is adopted again, so the coordinator does not bring back a stale copy.
+ *
+ * Instead of waiting for the cron tick, an alarm is set for the next entry
+ * that is due. It sends the due entries to the publish queue and remembers
+ * them as enqueued (by type, path and scheduledPublish), so an entry is sent
+ * once until the publish worker advances or removes it, or the author moves it.
+ */
+export class ScheduleCoordinator {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+    if (request.method !== 'POST' || pathname !== '/mutations') {
+      return new Response('Not found', { status: 404 });
+    }
+    let body;
+    try {
+      body = await request.json();
+    } catch (err) {
+      return new Response('Invalid JSON', { status: 400 });
+    }
+    const { org, site, mutations } = body;
+    if (!org || !site || !Array.isArray(mutations)) {
+      return new Response('org, site and mutations are required', { status: 400 });
+    }
+
+    try {
+      // R2 is awaited while the schedule is changed, so block other requests
+      // until the change is stored
+      const results = await this.state.blockConcurrencyWhile(
+        () => this.applyMutations(org, site, mutations),
+      );
+      return Response.json({ results });
+    } catch (err) {
+      console.error(`Schedule coordinator of ${org}--${site} failed to apply mutations:`, err);
+      return new Response(err.message, { status: err.status || 500 });
+    }
+  }
+
+  async alarm() {
+    await this.state.blockConcurrencyWhile(() => this.enqueueDueEntries());
+  }
+
+  // etag of the R2 snapshot, null while the site has none
+  async readSnapshotEtag(org, site) {
+    const object = await this.env.R2_BUCKET.head(siteScheduleKey(`${org}--${site}`));
+    return object?.etag ?? null;
+  }
+
+  async load(org, site) {
+    const { storage } = this.state;
+    let schedule = await storage.get('schedule');
+    const etag = await this.readSnapshotEtag(org, site);
+    if (!schedule || etag !== ((await storage.get('etag')) ?? null)) {
+      schedule = await readSiteSchedule(this.env, org, site);
+      await storage.put('site', { org, site });
+      console.log(`Schedule coordinator adopted the schedule of ${org}--${site} from R2`);
+    }
+    const enqueued = (await storage.get('enqueued')) || {};
+    return { schedule, enqueued };
+  }
+
+  async applyMutations(org, site, mutations) {
+    const { schedule, enqueued } = await this.load(org, site);
+    return this.change(org, site, schedule, enqueued, mutations);
+  }
+
+  // Apply mutations to the loaded schedule, write the R2 snapshot, then store
+  // the change and set the alarm again
+  async change(org, site, schedule, enqueued, mutations) {
+    const { changed, results } = applyMutations(schedule, mutations);
+    if (changed) {
+      // The R2 snapshot is written first, so a failed write leaves both unchanged
+      await updateSiteSchedule(this.env, org, site, (current) => {
+        Object.keys(current).forEach((path) => {
+          // eslint-disable-next-line no-param-reassign
+          delete current[path];
+        });
+        Object.assign(current, schedule);
+      });
+      await this.state.storage.put('schedule', schedule);
+      await this.state.storage.put('etag', await this.readSnapshotEtag(org, site));
+      await this.arm(schedule, enqueued);
+    }
+    return results;
+  }
+
+  // Drop the markers of entries that changed, then set the alarm for the next due entry
+  async arm(schedule, enqueued) {
+    // a held entry is queued again once it is released
+    const current = new Map(listActions(schedule)
+      .filter(([, entry]) => entry.status !== 'held')
+      .map(([path, entry]) => [actionKey(path, entry), entry.scheduledPublish]));
+    const markers = Object.fromEntries(Object.entries(enqueued)
+      .filter(([key, scheduledPublish]) => current.get(key) === scheduledPublish));
+    await this.state.storage.put('enqueued', markers);
+
+    const times = pendingActions(schedule, markers)
+      .map(([, entry]) => new Date(entry.scheduledPublish).getTime());
+    if (times.length === 0) {
+      await this.state.storage.deleteAlarm();
+      return;
+    }
+    await this.state.storage.setAlarm(Math.min(...times));
+  }
+
+  async enqueueDueEntries() {
+    const { storage } = this.state;
+    const { org, site } = (await storage.get('site')) || {};
+    if (!org || !site) return;
+    const now = Date.now();
+    if (await getKillSwitch(this.env)) {
+      console.log(`Kill switch is on, not queueing entries of ${org}/${site}`);
+      await storage.setAlarm(now + STOPPED_RECHECK_MS);
+      return;
+    }
+    // like the cron worker, queue nothing while the site is paused; entries
+    // that become due meanwhile are caught up as missed once it is resumed
+    if (await getSitePause(this.env, org, site)) {
+      console.log(`Scheduled publishing of ${org}/${site} is paused, not queueing entries`);
+      await storage.setAlarm(now + STOPPED_RECHECK_MS);
+      return;
+    }
+    const { schedule, enqueued } = await this.load(org, site);
+
+    const due = pendingActions(schedule, enqueued)
+      .filter(([, entry]) => new Date(entry.scheduledPublish).getTime() <= now);
+
+    // Entries overdue by more than the grace period were missed, e.g. while
+    // the kill switch stopped the alarm: apply the site's catch-up policy
+    const overdue = ([, entry]) => now - new Date(entry.scheduledPublish).getTime();
+    const policy = due.some((action) => overdue(action) > MISSED_GRACE_MS)
+      ? await readCatchUpPolicy(this.env, org, site)
+      : null;
+    const missed = [];
+    const toQueue = [];
+    for (const [path, entry] of due) {
+      const overdueMs = overdue([path, entry]);
+      if (overdueMs > MISSED_GRACE_MS) {
+        const action = catchUpAction(policy, overdueMs);
+        if (action !== 'publish') {
+          console.log(`Missed ${entry.type || 'snapshot'} ${path} for ${org}/${site}: ${action} (${policy.value})`);
+          missed.push({ snapshot: createPublishMessage(org, site, path, entry, now), action });
+          // eslint-disable-next-line no-continue
+          continue;
+        }
+      }
+      toQueue.push([path, entry]);
+    }
+    let settled = true;
+    if (missed.length > 0) {
+      try {
+        await this.change(org, site, schedule, enqueued, missedEntryMutations(missed, now));
+        await recordMissedEntries(this.env, missed.map(({ snapshot, action }) => ({
+          org,
+          site,
+          path: snapshot.path,
+          type: snapshot.type,
+          scheduledPublish: snapshot.scheduledPublish,
+          policy: policy.value,
+          action,
+        })), now);
+      } catch (err) {
+        console.error(`Could not update the missed entries of ${org}--${site}:`, err.message);
+        settled = false;
+      }
+    }
+
+    const results = await Promise.all(toQueue.map(async ([path, entry]) => {
+      try {
+        const message = createPublishMessage(org, site, path, entry, now);
+        await this.env.PUBLISH_QUEUE.send(message, { delaySeconds: message.delaySeconds });
+        enqueued[actionKey(path, entry)] = entry.scheduledPublish;
+        console.log(`Queued ${message.type} ${path} for ${org}/${site}`);
+        return true;
+      } catch (err) {
+        console.error(`Failed to queue ${path} for ${org}/${site}:`, err);
+        return false;
+      }
+    }));
+    await this.arm(schedule, enqueued);
+    if (results.includes(false) || !settled) {
+      await storage.setAlarm(now + ENQUEUE_RETRY_DELAY_MS);
+    }
+  }
+}
@@ -13,6 +13,36 @@
 
 import { IttyRouter } from 'itty-router';
 import { verifyScheduleIntent, postActionAuditLog, resolveDaUserId } from './intent.js';
+import { validateApiKey } from './api-key.js';
+// the schedule store is shared by all workers and bundled into each of them
+/* eslint-disable import/no-relative-packages */
+import { readApiKey, writeApiKey } from '../../shared/api-key-store.js';
+import {
+  DEFAULT_CATCH_UP_POLICY,
+  MISSED_GRACE_MS,
+  catchUpAction,
+  catchUpPolicyKey,
+  parseCatchUpPolicy,
+  readCatchUpPolicy,
+  recordMissedEntries,
+  settleMissedEntries,
+} from '../../shared/catch-up-policy.js';
+import { markInFlight } from '../../shared/in-flight.js';
+import { createPublishMessage } from '../../shared/publish-message.js';
+import { getPathActions } from '../../shared/schedule-mutations.js';
+import {
+  ScheduleConflictError,
+  casUpdate,
+  changeSiteSchedule,
+  isCoordinatedSite,
+  readSiteSchedule,
+} from '../../shared/schedule-store.js';
+import { getSitePause, pausedKey } from '../../shared/site-pause.js';
+import { KILL_SWITCH_KEY, getKillSwitch } from '../../shared/kill-switch.js';
+/* eslint-enable import/no-relative-packages */
+
+// Durable Object classes are exported by the worker that hosts them
+export { ScheduleCoordinator } from './coordinator.js';
 
 // Global environment variable
 // eslint-disable-next-line no-unused-vars
@@ -35,7 +65,7 @@ function getAllowedOrigins() {
 function getCorsHeaders(request) {
   const origin = request.headers.get('Origin');
   const corsHeaders = {
-    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Access-Control-Max-Age': '86400',
   };
@@ -106,14 +136,107 @@ function resolveOrgSite(request, data) {
   };
 }
 
-export async function setApiKey(env, org, site, apiKey) {
+const CRON_MIN_LEAD_MS = 5 * 60 * 1000;
+const DEFAULT_PRECISE_MIN_LEAD_SECONDS = 30;
+
+/**
+ * Minimum time between a request and the time it schedules. Sites owned by a
+ * schedule coordinator are in precise mode: its alarm queues each entry at the
+ * exact time, so they only need `PRECISE_MIN_LEAD_SECONDS` (default 30).
+ * Other sites wait for the 5-minute cron tick.
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @returns {number} The minimum lead time in milliseconds
+ */
+export function getMinimumLeadMs(env, org, site) {
+  if (!isCoordinatedSite(env, `${org}--${site}`)) return CRON_MIN_LEAD_MS;
+  const seconds = Number.parseInt(env.PRECISE_MIN_LEAD_SECONDS, 10);
+  return (seconds >= 0 ? seconds : DEFAULT_PRECISE_MIN_LEAD_SECONDS) * 1000;
+}
+
+// e.g. "5 minutes" or "30 seconds"
+function formatLeadTime(ms) {
+  const seconds = Math.round(ms / 1000);
+  const [amount, unit] = seconds % 60 === 0 ? [seconds / 60, 'minute'] : [seconds, 'second'];
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
+
+// Validate a scheduled time: a valid ISO date at least the minimum lead time in the future
+function validateScheduledTime(value, minimumLeadMs, field = 'scheduledPublish') {
+  const label = field === 'scheduledPublish' ? 'Scheduled publish' : field;
+  const scheduledDate = new Date(value);
+  if (Number.isNaN(scheduledDate.getTime())) {
+    return `Invalid ${field} date format. Please provide a valid ISO date string`;
+  }
+  const minimumTime = new Date(Date.now() + minimumLeadMs);
+  if (scheduledDate < minimumTime) {
+    return scheduledDate < new Date()
+      ? `${label} is in the past`
+      : `${label} must be at least ${formatLeadTime(minimumLeadMs)} in the future`;
+  }
+  return null;
+}
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+/**
+ * Validate an RRULE-style recurrence for a page schedule and return it in the
+ * shape stored in the schedule. The series starts at `scheduledPublish` and
+ * ends after `count` occurrences or at `until` (at most one of them).
+ * @param {Object} recurrence - {freq, interval?, count?, until?}
+ * @param {Date} scheduledDate - The first occurrence
+ * @returns {{recurrence?: Object, error?: string}}
+ */
+export function validateRecurrence(recurrence, scheduledDate) {
+  if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    return { error: 'Invalid recurrence. Please provide an object with freq' };
+  }
+  const {
+    freq, interval = 1, count, until,
+  } = recurrence;
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) {
+    return { error: `Invalid recurrence freq. Expected one of ${RECURRENCE_FREQUENCIES.join(', ')}` };
+  }
+  if (!Number.isInteger(interval) || interval < 1) {
+    return { error: 'Invalid recurrence interval. Please provide a positive integer' };
+  }
+  if (count !== undefined && until !== undefined) {
+    return { error: 'Invalid recurrence. Please provide either count or until, not both' };
+  }
+  if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+    return { error: 'Invalid recurrence count. Please provide a positive integer' };
+  }
+  if (until !== undefined) {
+    const untilDate = new Date(until);
+    if (Number.isNaN(untilDate.getTime())) {
+      return { error: 'Invalid recurrence until date format. Please provide a valid ISO date string' };
+    }
+    if (untilDate <= scheduledDate) {
+      return { error: 'Recurrence until must be after scheduledPublish' };
+    }
+  }
+  return {
+    recurrence: {
+      freq,
+      interval,
+      ...(count !== undefined && { count }),
+      ...(until !== undefined && { until }),
+      // anchor monthly series on the day of the first occurrence
+      ...(freq === 'monthly' && { byMonthDay: scheduledDate.getUTCDate() }),
+    },
+  };
+}
+
+export async function setApiKey(env, org, site, apiKey, metadata) {
   try {
     if (!env || !env.SCHEDULER_KV) {
       console.error('KV binding is missing in the environment.');
       return false;
     }
     const kvConfigKey = `${org}--${site}--apiKey`;
-    await env.SCHEDULER_KV.put(kvConfigKey, apiKey);
+    // the scopes and expiry of the key are kept as KV metadata of the key
+    await writeApiKey(env, kvConfigKey, apiKey, metadata);
     console.log('API token set in KV: ', org, site);
     return true;
   } catch (err) {
@@ -122,21 +245,79 @@ export async function setApiKey(env, org, site, apiKey) {
   }
 }
 
+/**
+ * Store the next API key of an org/site while its key is rotated. The publish
+ * worker uses it when admin rejects the current key.
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @param {string} apiKey - The next API key
+ * @param {Object} metadata - Its scopes and expiry, see validateApiKey
+ * @returns {Promise<boolean>} Whether the key was stored
+ */
+export async function setNextApiKey(env, org, site, apiKey, metadata) {
+  try {
+    await writeApiKey(env, `${org}--${site}--nextApiKey`, apiKey, metadata);
+    console.log('Next API token set in KV: ', org, site);
+    return true;
+  } catch (err) {
+    console.error('Error setting next API key in KV: ', org, site, err);
+    return false;
+  }
+}
+
+/**
+ * Get the API key of an org/site
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @returns {Promise<string|null>} The API key, null when the site is not registered
+ * @throws {Error} When the stored key cannot be read or decrypted, so handlers
+ * answer 500 instead of reporting a registered site as not registered
+ */
 export async function getApiKey(env, org, site) {
+  if (!env || !env.SCHEDULER_KV) {
+    console.error('KV binding is missing in the environment.');
+    return null;
+  }
   try {
-    if (!env || !env.SCHEDULER_KV) {
-      console.error('KV binding is missing in the environment.');
-      return null;
-    }
     const kvConfigKey = `${org}--${site}--apiKey`;
-    const apiKey = await env.SCHEDULER_KV.get(kvConfigKey);
+    const apiKey = await readApiKey(env, kvConfigKey);
     if (!apiKey) {
       return null;
     }
     return apiKey;
   } catch (err) {
     console.error('Error getting API key from KV: ', org, site, err);
-    return null;
+    throw err;
+  }
+}
+
+/**
+ * Store the catch-up policy of an org/site next to its API key
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @param {string} policy - A policy accepted by parseCatchUpPolicy
+ * @returns {Promise<boolean>} Whether the policy was stored
+ */
+export async function setCatchUpPolicy(env, org, site, policy) {
+  try {
+    await env.SCHEDULER_KV.put(catchUpPolicyKey(org, site), policy);
+    console.log('Catch-up policy set in KV: ', org, site, policy);
+    return true;
+  } catch (err) {
+    console.error('Error setting catch-up policy in KV: ', org, site, err);
+    return false;
+  }
+}
+
+export async function getCatchUpPolicy(env, org, site) {
+  try {
+    return (await env.SCHEDULER_KV.get(catchUpPolicyKey(org, site))) || DEFAULT_CATCH_UP_POLICY;
+  } catch (err) {
+    console.error('Error getting catch-up policy from KV: ', org, site, err);
+    return DEFAULT_CATCH_UP_POLICY;
   }
 }
 
@@ -214,11 +395,16 @@ export async function registerRequest(request, env) {
       console.log(`Register Request: ${error}`);
       return createErrorResponse(error, request, 400);
     }
-    const { apiKey } = data;
+    const { apiKey, nextApiKey, catchUpPolicy } = data;
     if (!org || !site || !apiKey) {
       console.log('Register Request: Invalid body. Please provide org, site and apiKey');
       return createErrorResponse('Invalid body. Please provide org, site and apiKey', request, 400);
     }
+    // optional, the policy of an earlier registration is kept when omitted
+    if (catchUpPolicy !== undefined && !parseCatchUpPolicy(catchUpPolicy)) {
+      console.log(`Register Request: Invalid catchUpPolicy ${catchUpPolicy}`);
+      return createErrorResponse('Invalid catchUpPolicy. Please provide publish-late, skip-if-older-than:<duration> (e.g. 2h) or hold-for-approval', request, 400);
+    }
 
     const authToken = request.headers.get('Authorization');
     if (!authToken) {
@@ -230,12 +416,38 @@ export async function registerRequest(request, env) {
       console.log('Register Request: isAuthorized returned false');
       return createErrorResponse('Unauthorized', request, 401);
     }
+    const validation = await validateApiKey({ org, site, apiKey });
+    if (!validation.ok) {
+      console.log(`Register Request: ${validation.error}`);
+      return createErrorResponse(validation.error, request, validation.status);
+    }
+    // optional, the key that replaces apiKey once it is rotated
+    const nextValidation = nextApiKey && await validateApiKey({
+      org, site, apiKey: nextApiKey, field: 'nextApiKey',
+    });
+    if (nextValidation && !nextValidation.ok) {
+      console.log(`Register Request: ${nextValidation.error}`);
+      return createErrorResponse(nextValidation.error, request, nextValidation.status);
+    }
     // set the api key for the org/site
-    const success = await setApiKey(env, org, site, apiKey);
+    const success = await setApiKey(env, org, site, apiKey, validation.metadata);
     if (!success) {
       console.log('Register Request: Failed to set API key');
       return createErrorResponse('Register Request failed: Internal server error', request, 500);
     }
+    if (nextValidation) {
+      if (!(await setNextApiKey(env, org, site, nextApiKey, nextValidation.metadata))) {
+        console.log('Register Request: Failed to set next API key');
+        return createErrorResponse('Register Request failed: Internal server error', request, 500);
+      }
+    } else if (await readApiKey(env, `${org}--${site}--nextApiKey`) === apiKey) {
+      // registering the next key as apiKey completes the rotation
+      await env.SCHEDULER_KV.delete(`${org}--${site}--nextApiKey`);
+    }
+    if (catchUpPolicy !== undefined && !(await setCatchUpPolicy(env, org, site, catchUpPolicy))) {
+      console.log('Register Request: Failed to set catch-up policy');
+      return createErrorResponse('Register Request failed: Internal server error', request, 500);
+    }
     return createResponse(JSON.stringify({ success: true }), request, {
       status: 200,
       headers: { 'Content-Type': 'application/json' },
@@ -261,7 +473,9 @@ export async function isRegistered(request, env) {
         },
       });
     }
-    return createResponse(JSON.stringify({ registered: true }), request, {
+    const catchUpPolicy = await getCatchUpPolicy(env, org, site);
+    const paused = Boolean(await getSitePause(env, org, site));
+    return createResponse(JSON.stringify({ registered: true, catchUpPolicy, paused }), request, {
       status: 200,
       headers: {
         'Content-Type': 'application/json',
@@ -274,7 +488,93 @@ export async function isRegistered(request, env) {
 }
 
 /**
- * Update the schedule by storing snapshot scheduling information in R2 bucket
+ * Unregister an org/site and remove its state, so nothing is queued for it
+ * any more. The site's schedule is archived as
+ * `archive/<org>--<site>-<timestamp>.json` and its entries removed, then its
+ * API key, catch-up policy and pause are deleted from KV.
+ * Route: DELETE /register/:org/:site
+ * Requires admin access to the site config.
+ * @param {Object} request - The incoming request
+ * @param {Object} env - The environment object
+ */
+export async function unregisterSite(request, env) {
+  try {
+    const { org, site } = request.params;
+    const apiKey = await getApiKey(env, org, site);
+    if (!apiKey) return createErrorResponse('Org/site not registered', request, 404);
+
+    const authToken = request.headers.get('Authorization');
+    if (!authToken || !await isAuthorized(authToken, org, site, true)) {
+      return createErrorResponse('Unauthorized', request, 401);
+    }
+
+    const schedule = await readSiteSchedule(env, org, site);
+    const paths = Object.keys(schedule);
+    const entries = paths.flatMap((path) => getPathActions(schedule, path)).length;
+    let archive = null;
+    if (paths.length > 0) {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      archive = `archive/${org}--${site}-${timestamp}.json`;
+      await env.R2_BUCKET.put(archive, JSON.stringify(schedule, null, 2));
+      await changeSiteSchedule(env, org, site, paths.map((path) => ({ op: 'remove', path })));
+    }
+
+    // The API key goes last, so a failed request can be repeated
+    const catchUpPolicy = await env.SCHEDULER_KV.get(catchUpPolicyKey(org, site));
+    const paused = await getSitePause(env, org, site);
+    await env.SCHEDULER_KV.delete(catchUpPolicyKey(org, site));
+    await env.SCHEDULER_KV.delete(pausedKey(org, site));
+    await env.SCHEDULER_KV.delete(`${org}--${site}--nextApiKey`);
+    await env.SCHEDULER_KV.delete(`${org}--${site}--apiKey`);
+
+    const removed = {
+      apiKey: true,
+      catchUpPolicy: Boolean(catchUpPolicy),
+      pause: Boolean(paused),
+      entries,
+      archive,
+    };
+    const unregisteredBy = await resolveDaUserId({ authToken, org, site });
+    await postActionAuditLog({
+      org,
+      site,
+      authToken,
+      apiKey,
+      entry: {
+        route: 'unregistered-site',
+        entries,
+        archive,
+        triggeredBy: unregisteredBy,
+      },
+    });
+
+    console.log(`Unregistered ${org}/${site}`, removed);
+    return createResponse(JSON.stringify({
+      success: true,
+      message: `Unregistered ${org}/${site}`,
+      org,
+      site,
+      removed,
+    }), request, {
+      status: 200, headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (err) {
+    if (err instanceof ScheduleConflictError) {
+      return createErrorResponse(err.message, request, err.status);
+    }
+    console.error('Unregister failed: ', err);
+    return createErrorResponse('Unregister failed: Internal server error', request, 500);
+  }
+}
+
+/**
+ * Update the schedule by storing snapshot scheduling information in R2 bucket.
+ * The time is read from the snapshot manifest.
+ * Auth (one of):
+ *  - DA mode: `Authorization` header with access to the snapshot list; the
+ *    userId is resolved from the token
+ *  - Sidekick mode: a `nonce` in the body matching a `schedule-snapshot-intent`
+ *    audit log entry for the snapshotId and approved flag
  * @param {Object} request - The incoming request
  * @param {Object} env - The environment object
  */
@@ -291,7 +591,7 @@ export async function updateSchedule(request, env) {
       console.log(`Update Schedule Request: ${error}`);
       return createErrorResponse(error, request, 400);
     }
-    const { snapshotId, approved = false, userId } = data;
+    const { snapshotId, approved = false } = data;
     if (!org || !site || !snapshotId) {
       console.log('Update Schedule Request: Invalid body. Please provide org, site and snapshotId');
       return createErrorResponse('Invalid body. Please provide org, site and snapshotId', request, 400);
@@ -303,6 +603,31 @@ export async function updateSchedule(request, env) {
       console.log('Update Schedule Request: No API key found');
       return createErrorResponse('Org/site not registered', request, 404);
     }
+
+    const authToken = request.headers.get('Authorization');
+    let resolvedUserId;
+    if (authToken) {
+      const authorized = await isAuthorized(authToken, org, site, false);
+      if (!authorized) return createErrorResponse('Unauthorized', request, 401);
+      resolvedUserId = await resolveDaUserId({ authToken, org, site });
+    } else {
+      const { nonce } = data;
+      if (!nonce) return createErrorResponse('missing nonce or authorization', request, 401);
+      const result = await verifyScheduleIntent({
+        env,
+        org,
+        site,
+        apiKey,
+        nonce,
+        route: 'schedule-snapshot-intent',
+        expected: { snapshotId, approved },
+        window: 5 * 60 * 1000,
+        singleUse: true,
+      });
+      if (!result.ok) return createErrorResponse(result.error, request, result.status);
+      resolvedUserId = result.user;
+    }
+
     const snapshotManifest = await fetchSnapshotManifest(org, site, snapshotId, apiKey);
     if (!snapshotManifest) {
       console.log('Update Schedule Request: Could not get snapshot details');
@@ -317,46 +642,45 @@ export async function updateSchedule(request, env) {
       return createErrorResponse('Invalid scheduledPublish date format. Please provide a valid ISO date string', request, 400);
     }
 
-    // Calculate minimum allowed time (5 minutes from now)
+    // Calculate minimum allowed time (5 minutes from now, less in precise mode)
     const now = new Date();
-    const minimumTime = new Date(now.getTime() + 5 * 60 * 1000); // 5 minutes in milliseconds
+    const minimumLeadMs = getMinimumLeadMs(env, org, site);
+    const minimumTime = new Date(now.getTime() + minimumLeadMs);
 
     if (scheduledDate < minimumTime) {
       const errorMessage = scheduledDate < now
         ? 'Scheduled publish is in the past'
-        : 'Scheduled publish must be at least 5 minutes in the future';
+        : `Scheduled publish must be at least ${formatLeadTime(minimumLeadMs)} in the future`;
       console.log(`Update Schedule Request: ${errorMessage}. Scheduled: ${scheduledPublish}, Minimum allowed: ${minimumTime.toISOString()}`);
       return createErrorResponse(errorMessage, request, 400);
     }
-    // Read existing schedule data
-    let scheduleData = {};
-    try {
-      const existingSchedule = await env.R2_BUCKET.get('schedule.json');
-      if (existingSchedule) {
-        scheduleData = await existingSchedule.json();
-      }
-    } catch (err) {
-      console.warn('Could not read existing schedule data:', err);
-    }
-
-    // Ensure the structure exists
-    const orgSiteKey = `${org}--${site}`;
-    if (!scheduleData[orgSiteKey]) {
-      scheduleData[orgSiteKey] = {};
-    }
-
-    // Update the schedule with the new snapshot
-    scheduleData[orgSiteKey][snapshotId] = {
-      type: 'snapshot',
-      scheduledPublish,
-      approved,
-      ...(userId && { userId }),
-    };
+    // Update the site's schedule with the new snapshot
+    await changeSiteSchedule(env, org, site, [{
+      op: 'put',
+      path: snapshotId,
+      entry: {
+        type: 'snapshot',
+        scheduledPublish,
+        approved,
+        ...(resolvedUserId && { userId: resolvedUserId }),
+      },
+    }]);
 
-    // Store the updated schedule back to R2
-    await env.R2_BUCKET.put('schedule.json', JSON.stringify(scheduleData, null, 2));
+    await postActionAuditLog({
+      org,
+      site,
+      authToken,
+      apiKey,
+      entry: {
+        route: 'scheduled-snapshot-publish',
+        snapshotId,
+        scheduledPublish,
+        approved,
+        triggeredBy: resolvedUserId,
+      },
+    });
 
-    console.log(`Schedule updated for ${orgSiteKey}: ${snapshotId} -> ${scheduledPublish}`);
+    console.log(`Schedule updated for ${org}--${site}: ${snapshotId} -> ${scheduledPublish}`);
 
     return createResponse(JSON.stringify({
       success: true,
@@ -371,6 +695,9 @@ export async function updateSchedule(request, env) {
       },
     });
   } catch (err) {
+    if (err instanceof ScheduleConflictError) {
+      return createErrorResponse(err.message, request, err.status);
+    }
     console.error('Update schedule failed: ', err);
     return createErrorResponse('Update schedule failed: Internal server error', request, 500);
   }
@@ -379,7 +706,10 @@ export async function updateSchedule(request, env) {
 /**
  * Get the schedule data for a specific org/site.
  * When a `path` query parameter is provided, returns whether that path is
- * scheduled and, if so, its scheduledPublish time and userId.
+ * scheduled and, if so, its scheduledPublish time, userId and status
+ * (`scheduled`, or `failed` with failedAt/failureReason once the DLQ gave up
+ * on it), plus all actions scheduled for the path (e.g. the publish and
+ * unpublish of a window).
  * Without the query parameter, returns the full schedule for the org/site.
  * @param {Object} request - The incoming request
  * @param {Object} env - The environment object
@@ -412,33 +742,43 @@ export async function getSchedule(request, env) {
       if (!result.ok) return createErrorResponse(result.error, request, result.status);
     }
 
-    let scheduleData = {};
+    let orgSiteData;
     try {
-      const existing = await env.R2_BUCKET.get('schedule.json');
-      if (existing) scheduleData = await existing.json();
+      orgSiteData = await readSiteSchedule(env, org, site);
     } catch (err) {
       console.warn('Could not read schedule data:', err);
       return createErrorResponse('Could not retrieve schedule data', request, 500);
     }
-
     const orgSiteKey = `${org}--${site}`;
-    const orgSiteData = scheduleData[orgSiteKey] || {};
 
     const queryPath = request.query?.path;
     if (queryPath) {
       const normalizedPath = queryPath.startsWith('/') ? queryPath : `/${queryPath}`;
-      const entry = orgSiteData[normalizedPath];
-      if (!entry) {
+      const actions = getPathActions(orgSiteData, normalizedPath);
+      if (actions.length === 0) {
         return createResponse(JSON.stringify({ scheduled: false, path: normalizedPath }), request, {
           status: 200, headers: { 'Content-Type': 'application/json' },
         });
       }
+      // top-level fields describe the next action due, `actions` lists all of them
+      const [entry] = [...actions].sort(
+        (a, b) => new Date(a.scheduledPublish) - new Date(b.scheduledPublish),
+      );
       return createResponse(JSON.stringify({
         scheduled: true,
         path: normalizedPath,
         scheduledPublish: entry.scheduledPublish,
         userId: entry.userId,
         type: entry.type,
+        recurrence: entry.recurrence,
+        status: entry.status || 'scheduled',
+        ...(entry.status === 'failed' && {
+          failedAt: entry.failedAt,
+          failureReason: entry.failureReason,
+        }),
+        ...(entry.status === 'held' && { heldAt: entry.heldAt }),
+        ...(entry.lastFailure && { lastFailure: entry.lastFailure }),
+        actions,
       }), request, { status: 200, headers: { 'Content-Type': 'application/json' } });
     }
 
@@ -451,7 +791,7 @@ export async function getSchedule(request, env) {
   }
 }
 
-export async function hasPublishPermission(authToken, org, site, path) {
+async function hasLivePermission(authToken, org, site, path, permission) {
   const statusUrl = `https://admin.hlx.page/status/${org}/${site}/main${path}`;
   try {
     const resp = await fetch(statusUrl, {
@@ -462,25 +802,55 @@ export async function hasPublishPermission(authToken, org, site, path) {
       },
     });
     if (!resp.ok) {
-      console.log('Status API returned non-ok for publish permission check:', resp.status, resp.statusText);
+      console.log(`Status API returned non-ok for ${permission} permission check:`, resp.status, resp.statusText);
       return false;
     }
     const data = await resp.json();
     const permissions = data?.live?.permissions || [];
     console.log('User permissions for this page:', path, 'Permissions:', permissions);
-    return permissions.includes('write');
+    return permissions.includes(permission);
   } catch (err) {
-    console.error('Error checking publish permission:', err);
+    console.error(`Error checking ${permission} permission:`, err);
     return false;
   }
 }
 
+export async function hasPublishPermission(authToken, org, site, path) {
+  return hasLivePermission(authToken, org, site, path, 'write');
+}
+
+export async function hasUnpublishPermission(authToken, org, site, path) {
+  return hasLivePermission(authToken, org, site, path, 'delete');
+}
+
+// Page schedule entry types and how each is authorized, verified and audited
+const PAGE_ACTIONS = {
+  page: {
+    label: 'page',
+    verb: 'publish',
+    checkPermission: hasPublishPermission,
+    intentRoute: 'schedule-page-intent',
+    auditRoute: 'scheduled-publish',
+  },
+  unpublish: {
+    label: 'unpublish',
+    verb: 'unpublish',
+    checkPermission: hasUnpublishPermission,
+    intentRoute: 'schedule-unpublish-intent',
+    auditRoute: 'scheduled-unpublish',
+  },
+};
+
 /**
- * Schedule a page for publishing
+ * Shared implementation of the page schedule routes. Validates the body,
+ * authorizes the caller (DA token with the live permission the action needs,
+ * or a Sidekick intent nonce) and stores an entry of the given type.
  * @param {Object} request - The incoming request
  * @param {Object} env - The environment object
+ * @param {string} type - Entry type, a key of PAGE_ACTIONS
  */
-export async function schedulePage(request, env) {
+async function schedulePageAction(request, env, type) {
+  const action = PAGE_ACTIONS[type];
   try {
     const data = await request.json();
     if (!data) {
@@ -488,8 +858,15 @@ export async function schedulePage(request, env) {
     }
     const { org, site, error } = resolveOrgSite(request, data);
     if (error) return createErrorResponse(error, request, 400);
-    const { path, scheduledPublish } = data;
-    if (!org || !site || !path || !scheduledPublish) {
+    const {
+      path, scheduledPublish, startAt, endAt,
+    } = data;
+    // Publish window: a publish at startAt and an unpublish at endAt for the same path
+    const isWindow = type === 'page' && (startAt !== undefined || endAt !== undefined);
+    if (isWindow && (!org || !site || !path || !startAt || !endAt)) {
+      return createErrorResponse('Invalid body. Please provide org, site, path, startAt, endAt', request, 400);
+    }
+    if (!isWindow && (!org || !site || !path || !scheduledPublish)) {
       return createErrorResponse('Invalid body. Please provide org, site, path, scheduledPublish', request, 400);
     }
     const normalizedPath = path.startsWith('/') ? path : `/${path}`;
@@ -497,17 +874,28 @@ export async function schedulePage(request, env) {
     const apiKey = await getApiKey(env, org, site);
     if (!apiKey) return createErrorResponse('Org/site not registered', request, 404);
 
-    // Validate scheduledPublish (shared between modes)
-    const scheduledDate = new Date(scheduledPublish);
-    if (Number.isNaN(scheduledDate.getTime())) {
-      return createErrorResponse('Invalid scheduledPublish date format. Please provide a valid ISO date string', request, 400);
+    // Validate the scheduled times (shared between modes)
+    const entries = isWindow
+      ? [{ type: 'page', scheduledPublish: startAt }, { type: 'unpublish', scheduledPublish: endAt }]
+      : [{ type, scheduledPublish }];
+    const fields = isWindow ? ['startAt', 'endAt'] : ['scheduledPublish'];
+    const minimumLeadMs = getMinimumLeadMs(env, org, site);
+    const timeError = fields
+      .map((field, i) => validateScheduledTime(entries[i].scheduledPublish, minimumLeadMs, field))
+      .find(Boolean);
+    if (timeError) return createErrorResponse(timeError, request, 400);
+    if (isWindow && new Date(endAt) <= new Date(startAt)) {
+      return createErrorResponse('endAt must be after startAt', request, 400);
     }
-    const minimumTime = new Date(Date.now() + 5 * 60 * 1000);
-    if (scheduledDate < minimumTime) {
-      const msg = scheduledDate < new Date()
-        ? 'Scheduled publish is in the past'
-        : 'Scheduled publish must be at least 5 minutes in the future';
-      return createErrorResponse(msg, request, 400);
+
+    let recurrence;
+    if (data.recurrence !== undefined && data.recurrence !== null) {
+      if (type !== 'page' || isWindow) {
+        return createErrorResponse('Recurrence is only supported for single page publishes', request, 400);
+      }
+      const result = validateRecurrence(data.recurrence, new Date(scheduledPublish));
+      if (result.error) return createErrorResponse(result.error, request, 400);
+      ({ recurrence } = result);
     }
 
     const authToken = request.headers.get('Authorization');
@@ -517,9 +905,16 @@ export async function schedulePage(request, env) {
       // DA mode — use a body-supplied userId when present, otherwise derive the
       // identity from the token (parity with the delete handlers, so agentic MCP
       // callers that never pass a userId still work).
-      const canPublish = await hasPublishPermission(authToken, org, site, normalizedPath);
-      if (!canPublish) {
-        return createErrorResponse('Forbidden: you do not have publish permission for this page', request, 403);
+      const checks = await Promise.all(entries.map(async (entry) => {
+        const entryAction = PAGE_ACTIONS[entry.type];
+        return {
+          action: entryAction,
+          permitted: await entryAction.checkPermission(authToken, org, site, normalizedPath),
+        };
+      }));
+      const denied = checks.find((check) => !check.permitted);
+      if (denied) {
+        return createErrorResponse(`Forbidden: you do not have ${denied.action.verb} permission for this page`, request, 403);
       }
       const { userId } = data;
       resolvedUserId = userId || await resolveDaUserId({ authToken, org, site });
@@ -535,8 +930,10 @@ export async function schedulePage(request, env) {
         site,
         apiKey,
         nonce,
-        route: 'schedule-page-intent',
-        expected: { path: normalizedPath, scheduledPublish },
+        route: isWindow ? 'schedule-page-window-intent' : action.intentRoute,
+        expected: isWindow
+          ? { path: normalizedPath, startAt, endAt }
+          : { path: normalizedPath, scheduledPublish },
         window: 5 * 60 * 1000,
         singleUse: true,
       });
@@ -544,22 +941,17 @@ export async function schedulePage(request, env) {
       resolvedUserId = result.user;
     }
 
-    // R2 write — identical in both modes
-    let scheduleData = {};
-    try {
-      const existing = await env.R2_BUCKET.get('schedule.json');
-      if (existing) scheduleData = await existing.json();
-    } catch (err) {
-      console.warn('Could not read existing schedule data:', err);
-    }
-    const orgSiteKey = `${org}--${site}`;
-    if (!scheduleData[orgSiteKey]) scheduleData[orgSiteKey] = {};
-    scheduleData[orgSiteKey][normalizedPath] = {
-      type: 'page',
-      scheduledPublish,
-      userId: resolvedUserId,
-    };
-    await env.R2_BUCKET.put('schedule.json', JSON.stringify(scheduleData, null, 2));
+    // R2 write — identical in both modes. A new entry replaces a scheduled
+    // action of the same type for the path and keeps the other actions.
+    await changeSiteSchedule(env, org, site, [{
+      op: 'schedule',
+      path: normalizedPath,
+      entries: entries.map((entry) => ({
+        ...entry,
+        userId: resolvedUserId,
+        ...(recurrence && { recurrence }),
+      })),
+    }]);
 
     // Action audit log — both modes
     await postActionAuditLog({
@@ -568,24 +960,203 @@ export async function schedulePage(request, env) {
       authToken,
       apiKey,
       entry: {
-        route: 'scheduled-publish',
+        route: isWindow ? 'scheduled-publish-window' : action.auditRoute,
         path: normalizedPath,
+        ...(isWindow && { startAt, endAt }),
         triggeredBy: resolvedUserId,
       },
     });
 
+    let message = `Page schedule updated for ${org}/${site}`;
+    if (isWindow) {
+      message = `Publish window scheduled for ${org}/${site}`;
+    } else if (type === 'unpublish') {
+      message = `Page unpublish scheduled for ${org}/${site}`;
+    }
     return createResponse(JSON.stringify({
       success: true,
-      message: `Page schedule updated for ${org}/${site}`,
+      message,
       org,
       site,
       path: normalizedPath,
+      ...(isWindow && { startAt, endAt }),
+    }), request, {
+      status: 200, headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (err) {
+    if (err instanceof ScheduleConflictError) {
+      return createErrorResponse(err.message, request, err.status);
+    }
+    console.error(`Schedule ${action.label} failed: `, err);
+    return createErrorResponse(`Schedule ${action.label} failed: Internal server error`, request, 500);
+  }
+}
+
+/**
+ * Schedule a page for publishing.
+ * An optional `recurrence` ({freq: 'daily'|'weekly'|'monthly', interval?, count?, until?})
+ * turns the entry into a series: after each publish it is advanced to the next
+ * occurrence instead of being removed.
+ * @param {Object} request - The incoming request
+ * @param {Object} env - The environment object
+ */
+export async function schedulePage(request, env) {
+  return schedulePageAction(request, env, 'page');
+}
+
+/**
+ * Schedule a page to be taken down (unpublished from live).
+ * Stored as a `type: 'unpublish'` entry, which the publish worker runs with a
+ * DELETE against the admin live endpoint.
+ * @param {Object} request - The incoming request
+ * @param {Object} env - The environment object
+ */
+export async function scheduleUnpublish(request, env) {
+  return schedulePageAction(request, env, 'unpublish');
+}
+
+const MAX_BULK_ITEMS = 500;
+// Permission checks run in chunks, so a large request stays within the
+// Workers limit of simultaneous subrequests
+const PERMISSION_CHECK_CHUNK_SIZE = 6;
+
+/**
+ * Schedule many pages for publishing in one request.
+ * Route: POST /schedule/page/:org/:site/bulk
+ * Body: { items: [{ path, scheduledPublish, recurrence? }], userId? }
+ * Requires a DA token: publish permission is checked per path, the site schedule is
+ * written once for all permitted items and a single audit log entry lists the
+ * scheduled paths. Responds with a per-item result.
+ * @param {Object} request - The incoming request
+ * @param {Object} env - The environment object
+ */
+export async function bulkSchedulePages(request, env) {
+  try {
+    const data = await request.json();
+    const { org, site, error } = resolveOrgSite(request, data);
+    if (error) return createErrorResponse(error, request, 400);
+    const items = data?.items;
+    if (!org || !site || !Array.isArray(items) || items.length === 0) {
+      return createErrorResponse('Invalid body. Please provide org, site and a non-empty items array', request, 400);
+    }
+    if (items.length > MAX_BULK_ITEMS) {
+      return createErrorResponse(`Too many items. At most ${MAX_BULK_ITEMS} pages can be scheduled per request`, request, 400);
+    }
+
+    const apiKey = await getApiKey(env, org, site);
+    if (!apiKey) return createErrorResponse('Org/site not registered', request, 404);
+
+    const authToken = request.headers.get('Authorization');
+    if (!authToken) return createErrorResponse('missing authorization', request, 401);
+
+    // Validate each item; a path may only appear once per request
+    const seen = new Set();
+    const results = items.map((item) => {
+      const { path, scheduledPublish } = item || {};
+      if (!path || !scheduledPublish
+        || typeof path !== 'string' || typeof scheduledPublish !== 'string') {
+        return {
+          path: typeof path === 'string' ? path : undefined,
+          success: false,
+          status: 400,
+          error: 'Please provide path and scheduledPublish as strings',
+        };
+      }
+      const normalizedPath = path.startsWith('/') ? path : `/${path}`;
+      if (seen.has(normalizedPath)) {
+        return {
+          path: normalizedPath, success: false, status: 400, error: 'Duplicate path in request',
+        };
+      }
+      seen.add(normalizedPath);
+      const timeError = validateScheduledTime(scheduledPublish, getMinimumLeadMs(env, org, site));
+      if (timeError) {
+        return {
+          path: normalizedPath, success: false, status: 400, error: timeError,
+        };
+      }
+      let recurrence;
+      if (item.recurrence !== undefined && item.recurrence !== null) {
+        const result = validateRecurrence(item.recurrence, new Date(scheduledPublish));
+        if (result.error) {
+          return {
+            path: normalizedPath, success: false, status: 400, error: result.error,
+          };
+        }
+        ({ recurrence } = result);
+      }
+      return {
+        path: normalizedPath, scheduledPublish, recurrence, success: true,
+      };
+    });
+
+    // Publish permission per path
+    const valid = results.filter((result) => result.success);
+    for (let i = 0; i < valid.length; i += PERMISSION_CHECK_CHUNK_SIZE) {
+      // eslint-disable-next-line no-await-in-loop
+      await Promise.all(valid.slice(i, i + PERMISSION_CHECK_CHUNK_SIZE).map(async (result) => {
+        const canPublish = await hasPublishPermission(authToken, org, site, result.path);
+        if (!canPublish) {
+          Object.assign(result, {
+            success: false, status: 403, error: 'Forbidden: you do not have publish permission for this page',
+          });
+        }
+      }));
+    }
+
+    const scheduled = results.filter((result) => result.success);
+    if (scheduled.length > 0) {
+      const resolvedUserId = data.userId || await resolveDaUserId({ authToken, org, site });
+
+      await changeSiteSchedule(env, org, site, scheduled.map(({
+        path, scheduledPublish, recurrence,
+      }) => ({
+        op: 'schedule',
+        path,
+        entries: [{
+          type: 'page',
+          scheduledPublish,
+          userId: resolvedUserId,
+          ...(recurrence && { recurrence }),
+        }],
+      })));
+
+      await postActionAuditLog({
+        org,
+        site,
+        authToken,
+        apiKey,
+        entry: {
+          route: 'bulk-scheduled-publish',
+          paths: scheduled.map((result) => result.path),
+          triggeredBy: resolvedUserId,
+        },
+      });
+    }
+
+    const failedCount = results.length - scheduled.length;
+    console.log(`Bulk schedule for ${org}/${site}: ${scheduled.length} scheduled, ${failedCount} failed`);
+    return createResponse(JSON.stringify({
+      success: failedCount === 0,
+      message: `Scheduled ${scheduled.length} of ${results.length} pages for ${org}/${site}`,
+      org,
+      site,
+      results: results.map(({
+        path, scheduledPublish, success, status, error: itemError,
+      }) => (success
+        ? { path, success, scheduledPublish }
+        : {
+          path, success, status, error: itemError,
+        })),
     }), request, {
       status: 200, headers: { 'Content-Type': 'application/json' },
     });
   } catch (err) {
-    console.error('Schedule page failed: ', err);
-    return createErrorResponse('Schedule page failed: Internal server error', request, 500);
+    if (err instanceof ScheduleConflictError) {
+      return createErrorResponse(err.message, request, err.status);
+    }
+    console.error('Bulk schedule pages failed: ', err);
+    return createErrorResponse('Bulk schedule pages failed: Internal server error', request, 500);
   }
 }
 
@@ -595,6 +1166,8 @@ export async function schedulePage(request, env) {
  * The greedy param captures the page path (which may contain slashes).
  * For the home page the URL ends in `/:site/`, which itty-router matches
  * with an empty `path` param — treat that as `/`.
+ * All actions scheduled for the path are removed, unless a `type` query
+ * parameter (`page` or `unpublish`) selects a single one.
  * @param {Object} request - The incoming request
  * @param {Object} env - The environment object
  */
@@ -606,6 +1179,7 @@ export async function deletePageSchedule(request, env) {
       return createErrorResponse('Invalid URL. Expected /schedule/page/:org/:site/:path', request, 400);
     }
     const normalizedPath = pagePath.startsWith('/') ? pagePath : `/${pagePath}`;
+    const type = request.query?.type;
 
     const apiKey = await getApiKey(env, org, site);
     if (!apiKey) return createErrorResponse('Org/site not registered', request, 404);
@@ -640,23 +1214,21 @@ export async function deletePageSchedule(request, env) {
     }
 
     // R2 delete — shared
-    let scheduleData = {};
+    let deleted;
     try {
-      const existing = await env.R2_BUCKET.get('schedule.json');
-      if (existing) scheduleData = await existing.json();
+      [{ changed: deleted }] = await changeSiteSchedule(env, org, site, [
+        { op: 'remove', path: normalizedPath, type },
+      ]);
     } catch (err) {
-      console.warn('Could not read existing schedule data:', err);
+      if (err instanceof ScheduleConflictError) {
+        return createErrorResponse(err.message, request, err.status);
+      }
+      console.warn('Could not update schedule data:', err);
       return createErrorResponse('Could not retrieve schedule data', request, 500);
     }
-    const orgSiteKey = `${org}--${site}`;
-    if (!scheduleData[orgSiteKey] || !scheduleData[orgSiteKey][normalizedPath]) {
+    if (!deleted) {
       return createErrorResponse('No schedule found for this path', request, 404);
     }
-    delete scheduleData[orgSiteKey][normalizedPath];
-    if (Object.keys(scheduleData[orgSiteKey]).length === 0) {
-      delete scheduleData[orgSiteKey];
-    }
-    await env.R2_BUCKET.put('schedule.json', JSON.stringify(scheduleData, null, 2));
 
     // Action audit — both modes, with triggeredBy
     await postActionAuditLog({
@@ -667,6 +1239,7 @@ export async function deletePageSchedule(request, env) {
       entry: {
         route: 'deleted-scheduled-publish',
         path: normalizedPath,
+        ...(type && { type }),
         triggeredBy: resolvedUserId,
       },
     });
@@ -728,23 +1301,21 @@ export async function deleteSnapshotSchedule(request, env) {
       resolvedUserId = result.user;
     }
 
-    let scheduleData = {};
+    let deleted;
     try {
-      const existing = await env.R2_BUCKET.get('schedule.json');
-      if (existing) scheduleData = await existing.json();
+      [{ changed: deleted }] = await changeSiteSchedule(env, org, site, [
+        { op: 'remove', path: snapshotId },
+      ]);
     } catch (err) {
-      console.warn('Could not read existing schedule data:', err);
+      if (err instanceof ScheduleConflictError) {
+        return createErrorResponse(err.message, request, err.status);
+      }
+      console.warn('Could not update schedule data:', err);
       return createErrorResponse('Could not retrieve schedule data', request, 500);
     }
-    const orgSiteKey = `${org}--${site}`;
-    if (!scheduleData[orgSiteKey] || !scheduleData[orgSiteKey][snapshotId]) {
+    if (!deleted) {
       return createErrorResponse('No schedule found for this snapshot', request, 404);
     }
-    delete scheduleData[orgSiteKey][snapshotId];
-    if (Object.keys(scheduleData[orgSiteKey]).length === 0) {
-      delete scheduleData[orgSiteKey];
-    }
-    await env.R2_BUCKET.put('schedule.json', JSON.stringify(scheduleData, null, 2));
 
     await postActionAuditLog({
       org,
@@ -774,6 +1345,672 @@ export async function deleteSnapshotSchedule(request, env) {
   }
 }
 
+/**
+ * Move a scheduled page action to a new time.
+ * Route: PATCH /schedule/page/:org/:site/:path+
+ * Body: { scheduledPublish, type? }. `type` (`page` or `unpublish`) selects the
+ * action when several are scheduled for the path. The entry is updated in a
+ * single read-modify-write of the site schedule, so it stays scheduled throughout.
+ * Auth is the same as for deletePageSchedule.
+ * @param {Object} request - The incoming request
+ * @param {Object} env - The environment object
+ */
+export async function reschedulePage(request, env) {
+  try {
+    const { org, site } = request.params;
+    const pagePath = request.params.path || '/';
+    if (!org || !site) {
+      return createErrorResponse('Invalid URL. Expected /schedule/page/:org/:site/:path', request, 400);
+    }
+    const normalizedPath = pagePath.startsWith('/') ? pagePath : `/${pagePath}`;
+
+    const data = await request.json();
+    const { scheduledPublish, type } = data || {};
+    if (!scheduledPublish) {
+      return createErrorResponse('Invalid body. Please provide scheduledPublish', request, 400);
+    }
+    const timeError = validateScheduledTime(scheduledPublish, getMinimumLeadMs(env, org, site));
+    if (timeError) return createErrorResponse(timeError, request, 400);
+
+    const apiKey = await getApiKey(env, org, site);
+    if (!apiKey) return createErrorResponse('Org/site not registered', request, 404);
+
+    const authToken = request.headers.get('Authorization');
+    let resolvedUserId;
+
+    if (authToken) {
+      const canPublish = await hasPublishPermission(authToken, org, site, normalizedPath);
+      if (!canPublish) {
+        return createErrorResponse('Forbidden: you do not have publish permission for this page', request, 403);
+      }
+      resolvedUserId = await resolveDaUserId({ authToken, org, site });
+    } else {
+      const nonce = request.query?.nonce;
+      if (!nonce) return createErrorResponse('missing nonce or authorization', request, 401);
+      const result = await verifyScheduleIntent({
+        env,
+        org,
+        site,
+        apiKey,
+        nonce,
+        route: 'reschedule-page-intent',
+        expected: { path: normalizedPath, scheduledPublish },
+        window: 5 * 60 * 1000,
+        singleUse: true,
+      });
+      if (!result.ok) return createErrorResponse(result.error, request, result.status);
+      resolvedUserId = result.user;
+    }
+
+    let previousScheduledPublish;
+    let matchCount;
+    let entryType;
+    try {
+      [{
+        matches: matchCount, previousScheduledPublish, type: entryType,
+      }] = await changeSiteSchedule(
+        env,
+        org,
+        site,
+        [{
+          op: 'reschedule', path: normalizedPath, type, scheduledPublish,
+        }],
+      );
+    } catch (err) {
+      if (err instanceof ScheduleConflictError) {
+        return createErrorResponse(err.message, request, err.status);
+      }
+      console.warn('Could not update schedule data:', err);
+      return createErrorResponse('Could not retrieve schedule data', request, 500);
+    }
+    if (matchCount === 0) {
+      return createErrorResponse('No schedule found for this path', request, 404);
+    }
+    if (matchCount > 1) {
+      return createErrorResponse('Several actions are scheduled for this path. Please provide type', request, 400);
+    }
+
+    await postActionAuditLog({
+      org,
+      site,
+      authToken,
+      apiKey,
+      entry: {
+        route: 'rescheduled-publish',
+        path: normalizedPath,
+        type: entryType,
+        oldScheduledPublish: previousScheduledPublish,
+        newScheduledPublish: scheduledPublish,
+        triggeredBy: resolvedUserId,
+      },
+    });
+
+    return createResponse(JSON.stringify({
+      success: true,
+      message: `Page schedule moved for ${org}/${site}`,
+      org,
+      site,
+      path: normalizedPath,
+      type: entryType,
+      previousScheduledPublish,
+      scheduledPublish,
+    }), request, {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (err) {
+    console.error('Reschedule page failed: ', err);
+    return createErrorResponse('Reschedule page failed: Internal server error', request, 500);
+  }
+}
+
+/**
+ * Move a scheduled snapshot publish to a new time.
+ * Route: PATCH /schedule/snapshot/:org/:site/:snapshotId+
+ * Body: { scheduledPublish }. Auth is the same as for deleteSnapshotSchedule.
+ * @param {Object} request - The incoming request
+ * @param {Object} env - The environment object
+ */
+export async function rescheduleSnapshot(request, env) {
+  try {
+    const { org, site, snapshotId } = request.params;
+    if (!org || !site || !snapshotId) {
+      return createErrorResponse('Invalid URL. Expected /schedule/snapshot/:org/:site/:snapshotId', request, 400);
+    }
+    const data = await request.json();
+    const { scheduledPublish } = data || {};
+    if (!scheduledPublish) {
+      return createErrorResponse('Invalid body. Please provide scheduledPublish', request, 400);
+    }
+    const timeError = validateScheduledTime(scheduledPublish, getMinimumLeadMs(env, org, site));
+    if (timeError) return createErrorResponse(timeError, request, 400);
+
+    const apiKey = await getApiKey(env, org, site);
+    if (!apiKey) return createErrorResponse('Org/site not registered', request, 404);
+
+    const authToken = request.headers.get('Authorization');
+    let resolvedUserId;
+
+    if (authToken) {
+      const authorized = await isAuthorized(authToken, org, site, false);
+      if (!authorized) return createErrorResponse('Unauthorized', request, 401);
+      resolvedUserId = await resolveDaUserId({ authToken, org, site });
+    } else {
+      const nonce = request.query?.nonce;
+      if (!nonce) return createErrorResponse('missing nonce or authorization', request, 401);
+      const result = await verifyScheduleIntent({
+        env,
+        org,
+        site,
+        apiKey,
+        nonce,
+        route: 'reschedule-snapshot-intent',
+        expected: { snapshotId, scheduledPublish },
+        window: 5 * 60 * 1000,
+        singleUse: true,
+      });
+      if (!result.ok) return createErrorResponse(result.error, request, result.status);
+      resolvedUserId = result.user;
+    }
+
+    let previousScheduledPublish;
+    let rescheduled;
+    try {
+      [{ changed: rescheduled, previousScheduledPublish }] = await changeSiteSchedule(
+        env,
+        org,
+        site,
+        [{ op: 'reschedule', path: snapshotId, scheduledPublish }],
+      );
+    } catch (err) {
+      if (err instanceof ScheduleConflictError) {
+        return createErrorResponse(err.message, request, err.status);
+      }
+      console.warn('Could not update schedule data:', err);
+      return createErrorResponse('Could not retrieve schedule data', request, 500);
+    }
+    if (!rescheduled) {
+      return createErrorResponse('No schedule found for this snapshot', request, 404);
+    }
+
+    await postActionAuditLog({
+      org,
+      site,
+      authToken,
+      apiKey,
+      entry: {
+        route: 'rescheduled-publish',
+        snapshotId,
+        oldScheduledPublish: previousScheduledPublish,
+        newScheduledPublish: scheduledPublish,
+        triggeredBy: resolvedUserId,
+      },
+    });
+
+    return createResponse(JSON.stringify({
+      success: true,
+      message: `Snapshot schedule moved for ${org}/${site}`,
+      org,
+      site,
+      snapshotId,
+      previousScheduledPublish,
+      scheduledPublish,
+    }), request, {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (err) {
+    console.error('Reschedule snapshot failed: ', err);
+    return createErrorResponse('Reschedule snapshot failed: Internal server error', request, 500);
+  }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Read the failed records the DLQ worker stored for a day
+async function readFailedRecords(env, date) {
+  const failedFile = await env.R2_BUCKET.get(`failed/${date}.json`);
+  return failedFile ? failedFile.json() : null;
+}
+
+/**
+ * List the dead-lettered entries of an org/site for a day.
+ * Route: GET /failed/:org/:site?date=YYYY-MM-DD (defaults to today, UTC)
+ * Requires admin access to the site config.
+ * @param {Object} request - The incoming request
+ * @param {Object} env - The environment object
+ */
+export async function listFailed(request, env) {
+  try {
+    const { org, site } = request.params;
+    const today = new Date().toISOString().split('T')[0];
+    const date = request.query?.date || today;
+    if (!DATE_PATTERN.test(date)) {
+      return createErrorResponse('Invalid date. Please provide a date as YYYY-MM-DD', request, 400);
+    }
+
+    const authToken = request.headers.get('Authorization');
+    if (!authToken || !await isAuthorized(authToken, org, site, true)) {
+      return createErrorResponse('Unauthorized', request, 401);
+    }
+
+    const records = await readFailedRecords(env, date) || [];
+    const entries = records.filter((record) => record.org === org && record.site === site);
+    return createResponse(JSON.stringify({
+      org, site, date, entries,
+    }), request, {
+      status: 200, headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (err) {
+    console.error('List failed entries failed: ', err);
+    return createErrorResponse('List failed entries failed: Internal server error', request, 500);
+  }
+}
+
+/**
+ * Take back the replay marks of failed records that could not be put back
+ * into the schedule, so they can be replayed again
+ * @param {Object} env - The environment object
+ * @param {string} date - The day of the failed file
+ * @param {string} replayedAt - The time the records were marked with
+ * @param {Array<string>} messageIds - The message ids of the records
+ */
+async function unmarkReplayed(env, date, replayedAt, messageIds) {
+  try {
+    await casUpdate(env, `failed/${date}.json`, (records) => {
+      const marked = (records || []).filter((record) => record.replayedAt === replayedAt
+        && messageIds.includes(record.messageId));
+      /* eslint-disable no-param-reassign */
+      for (const record of marked) {
+        delete record.replayedAt;
+        delete record.replayedBy;
+        delete record.replayScheduledPublish;
+      }
+      /* eslint-enable no-param-reassign */
+      return marked.length > 0 ? records : undefined;
+    });
+  } catch (err) {
+    console.error(`Could not unmark the replayed records of ${date}:`, err.message);
+  }
+}
+
+/**
+ * Replay dead-lettered entries of an org/site.
+ * Route: POST /failed/:org/:site/replay
+ * Body: { date, messageIds: [...], scheduledPublish? }
+ * Without scheduledPublish the entries are put back into the site schedule as due
+ * now and sent to the publish queue right away, with an in-flight marker so the
+ * cron worker does not send them again (a coordinated site's alarm sends them
+ * instead); otherwise they are re-scheduled for the given time. The records are
+ * marked with replayedAt/replayedBy in the failed file before they are
+ * scheduled, so they cannot be replayed twice, even by requests that run at the
+ * same time. Requires admin access.
+ * @param {Object} request - The incoming request
+ * @param {Object} env - The environment object
+ */
+export async function replayFailed(request, env) {
+  try {
+    const { org, site } = request.params;
+    const data = await request.json();
+    const { date, messageIds, scheduledPublish } = data || {};
+    if (!DATE_PATTERN.test(date || '') || !Array.isArray(messageIds) || messageIds.length === 0) {
+      return createErrorResponse('Invalid body. Please provide date (YYYY-MM-DD) and a non-empty messageIds array', request, 400);
+    }
+    if (scheduledPublish) {
+      const timeError = validateScheduledTime(scheduledPublish, getMinimumLeadMs(env, org, site));
+      if (timeError) return createErrorResponse(timeError, request, 400);
+    }
+
+    const apiKey = await getApiKey(env, org, site);
+    if (!apiKey) return createErrorResponse('Org/site not registered', request, 404);
+
+    const authToken = request.headers.get('Authorization');
+    if (!authToken || !await isAuthorized(authToken, org, site, true)) {
+      return createErrorResponse('Unauthorized', request, 401);
+    }
+
+    // Mark the records as replayed before anything is scheduled, so requests
+    // that run at the same time cannot both replay them. The DLQ worker
+    // appends to the same file, so the write is conditional on what was read.
+    const replayedAt = new Date().toISOString();
+    const replayTime = scheduledPublish || replayedAt;
+    const replayedBy = await resolveDaUserId({ authToken, org, site });
+    let results;
+    await casUpdate(env, `failed/${date}.json`, (records) => {
+      if (!records) return undefined;
+      results = messageIds.map((messageId) => {
+        const record = records.find((r) => r.messageId === messageId
+          && r.org === org && r.site === site);
+        if (!record) {
+          return {
+            messageId, success: false, status: 404, error: 'Failed entry not found',
+          };
+        }
+        if (record.replayedAt) {
+          return {
+            messageId, path: record.path, success: false, status: 409, error: 'Failed entry was already replayed',
+          };
+        }
+        Object.assign(record, { replayedAt, replayedBy, replayScheduledPublish: replayTime });
+        return {
+          messageId, path: record.path, success: true, record,
+        };
+      });
+      return results.some((result) => result.success) ? records : undefined;
+    });
+    if (!results) {
+      return createErrorResponse(`No failed entries for ${date}`, request, 404);
+    }
+
+    // Put the entries back into the site's schedule. An entry that is still
+    // there (e.g. a recurring page) keeps its fields; one that was removed is
+    // added again from the failed record.
+    let replayed = results.filter((result) => result.success);
+    const entries = new Map(replayed.map(({ messageId, record }) => {
+      const type = record.type || 'snapshot';
+      return [messageId, {
+        type,
+        scheduledPublish: replayTime,
+        ...(type === 'snapshot' && { approved: record.approved ?? false }),
+        ...(record.userId && { userId: record.userId }),
+      }];
+    }));
+    if (replayed.length > 0) {
+      let scheduled;
+      try {
+        const mutations = replayed.map(({ messageId, record }) => ({
+          op: 'replay',
+          path: record.path,
+          entry: entries.get(messageId),
+          failedScheduledPublish: record.scheduledPublish,
+        }));
+        scheduled = await changeSiteSchedule(env, org, site, mutations);
+      } catch (err) {
+        await unmarkReplayed(env, date, replayedAt, replayed.map(({ messageId }) => messageId));
+        throw err;
+      }
+      const skipped = [];
+      replayed.forEach((result, i) => {
+        if (scheduled[i].replayed) {
+          entries.set(result.messageId, scheduled[i].entry);
+        } else {
+          skipped.push(result.messageId);
+          Object.assign(result, {
+            success: false, status: 409, error: 'Failed entry was re-scheduled since it failed',
+          });
+        }
+      });
+      if (skipped.length > 0) await unmarkReplayed(env, date, replayedAt, skipped);
+      replayed = replayed.filter((result) => result.success);
+    }
+
+    if (replayed.length > 0) {
+      // Publish right away; if the queue is unavailable the cron worker picks
+      // the entries up on its next run
+      if (!scheduledPublish && env.PUBLISH_QUEUE && !isCoordinatedSite(env, `${org}--${site}`)) {
+        await Promise.all(replayed.map(async ({ messageId, record }) => {
+          try {
+            const message = createPublishMessage(org, site, record.path, entries.get(messageId));
+            await env.PUBLISH_QUEUE.send(message, { delaySeconds: message.delaySeconds });
+            await markInFlight(env, message);
+          } catch (err) {
+            console.error(`Could not queue replay of ${record.path} for ${org}/${site}:`, err.message);
+          }
+        }));
+      }
+
+      await postActionAuditLog({
+        org,
+        site,
+        authToken,
+        apiKey,
+        entry: {
+          route: 'replayed-failed-publish',
+          paths: replayed.map(({ record }) => record.path),
+          scheduledPublish: replayTime,
+          triggeredBy: replayedBy,
+        },
+      });
+    }
+
+    console.log(`Replayed ${replayed.length} of ${results.length} failed entries for ${org}/${site}`);
+    return createResponse(JSON.stringify({
+      success: replayed.length === results.length,
+      message: `Replayed ${replayed.length} of ${results.length} failed entries for ${org}/${site}`,
+      org,
+      site,
+      date,
+      ...(replayed.length > 0 && { scheduledPublish: replayTime }),
+      results: results.map(({ record: _, ...result }) => result),
+    }), request, {
+      status: 200, headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (err) {
+    if (err instanceof ScheduleConflictError) {
+      return createErrorResponse(err.message, request, err.status);
+    }
+    console.error('Replay failed entries failed: ', err);
+    return createErrorResponse('Replay failed entries failed: Internal server error', request, 500);
+  }
+}
+
+/**
+ * Pause scheduled publishing of an org/site, e.g. during an incident or a
+ * content freeze. Entries stay in the schedule: the cron worker stops queueing
+ * them and the publish worker holds the messages already in flight.
+ * Route: POST /pause/:org/:site
+ * Body (optional): { reason }
+ * Requires admin access to the site config.
+ * @param {Object} request - The incoming request
+ * @param {Object} env - The environment object
+ */
+export async function pauseSite(request, env) {
+  try {
+    const { org, site } = request.params;
+    const apiKey = await getApiKey(env, org, site);
+    if (!apiKey) return createErrorResponse('Org/site not registered', request, 404);
+
+    const authToken = request.headers.get('Authorization');
+    if (!authToken || !await isAuthorized(authToken, org, site, true)) {
+      return createErrorResponse('Unauthorized', request, 401);
+    }
+
+    let data = {};
+    try {
+      data = await request.json() || {};
+    } catch (err) {
+      // the body is optional
+    }
+    const pause = {
+      pausedAt: new Date().toISOString(),
+      pausedBy: await resolveDaUserId({ authToken, org, site }),
+      ...(data.reason && { reason: String(data.reason) }),
+    };
+    await env.SCHEDULER_KV.put(pausedKey(org, site), JSON.stringify(pause));
+
+    console.log(`Paused scheduled publishing for ${org}/${site}`, pause);
+    return createResponse(JSON.stringify({
+      success: true, org, site, paused: true, ...pause,
+    }), request, {
+      status: 200, headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (err) {
+    console.error('Pause site failed: ', err);
+    return createErrorResponse('Pause site failed: Internal server error', request, 500);
+  }
+}
+
+/**
+ * Resume scheduled publishing of a paused org/site. The entries held while it
+ * was paused go through the site's catch-up policy: entries overdue by more
+ * than the grace period may be skipped or kept held, the others are released
+ * and queued by the next cron run. Entries that were not due yet are queued
+ * as usual.
+ * Route: POST /resume/:org/:site
+ * Requires admin access to the site config.
+ * @param {Object} request - The incoming request
+ * @param {Object} env - The environment object
+ */
+export async function resumeSite(request, env) {
+  try {
+    const { org, site } = request.params;
+    const apiKey = await getApiKey(env, org, site);
+    if (!apiKey) return createErrorResponse('Org/site not registered', request, 404);
+
+    const authToken = request.headers.get('Authorization');
+    if (!authToken || !await isAuthorized(authToken, org, site, true)) {
+      return createErrorResponse('Unauthorized', request, 401);
+    }
+
+    if (!await getSitePause(env, org, site)) {
+      return createErrorResponse(`Scheduled publishing is not paused for ${org}/${site}`, request, 409);
+    }
+
+    const now = Date.now();
+    const schedule = await readSiteSchedule(env, org, site);
+    const held = [];
+    let policy;
+    for (const path of Object.keys(schedule)) {
+      for (const entry of getPathActions(schedule, path)) {
+        if (entry.status === 'held' && entry.heldReason === 'paused') {
+          const overdueMs = now - new Date(entry.scheduledPublish).getTime();
+          let action = 'publish';
+          if (overdueMs > MISSED_GRACE_MS) {
+            // eslint-disable-next-line no-await-in-loop
+            policy ??= await readCatchUpPolicy(env, org, site);
+            action = catchUpAction(policy, overdueMs);
+          }
+          held.push({ snapshot: createPublishMessage(org, site, path, entry, now), action });
+        }
+      }
+    }
+
+    // The site stays paused if the held entries could not be settled, so the
+    // request can be retried
+    if (held.length > 0 && !await settleMissedEntries(env, org, site, held, now)) {
+      return createErrorResponse('Resume site failed: could not update the held entries', request, 500);
+    }
+    await recordMissedEntries(env, held
+      .filter(({ action }) => action !== 'publish')
+      .map(({ snapshot, action }) => ({
+        org,
+        site,
+        path: snapshot.path,
+        type: snapshot.type,
+        scheduledPublish: snapshot.scheduledPublish,
+        policy: policy.value,
+        action,
+      })), now);
+    await env.SCHEDULER_KV.delete(pausedKey(org, site));
+
+    const count = (action) => held.filter((missed) => missed.action === action).length;
+    const result = {
+      released: count('publish'),
+      skipped: count('skipped'),
+      held: count('held'),
+    };
+    console.log(`Resumed scheduled publishing for ${org}/${site}`, result);
+    return createResponse(JSON.stringify({
+      success: true, org, site, paused: false, ...result,
+    }), request, {
+      status: 200, headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (err) {
+    console.error('Resume site failed: ', err);
+    return createErrorResponse('Resume site failed: Internal server error', request, 500);
+  }
+}
+
+/**
+ * Whether the request carries the operator token (`Authorization: Bearer
+ * <OPERATOR_TOKEN>`), which protects the scheduler-wide routes. Digests are
+ * compared, so the comparison does not leak the token. Without an
+ * `OPERATOR_TOKEN` secret the routes are disabled.
+ * @param {Object} request - The incoming request
+ * @param {Object} env - The environment object
+ * @returns {Promise<boolean>}
+ */
+async function isOperator(request, env) {
+  const authToken = request.headers.get('Authorization');
+  if (!env.OPERATOR_TOKEN || !authToken) return false;
+  const digest = async (value) => new Uint8Array(
+    await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)),
+  );
+  const [actual, expected] = await Promise.all([authToken, `Bearer ${env.OPERATOR_TOKEN}`].map(digest));
+  return actual.every((byte, i) => byte === expected[i]);
+}
+
+/**
+ * Turn the scheduler-wide kill switch on or off, e.g. during a known outage
+ * of admin.hlx.page. While it is on the cron worker and the schedule
+ * coordinators queue nothing, and the publish worker retries all messages
+ * with a long delay.
+ * Route: POST /kill-switch
+ * Body: { enabled, reason? }
+ * Requires the operator token.
+ * @param {Object} request - The incoming request
+ * @param {Object} env - The environment object
+ */
+export async function setKillSwitch(request, env) {
+  try {
+    if (!await isOperator(request, env)) {
+      return createErrorResponse('Unauthorized', request, 401);
+    }
+    let data;
+    try {
+      data = await request.json();
+    } catch (err) {
+      data = null;
+    }
+    if (typeof data?.enabled !== 'boolean') {
+      return createErrorResponse('Invalid body. Please provide enabled as true or false', request, 400);
+    }
+
+    let killSwitch = { enabled: false };
+    if (data.enabled) {
+      // keep the time it was first turned on
+      const current = await getKillSwitch(env);
+      const value = {
+        enabledAt: current?.enabledAt || new Date().toISOString(),
+        ...(data.reason && { reason: String(data.reason) }),
+      };
+      await env.SCHEDULER_KV.put(KILL_SWITCH_KEY, JSON.stringify(value));
+      killSwitch = { enabled: true, ...value };
+    } else {
+      await env.SCHEDULER_KV.delete(KILL_SWITCH_KEY);
+    }
+
+    console.warn(`Kill switch turned ${data.enabled ? 'on' : 'off'}`, killSwitch);
+    return createResponse(JSON.stringify({ success: true, killSwitch }), request, {
+      status: 200, headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (err) {
+    console.error('Set kill switch failed: ', err);
+    return createErrorResponse('Set kill switch failed: Internal server error', request, 500);
+  }
+}
+
+/**
+ * Report the health of the scheduler, including the kill switch.
+ * Route: GET /health
+ * @param {Object} request - The incoming request
+ * @param {Object} env - The environment object
+ */
+export async function getHealth(request, env) {
+  try {
+    const killSwitch = await getKillSwitch(env);
+    return createResponse(JSON.stringify({
+      status: killSwitch ? 'stopped' : 'ok',
+      killSwitch: { enabled: Boolean(killSwitch), ...killSwitch },
+    }), request, {
+      status: 200, headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (err) {
+    console.error('Health check failed:', err);
+    return createErrorResponse('Health check failed: Internal server error', request, 500);
+  }
+}
+
 // Create a new router
 const router = IttyRouter();
 
@@ -783,21 +2020,38 @@ router.options('/register/:org/:site', (request) => createResponse(null, request
 router.options('/schedule', (request) => createResponse(null, request, { status: 204 }));
 router.options('/schedule/:org/:site', (request) => createResponse(null, request, { status: 204 }));
 router.options('/schedule/page', (request) => createResponse(null, request, { status: 204 }));
+router.options('/schedule/page/:org/:site/bulk', (request) => createResponse(null, request, { status: 204 }));
 router.options('/schedule/page/:org/:site/:path+', (request) => createResponse(null, request, { status: 204 }));
 router.options('/schedule/page/:org/:site', (request) => createResponse(null, request, { status: 204 }));
 router.options('/schedule/snapshot/:org/:site/:snapshotId+', (request) => createResponse(null, request, { status: 204 }));
 router.options('/schedule/snapshot/:org/:site', (request) => createResponse(null, request, { status: 204 }));
+router.options('/failed/:org/:site', (request) => createResponse(null, request, { status: 204 }));
+router.options('/failed/:org/:site/replay', (request) => createResponse(null, request, { status: 204 }));
+router.options('/schedule/unpublish/:org/:site', (request) => createResponse(null, request, { status: 204 }));
+router.options('/pause/:org/:site', (request) => createResponse(null, request, { status: 204 }));
+router.options('/resume/:org/:site', (request) => createResponse(null, request, { status: 204 }));
 
 router.post('/register', async (request, env) => registerRequest(request, env)); // old route for register
 router.post('/register/:org/:site', async (request, env) => registerRequest(request, env)); // new route for register
 router.get('/register/:org/:site', async (request, env) => isRegistered(request, env));
+router.delete('/register/:org/:site', async (request, env) => unregisterSite(request, env));
 router.post('/schedule', async (request, env) => updateSchedule(request, env)); // old route for schedule snapshot
 router.post('/schedule/page', async (request, env) => schedulePage(request, env)); // old route for schedule page
 router.post('/schedule/page/:org/:site', async (request, env) => schedulePage(request, env)); // new route for schedule page
+router.post('/schedule/page/:org/:site/bulk', async (request, env) => bulkSchedulePages(request, env));
 router.post('/schedule/snapshot/:org/:site', async (request, env) => updateSchedule(request, env)); // new route for schedule snapshot
+router.post('/schedule/unpublish/:org/:site', async (request, env) => scheduleUnpublish(request, env));
+router.patch('/schedule/page/:org/:site/:path+', async (request, env) => reschedulePage(request, env));
+router.patch('/schedule/snapshot/:org/:site/:snapshotId+', async (request, env) => rescheduleSnapshot(request, env));
 router.delete('/schedule/page/:org/:site/:path+', async (request, env) => deletePageSchedule(request, env));
 router.delete('/schedule/snapshot/:org/:site/:snapshotId+', async (request, env) => deleteSnapshotSchedule(request, env));
 router.get('/schedule/:org/:site', async (request, env) => getSchedule(request, env));
+router.get('/failed/:org/:site', async (request, env) => listFailed(request, env));
+router.post('/failed/:org/:site/replay', async (request, env) => replayFailed(request, env));
+router.post('/pause/:org/:site', async (request, env) => pauseSite(request, env));
+router.post('/resume/:org/:site', async (request, env) => resumeSite(request, env));
+router.post('/kill-switch', async (request, env) => setKillSwitch(request, env));
+router.get('/health', async (request, env) => getHealth(request, env));
 // catch all for invalid routes
 router.all('*', (request) => createErrorResponse('404, not found!', request, 404));
 
@@ -0,0 +1,175 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+/* eslint-disable import/no-relative-packages */
+
+import {
+  describe, it, beforeEach, afterEach,
+} from 'node:test';
+import assert from 'node:assert';
+import {
+  decryptApiKey,
+  encryptApiKey,
+  isEncrypted,
+  readApiKey,
+  writeApiKey,
+} from '../../shared/api-key-store.js';
+
+const KEY_V1 = Buffer.alloc(32, 1).toString('base64');
+const KEY_V2 = Buffer.alloc(32, 2).toString('base64');
+const KV_KEY = 'org1--site1--apiKey';
+
+// In-memory KV namespace with metadata
+function createEnv(vars = {}) {
+  const store = new Map();
+  return {
+    store,
+    API_KEY_ENCRYPTION_KEYS: JSON.stringify({ 1: KEY_V1 }),
+    API_KEY_ENCRYPTION_KEY_VERSION: '1',
+    ...vars,
+    SCHEDULER_KV: {
+      get: async (key) => store.get(key)?.value ?? null,
+      getWithMetadata: async (key) => ({
+        value: store.get(key)?.value ?? null,
+        metadata: store.get(key)?.metadata ?? null,
+      }),
+      put: async (key, value, options) => {
+        store.set(key, { value, metadata: options?.metadata });
+      },
+    },
+  };
+}
+
+describe('API key store', () => {
+  const originalConsole = { log: console.log, warn: console.warn };
+
+  beforeEach(() => {
+    console.log = () => {};
+    console.warn = () => {};
+  });
+
+  afterEach(() => {
+    Object.assign(console, originalConsole);
+  });
+
+  it('should store the API key encrypted with its version and metadata', async () => {
+    const env = createEnv();
+    await writeApiKey(env, KV_KEY, 'secret-key', { expiresAt: '2026-01-01T00:00:00.000Z' });
+
+    const { value, metadata } = env.store.get(KV_KEY);
+    assert.ok(value.startsWith('enc:1:'));
+    assert.ok(!value.includes('secret-key'));
+    assert.deepStrictEqual(metadata, { expiresAt: '2026-01-01T00:00:00.000Z' });
+    assert.strictEqual(await readApiKey(env, KV_KEY), 'secret-key');
+  });
+
+  it('should use a new iv for every value', async () => {
+    const env = createEnv();
+    const first = await encryptApiKey(env, KV_KEY, 'secret-key');
+    const second = await encryptApiKey(env, KV_KEY, 'secret-key');
+    assert.notStrictEqual(first, second);
+  });
+
+  it('should not decrypt a value copied to another key', async () => {
+    const env = createEnv();
+    const value = await encryptApiKey(env, KV_KEY, 'secret-key');
+    await assert.rejects(decryptApiKey(env, 'org2--site2--apiKey', value));
+  });
+
+  it('should re-encrypt a plaintext value the first time it is read', async () => {
+    const env = createEnv();
+    env.store.set(KV_KEY, { value: 'plain-key', metadata: { scopes: ['publish'] } });
+
+    assert.strictEqual(await readApiKey(env, KV_KEY), 'plain-key');
+
+    const { value, metadata } = env.store.get(KV_KEY);
+    assert.ok(isEncrypted(value));
+    assert.deepStrictEqual(metadata, { scopes: ['publish'] });
+    assert.strictEqual(await readApiKey(env, KV_KEY), 'plain-key');
+  });
+
+  it('should re-encrypt a value of an older key version', async () => {
+    const env = createEnv();
+    await writeApiKey(env, KV_KEY, 'secret-key');
+    env.API_KEY_ENCRYPTION_KEYS = JSON.stringify({ 1: KEY_V1, 2: KEY_V2 });
+    env.API_KEY_ENCRYPTION_KEY_VERSION = '2';
+
+    assert.strictEqual(await readApiKey(env, KV_KEY), 'secret-key');
+    assert.ok(env.store.get(KV_KEY).value.startsWith('enc:2:'));
+
+    // version 1 is no longer needed
+    env.API_KEY_ENCRYPTION_KEYS = JSON.stringify({ 2: KEY_V2 });
+    assert.strictEqual(await readApiKey(env, KV_KEY), 'secret-key');
+  });
+
+  it('should not overwrite a value that was replaced while it was read', async () => {
+    const env = createEnv();
+    env.store.set(KV_KEY, { value: 'plain-key' });
+    const { get } = env.SCHEDULER_KV;
+    env.SCHEDULER_KV.get = async (key) => {
+      const value = await get(key);
+      env.store.set(KV_KEY, { value: 'new-plain-key' });
+      return value;
+    };
+
+    assert.strictEqual(await readApiKey(env, KV_KEY), 'plain-key');
+    assert.strictEqual(env.store.get(KV_KEY).value, 'new-plain-key');
+  });
+
+  it('should return the key when it cannot be re-encrypted', async () => {
+    const env = createEnv();
+    env.store.set(KV_KEY, { value: 'plain-key' });
+    env.SCHEDULER_KV.put = async () => {
+      throw new Error('KV unavailable');
+    };
+
+    assert.strictEqual(await readApiKey(env, KV_KEY), 'plain-key');
+  });
+
+  it('should not store a key without the encryption keys', async () => {
+    const env = createEnv({ API_KEY_ENCRYPTION_KEYS: undefined });
+    await assert.rejects(
+      writeApiKey(env, KV_KEY, 'plain-key'),
+      /API_KEY_ENCRYPTION_KEYS is not set/,
+    );
+    assert.ok(!env.store.has(KV_KEY));
+  });
+
+  it('should still read plaintext keys without the encryption keys', async () => {
+    const env = createEnv({ API_KEY_ENCRYPTION_KEYS: undefined });
+    env.store.set(KV_KEY, { value: 'plain-key' });
+
+    assert.strictEqual(await readApiKey(env, KV_KEY), 'plain-key');
+  });
+
+  it('should fail to decrypt without the key of the value version', async () => {
+    const env = createEnv();
+    await writeApiKey(env, KV_KEY, 'secret-key');
+
+    await assert.rejects(
+      readApiKey({ ...env, API_KEY_ENCRYPTION_KEYS: JSON.stringify({ 2: KEY_V2 }) }, KV_KEY),
+      /No encryption key of version "1"/,
+    );
+  });
+
+  it('should reject a key version missing from the secret', async () => {
+    const env = createEnv({ API_KEY_ENCRYPTION_KEY_VERSION: '3' });
+    await assert.rejects(
+      writeApiKey(env, KV_KEY, 'secret-key'),
+      /API_KEY_ENCRYPTION_KEYS has no key for version "3"/,
+    );
+  });
+
+  it('should return null when no key is stored', async () => {
+    assert.strictEqual(await readApiKey(createEnv(), KV_KEY), null);
+  });
+});
@@ -0,0 +1,141 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import {
+  describe, it, beforeEach, afterEach,
+} from 'node:test';
+import assert from 'node:assert';
+import { decodeApiKey, validateApiKey } from '../src/api-key.js';
+
+const originalFetch = global.fetch;
+const NOW = new Date('2026-01-01T00:00:00Z').getTime();
+
+function makeApiKey(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'RS256' })}.${encode(claims)}.signature`;
+}
+
+function mockAdmin({ status = 200, permissions = ['read', 'write'], snapshotStatus = 200 } = {}) {
+  const calls = [];
+  global.fetch = async (url, opts = {}) => {
+    calls.push({ url, authorization: opts.headers?.Authorization });
+    if (url === 'https://admin.hlx.page/status/org1/site1/main/') {
+      return {
+        ok: status < 300,
+        status,
+        json: async () => ({
+          webPath: '/',
+          resourcePath: '/index.md',
+          live: { status: 200, permissions },
+          preview: { status: 200, permissions: ['read', 'write'] },
+          edit: {},
+          links: {
+            status: 'https://admin.hlx.page/status/org1/site1/main/',
+            preview: 'https://admin.hlx.page/preview/org1/site1/main/',
+            live: 'https://admin.hlx.page/live/org1/site1/main/',
+          },
+        }),
+      };
+    }
+    if (url === 'https://admin.hlx.page/snapshot/org1/site1/main') {
+      return { ok: snapshotStatus < 300, status: snapshotStatus };
+    }
+    throw new Error(`Unexpected fetch: ${url}`);
+  };
+  return calls;
+}
+
+describe('decodeApiKey', () => {
+  it('returns the claims of a JWT', () => {
+    assert.deepEqual(decodeApiKey(makeApiKey({ scopes: ['publish'], exp: 1 })), { scopes: ['publish'], exp: 1 });
+  });
+
+  it('returns null for keys that are not JWTs', () => {
+    assert.equal(decodeApiKey('opaque-key'), null);
+    assert.equal(decodeApiKey('a.not-json.c'), null);
+  });
+});
+
+describe('validateApiKey', () => {
+  beforeEach(() => {
+    global.fetch = originalFetch;
+  });
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('accepts a key that can publish and read snapshots and returns its metadata', async () => {
+    const exp = NOW / 1000 + 30 * 24 * 60 * 60;
+    const apiKey = makeApiKey({ scopes: ['publish', 'snapshot'], exp });
+    const calls = mockAdmin();
+
+    const result = await validateApiKey({
+      org: 'org1', site: 'site1', apiKey, now: NOW,
+    });
+
+    assert.deepEqual(result, {
+      ok: true,
+      metadata: {
+        scopes: ['publish', 'snapshot'],
+        expiresAt: '2026-01-31T00:00:00.000Z',
+        validatedAt: '2026-01-01T00:00:00.000Z',
+      },
+    });
+    assert.deepEqual(calls.map((call) => call.authorization), [`token ${apiKey}`, `token ${apiKey}`]);
+  });
+
+  it('keeps null metadata for keys without claims', async () => {
+    mockAdmin();
+    const result = await validateApiKey({
+      org: 'org1', site: 'site1', apiKey: 'opaque-key', now: NOW,
+    });
+    assert.equal(result.ok, true);
+    assert.equal(result.metadata.scopes, null);
+    assert.equal(result.metadata.expiresAt, null);
+  });
+
+  it('rejects an expired key without calling admin', async () => {
+    const calls = mockAdmin();
+    const result = await validateApiKey({
+      org: 'org1', site: 'site1', apiKey: makeApiKey({ exp: NOW / 1000 - 60 }), now: NOW,
+    });
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 400);
+    assert.match(result.error, /expired at 2025-12-31T23:59:00.000Z/);
+    assert.equal(calls.length, 0);
+  });
+
+  it('rejects a key admin does not accept for the org/site', async () => {
+    mockAdmin({ status: 401 });
+    const result = await validateApiKey({
+      org: 'org1', site: 'site1', apiKey: 'typo', now: NOW,
+    });
+    assert.equal(result.status, 400);
+    assert.match(result.error, /not accepted for org1\/site1/);
+  });
+
+  it('lists the missing permissions', async () => {
+    mockAdmin({ permissions: ['read'], snapshotStatus: 403 });
+    const result = await validateApiKey({
+      org: 'org1', site: 'site1', apiKey: 'preview-only', now: NOW,
+    });
+    assert.equal(result.status, 400);
+    assert.equal(result.error, 'Invalid apiKey: missing permissions: publish (live write), snapshot (read)');
+  });
+
+  it('reports admin outages as retryable', async () => {
+    mockAdmin({ status: 502 });
+    const result = await validateApiKey({
+      org: 'org1', site: 'site1', apiKey: 'key', now: NOW,
+    });
+    assert.equal(result.status, 503);
+  });
+});
@@ -0,0 +1,374 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable import/no-relative-packages */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ScheduleCoordinator } from '../src/coordinator.js';
+
+// Durable Object state with in-memory storage and alarm
+function createState(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  const state = {
+    data,
+    alarm: null,
+    storage: {
+      get: async (key) => structuredClone(data.get(key)),
+      put: async (key, value) => {
+        data.set(key, structuredClone(value));
+      },
+      setAlarm: async (time) => {
+        state.alarm = time;
+      },
+      deleteAlarm: async () => {
+        state.alarm = null;
+      },
+    },
+    blockConcurrencyWhile: (fn) => fn(),
+  };
+  return state;
+}
+
+function createEnv(objects = {}) {
+  const store = new Map(Object.entries(objects)
+    .map(([key, value]) => [key, JSON.stringify(value)]));
+  const sent = [];
+  return {
+    store,
+    sent,
+    read: (key) => (store.has(key) ? JSON.parse(store.get(key)) : undefined),
+    env: {
+      R2_BUCKET: {
+        get: async (key) => (store.has(key)
+          ? { etag: `etag-${store.get(key).length}`, json: async () => JSON.parse(store.get(key)) }
+          : null),
+        head: async (key) => (store.has(key) ? { etag: `etag-${store.get(key).length}` } : null),
+        put: async (key, value) => {
+          store.set(key, value);
+          return {};
+        },
+      },
+      PUBLISH_QUEUE: {
+        send: async (message, options) => {
+          sent.push({ message, options });
+        },
+      },
+    },
+  };
+}
+
+function mutationRequest(body, path = '/mutations') {
+  return new Request(`https://schedule-coordinator${path}`, {
+    method: 'POST',
+    body: JSON.stringify(body),
+  });
+}
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+const anHourAgo = () => new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+describe('ScheduleCoordinator', () => {
+  it('should adopt the schedule from R2, apply mutations and keep R2 as the snapshot', async () => {
+    const later = inOneHour();
+    const { env, read } = createEnv({
+      'schedules/org1--site1.json': { '/a': { type: 'page', scheduledPublish: later } },
+    });
+    const state = createState();
+    const coordinator = new ScheduleCoordinator(state, env);
+
+    const entry = { type: 'page', scheduledPublish: later };
+    const response = await coordinator.fetch(mutationRequest({
+      org: 'org1',
+      site: 'site1',
+      mutations: [
+        { op: 'schedule', path: '/b', entries: [entry] },
+        { op: 'remove', path: '/missing' },
+      ],
+    }));
+
+    assert.strictEqual(response.status, 200);
+    const { results } = await response.json();
+    assert.deepStrictEqual(results, [{ changed: true }, { changed: false }]);
+    const expected = { '/a': entry, '/b': entry };
+    assert.deepStrictEqual(state.data.get('schedule'), expected);
+    assert.deepStrictEqual(state.data.get('site'), { org: 'org1', site: 'site1' });
+    assert.deepStrictEqual(read('schedules/org1--site1.json'), expected);
+    assert.strictEqual(state.alarm, new Date(later).getTime());
+  });
+
+  it('should use its own state while R2 has the snapshot it wrote', async () => {
+    const later = inOneHour();
+    const snapshot = { '/stale': { type: 'page', scheduledPublish: later } };
+    const { env, read } = createEnv({ 'schedules/org1--site1.json': snapshot });
+    const state = createState({
+      site: { org: 'org1', site: 'site1' },
+      schedule: { '/a': { type: 'page', scheduledPublish: later } },
+      etag: `etag-${JSON.stringify(snapshot).length}`,
+    });
+    const coordinator = new ScheduleCoordinator(state, env);
+
+    await coordinator.fetch(mutationRequest({
+      org: 'org1', site: 'site1', mutations: [{ op: 'remove', path: '/a' }],
+    }));
+
+    assert.deepStrictEqual(state.data.get('schedule'), {});
+    assert.deepStrictEqual(read('schedules/org1--site1.json'), {});
+    assert.strictEqual(state.alarm, null);
+  });
+
+  it('should adopt R2 again when another worker wrote it', async () => {
+    const later = inOneHour();
+    // written directly while the site was not coordinated: /published is gone
+    const { env, read } = createEnv({
+      'schedules/org1--site1.json': { '/a': { type: 'page', scheduledPublish: later } },
+    });
+    const state = createState({
+      site: { org: 'org1', site: 'site1' },
+      schedule: {
+        '/a': { type: 'page', scheduledPublish: later },
+        '/published': { type: 'page', scheduledPublish: anHourAgo() },
+      },
+      etag: 'etag-of-its-last-write',
+    });
+    const coordinator = new ScheduleCoordinator(state, env);
+
+    await coordinator.fetch(mutationRequest({
+      org: 'org1', site: 'site1', mutations: [{ op: 'remove', path: '/a' }],
+    }));
+
+    assert.deepStrictEqual(read('schedules/org1--site1.json'), {});
+    assert.deepStrictEqual(state.data.get('schedule'), {});
+    assert.strictEqual(state.data.get('etag'), 'etag-2');
+    assert.deepStrictEqual(state.data.get('enqueued'), {});
+  });
+
+  it('should not change its state when the R2 snapshot cannot be written', async () => {
+    const { env } = createEnv();
+    env.R2_BUCKET.put = async () => {
+      throw new Error('R2 write error');
+    };
+    const state = createState();
+    const coordinator = new ScheduleCoordinator(state, env);
+
+    const response = await coordinator.fetch(mutationRequest({
+      org: 'org1',
+      site: 'site1',
+      mutations: [{ op: 'put', path: 'snap1', entry: { type: 'snapshot', scheduledPublish: inOneHour() } }],
+    }));
+
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(state.data.get('schedule'), undefined);
+  });
+
+  it('should reject invalid requests', async () => {
+    const coordinator = new ScheduleCoordinator(createState(), createEnv().env);
+    assert.strictEqual((await coordinator.fetch(mutationRequest({}, '/other'))).status, 404);
+    assert.strictEqual((await coordinator.fetch(mutationRequest({ org: 'org1' }))).status, 400);
+    assert.strictEqual((await coordinator.fetch(new Request('https://schedule-coordinator/mutations', {
+      method: 'POST', body: 'not json',
+    }))).status, 400);
+  });
+
+  it('should queue due entries once and arm the alarm for the next one', async () => {
+    const due = anHourAgo();
+    const later = inOneHour();
+    const { env, sent } = createEnv();
+    const state = createState({
+      site: { org: 'org1', site: 'site1' },
+      schedule: {
+        '/a': [
+          { type: 'page', scheduledPublish: due, userId: 'user1' },
+          { type: 'unpublish', scheduledPublish: later },
+        ],
+        '/failed': { type: 'page', scheduledPublish: due, status: 'failed' },
+      },
+    });
+    const coordinator = new ScheduleCoordinator(state, env);
+
+    await coordinator.alarm();
+    assert.deepStrictEqual(sent, [{
+      message: {
+        org: 'org1',
+        site: 'site1',
+        path: '/a',
+        scheduledPublish: due,
+        approved: false,
+        type: 'page',
+        userId: 'user1',
+        delaySeconds: 0,
+      },
+      options: { delaySeconds: 0 },
+    }]);
+    assert.strictEqual(state.alarm, new Date(later).getTime());
+
+    // a second alarm does not send the entry again
+    await coordinator.alarm();
+    assert.strictEqual(sent.length, 1);
+  });
+
+  it('should apply the catch-up policy to entries missed by the alarm', async () => {
+    const longAgo = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
+    const justDue = new Date(Date.now() - 60 * 1000).toISOString();
+    const {
+      env, sent, read, store,
+    } = createEnv();
+    env.SCHEDULER_KV = {
+      get: async (key) => (key === 'org1--site1--catchUpPolicy' ? 'skip-if-older-than:2h' : null),
+    };
+    const state = createState({
+      site: { org: 'org1', site: 'site1' },
+      schedule: {
+        '/old': { type: 'page', scheduledPublish: longAgo },
+        '/recent': { type: 'page', scheduledPublish: anHourAgo() },
+        '/now': { type: 'page', scheduledPublish: justDue },
+      },
+    });
+    const coordinator = new ScheduleCoordinator(state, env);
+
+    await coordinator.alarm();
+
+    assert.deepStrictEqual(sent.map(({ message }) => message.path).sort(), ['/now', '/recent']);
+    assert.deepStrictEqual(Object.keys(read('schedules/org1--site1.json')).sort(), ['/now', '/recent']);
+    assert.deepStrictEqual(Object.keys(state.data.get('schedule')).sort(), ['/now', '/recent']);
+    const missedFile = [...store.keys()].find((key) => key.startsWith('missed/'));
+    assert.deepStrictEqual(
+      read(missedFile).map(({ path, action, policy }) => [path, action, policy]),
+      [['/old', 'skipped', 'skip-if-older-than:2h']],
+    );
+  });
+
+  it('should hold missed entries of a site with hold-for-approval', async () => {
+    const { env, sent } = createEnv();
+    env.SCHEDULER_KV = {
+      get: async (key) => (key === 'org1--site1--catchUpPolicy' ? 'hold-for-approval' : null),
+    };
+    const state = createState({
+      site: { org: 'org1', site: 'site1' },
+      schedule: { '/a': { type: 'page', scheduledPublish: anHourAgo() } },
+    });
+    const coordinator = new ScheduleCoordinator(state, env);
+
+    await coordinator.alarm();
+
+    assert.strictEqual(sent.length, 0);
+    const entry = state.data.get('schedule')['/a'];
+    assert.strictEqual(entry.status, 'held');
+    assert.strictEqual(entry.heldReason, 'missed');
+    assert.strictEqual(state.alarm, null);
+  });
+
+  it('should queue an entry again once it was moved', async () => {
+    const due = anHourAgo();
+    const { env, sent } = createEnv();
+    const state = createState({
+      site: { org: 'org1', site: 'site1' },
+      schedule: { '/a': { type: 'page', scheduledPublish: due } },
+      enqueued: { 'page|/a': due },
+    });
+    const coordinator = new ScheduleCoordinator(state, env);
+
+    const moved = inOneHour();
+    await coordinator.fetch(mutationRequest({
+      org: 'org1',
+      site: 'site1',
+      mutations: [{ op: 'reschedule', path: '/a', scheduledPublish: moved }],
+    }));
+    assert.deepStrictEqual(state.data.get('enqueued'), {});
+    assert.strictEqual(state.alarm, new Date(moved).getTime());
+    assert.strictEqual(sent.length, 0);
+  });
+
+  it('should queue a held entry again once it was released', async () => {
+    const due = anHourAgo();
+    const { env, sent } = createEnv();
+    const state = createState({
+      site: { org: 'org1', site: 'site1' },
+      schedule: { '/a': { type: 'page', scheduledPublish: due } },
+      enqueued: { 'page|/a': due },
+    });
+    const coordinator = new ScheduleCoordinator(state, env);
+
+    await coordinator.fetch(mutationRequest({
+      org: 'org1',
+      site: 'site1',
+      mutations: [{
+        op: 'hold', path: '/a', type: 'page', scheduledPublish: due, heldAt: due, reason: 'paused',
+      }],
+    }));
+    assert.deepStrictEqual(state.data.get('enqueued'), {});
+    await coordinator.alarm();
+    assert.strictEqual(sent.length, 0, 'Held entries are not queued');
+
+    await coordinator.fetch(mutationRequest({
+      org: 'org1', site: 'site1', mutations: [{ op: 'release', path: '/a', type: 'page' }],
+    }));
+    await coordinator.alarm();
+    assert.deepStrictEqual(sent.map(({ message }) => message.path), ['/a']);
+  });
+
+  it('should not queue entries while the kill switch is on', async () => {
+    const due = anHourAgo();
+    const { env, sent } = createEnv();
+    env.SCHEDULER_KV = {
+      get: async (key) => (key === 'scheduler--killSwitch' ? { enabledAt: due } : null),
+    };
+    const state = createState({
+      site: { org: 'org1', site: 'site1' },
+      schedule: { '/a': { type: 'page', scheduledPublish: due } },
+    });
+    const coordinator = new ScheduleCoordinator(state, env);
+
+    const before = Date.now();
+    await coordinator.alarm();
+    assert.strictEqual(sent.length, 0);
+    assert.ok(state.alarm >= before + 5 * 60 * 1000, 'The alarm checks the kill switch again later');
+  });
+
+  it('should not queue entries while the site is paused', async () => {
+    const due = anHourAgo();
+    const { env, sent } = createEnv();
+    env.SCHEDULER_KV = {
+      get: async (key) => (key === 'org1--site1--paused' ? { pausedAt: due } : null),
+    };
+    const state = createState({
+      site: { org: 'org1', site: 'site1' },
+      schedule: { '/a': { type: 'page', scheduledPublish: due } },
+    });
+    const coordinator = new ScheduleCoordinator(state, env);
+
+    const before = Date.now();
+    await coordinator.alarm();
+    assert.strictEqual(sent.length, 0);
+    assert.ok(state.alarm >= before + 5 * 60 * 1000, 'The alarm checks the pause again later');
+
+    env.SCHEDULER_KV.get = async () => null;
+    await coordinator.alarm();
+    assert.deepStrictEqual(sent.map(({ message }) => message.path), ['/a']);
+  });
+
+  it('should retry the alarm when an entry could not be queued', async () => {
+    const { env } = createEnv();
+    env.PUBLISH_QUEUE.send = async () => {
+      throw new Error('Queue unavailable');
+    };
+    const state = createState({
+      site: { org: 'org1', site: 'site1' },
+      schedule: { '/a': { type: 'page', scheduledPublish: anHourAgo() } },
+    });
+    const coordinator = new ScheduleCoordinator(state, env);
+
+    const before = Date.now();
+    await coordinator.alarm();
+    assert.deepStrictEqual(state.data.get('enqueued'), {});
+    assert.ok(state.alarm >= before + 60 * 1000);
+  });
+});
@@ -0,0 +1,344 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable import/no-relative-packages */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  MAX_WRITE_ATTEMPTS,
+  ScheduleConflictError,
+  changeSiteSchedule,
+  listScheduledSites,
+  migrateLegacySchedule,
+  readSiteSchedule,
+  updateSiteSchedule,
+} from '../../shared/schedule-store.js';
+
+// In-memory R2 bucket with etags and `onlyIf` conditions on put
+function createEnv(objects = {}) {
+  const store = new Map();
+  let version = 0;
+  const set = (key, value) => {
+    version += 1;
+    store.set(key, { value, etag: `etag-${version}` });
+  };
+  Object.entries(objects).forEach(([key, value]) => set(key, JSON.stringify(value)));
+  const puts = [];
+  return {
+    store,
+    puts,
+    set,
+    read: (key) => (store.has(key) ? JSON.parse(store.get(key).value) : undefined),
+    env: {
+      R2_BUCKET: {
+        get: async (key) => {
+          const object = store.get(key);
+          return object ? { etag: object.etag, json: async () => JSON.parse(object.value) } : null;
+        },
+        put: async (key, value, options) => {
+          const { etagMatches, etagDoesNotMatch } = options?.onlyIf || {};
+          const current = store.get(key);
+          if ((etagMatches && current?.etag !== etagMatches)
+            || (etagDoesNotMatch === '*' && current)) {
+            return null;
+          }
+          puts.push(key);
+          set(key, value);
+          return {};
+        },
+        delete: async (key) => {
+          store.delete(key);
+        },
+      },
+    },
+  };
+}
+
+const page = { type: 'page', scheduledPublish: '2025-06-15T12:00:00Z' };
+
+describe('schedule store', () => {
+  it('should read a site schedule from its shard, falling back to the legacy file', async () => {
+    const { env } = createEnv({
+      'schedules/org1--site1.json': { '/a': page },
+      'schedule.json': { 'org1--site1': { '/old': page }, 'org2--site2': { '/b': page } },
+    });
+    assert.deepStrictEqual(await readSiteSchedule(env, 'org1', 'site1'), { '/a': page });
+    assert.deepStrictEqual(await readSiteSchedule(env, 'org2', 'site2'), { '/b': page });
+    assert.deepStrictEqual(await readSiteSchedule(env, 'org3', 'site3'), {});
+  });
+
+  it('should write only the shard of the site and add new sites to the index', async () => {
+    const { env, read, puts } = createEnv({
+      'schedules/org1--site1.json': { '/a': page },
+      'schedules/index.json': ['org1--site1'],
+    });
+
+    await updateSiteSchedule(env, 'org1', 'site1', (schedule) => {
+      Object.assign(schedule, { '/b': page });
+    });
+    assert.deepStrictEqual(puts, ['schedules/org1--site1.json']);
+
+    await updateSiteSchedule(env, 'org2', 'site2', (schedule) => {
+      Object.assign(schedule, { '/c': page });
+    });
+    assert.deepStrictEqual(read('schedules/org2--site2.json'), { '/c': page });
+    assert.deepStrictEqual(await listScheduledSites(env), ['org1--site1', 'org2--site2']);
+  });
+
+  it('should skip the write when the mutation returns false', async () => {
+    const { env, puts } = createEnv({ 'schedules/org1--site1.json': { '/a': page } });
+    const written = await updateSiteSchedule(env, 'org1', 'site1', () => false);
+    assert.strictEqual(written, false);
+    assert.deepStrictEqual(puts, []);
+  });
+
+  it('should keep an emptied shard and remove the site from the index', async () => {
+    const { env, read } = createEnv({
+      'schedules/org1--site1.json': { '/a': page },
+      'schedules/index.json': ['org1--site1'],
+    });
+    await updateSiteSchedule(env, 'org1', 'site1', (schedule) => {
+      // eslint-disable-next-line no-param-reassign
+      delete schedule['/a'];
+    });
+    assert.deepStrictEqual(read('schedules/org1--site1.json'), {});
+    assert.deepStrictEqual(await listScheduledSites(env), []);
+  });
+
+  it('should keep a site in the index when an entry was added while it was emptied', async () => {
+    const { env, set } = createEnv({
+      'schedules/org1--site1.json': { '/a': page },
+      'schedules/index.json': ['org1--site1'],
+    });
+    // another worker adds an entry after the shard was emptied and before the
+    // index is updated; its own index update finds the site listed
+    const { put } = env.R2_BUCKET;
+    env.R2_BUCKET.put = async (key, value, options) => {
+      const written = await put(key, value, options);
+      if (key === 'schedules/org1--site1.json') {
+        env.R2_BUCKET.put = put;
+        set(key, JSON.stringify({ '/b': page }));
+      }
+      return written;
+    };
+
+    await updateSiteSchedule(env, 'org1', 'site1', (schedule) => {
+      // eslint-disable-next-line no-param-reassign
+      delete schedule['/a'];
+    });
+    assert.deepStrictEqual(await listScheduledSites(env), ['org1--site1']);
+  });
+
+  it('should add a site to the index when an earlier index update failed', async () => {
+    const { env } = createEnv({ 'schedules/index.json': [] });
+    const { put } = env.R2_BUCKET;
+    env.R2_BUCKET.put = async (key, ...args) => {
+      if (key === 'schedules/index.json') throw new Error('Worker stopped');
+      return put(key, ...args);
+    };
+    await assert.rejects(updateSiteSchedule(env, 'org1', 'site1', (schedule) => {
+      Object.assign(schedule, { '/a': page });
+    }), /Worker stopped/);
+    assert.deepStrictEqual(await listScheduledSites(env), []);
+
+    // the retry finds the site's entries stored and lists it
+    env.R2_BUCKET.put = put;
+    await updateSiteSchedule(env, 'org1', 'site1', (schedule) => {
+      Object.assign(schedule, { '/a': page });
+    });
+    assert.deepStrictEqual(await listScheduledSites(env), ['org1--site1']);
+  });
+
+  it('should move legacy entries to a shard when they are first changed', async () => {
+    const { env, read } = createEnv({
+      'schedule.json': { 'org1--site1': { '/a': page, '/b': page } },
+    });
+    await updateSiteSchedule(env, 'org1', 'site1', (schedule) => {
+      // eslint-disable-next-line no-param-reassign
+      delete schedule['/a'];
+    });
+    assert.deepStrictEqual(read('schedules/org1--site1.json'), { '/b': page });
+    assert.deepStrictEqual(read('schedule.json'), { 'org1--site1': { '/a': page, '/b': page } });
+  });
+
+  it('should keep an emptied legacy slice as an empty shard until the migration', async () => {
+    const { env, read } = createEnv({
+      'schedule.json': { 'org1--site1': { '/a': page } },
+    });
+    await updateSiteSchedule(env, 'org1', 'site1', (schedule) => {
+      // eslint-disable-next-line no-param-reassign
+      delete schedule['/a'];
+    });
+    assert.deepStrictEqual(read('schedules/org1--site1.json'), {});
+    assert.deepStrictEqual(await readSiteSchedule(env, 'org1', 'site1'), {});
+  });
+
+  it('should migrate the legacy file once and keep existing shards', async () => {
+    const { env, read, store } = createEnv({
+      'schedule.json': {
+        'org1--site1': { '/a': page },
+        'org2--site2': { '/stale': page },
+        'org3--site3': { '/removed': page },
+      },
+      'schedules/org2--site2.json': { '/fresh': page },
+      'schedules/org3--site3.json': {},
+      'schedules/index.json': ['org2--site2'],
+    });
+
+    const result = await migrateLegacySchedule(env);
+    assert.deepStrictEqual(result, { migrated: 1, skipped: 2 });
+    assert.deepStrictEqual(read('schedules/org1--site1.json'), { '/a': page });
+    assert.deepStrictEqual(read('schedules/org2--site2.json'), { '/fresh': page });
+    assert.deepStrictEqual(read('schedules/org3--site3.json'), {});
+    assert.deepStrictEqual(await listScheduledSites(env), ['org1--site1', 'org2--site2']);
+    assert.strictEqual(store.has('schedule.json'), false);
+    assert.ok([...store.keys()].some((key) => key.startsWith('archive/schedule-')));
+
+    assert.strictEqual(await migrateLegacySchedule(env), null);
+  });
+
+  it('should re-apply the change when the schedule was modified concurrently', async () => {
+    const { env, read, set } = createEnv({
+      'schedules/org1--site1.json': { '/a': page },
+      'schedules/index.json': ['org1--site1'],
+    });
+    let calls = 0;
+    await updateSiteSchedule(env, 'org1', 'site1', (schedule) => {
+      calls += 1;
+      if (calls === 1) {
+        // another worker removes /a between our read and write
+        set('schedules/org1--site1.json', JSON.stringify({ '/other': page }));
+      }
+      Object.assign(schedule, { '/b': page });
+    });
+    assert.strictEqual(calls, 2);
+    assert.deepStrictEqual(read('schedules/org1--site1.json'), { '/other': page, '/b': page });
+  });
+
+  it('should fail with a 409 conflict after the bounded number of attempts', async () => {
+    const { env, set } = createEnv({ 'schedules/org1--site1.json': { '/a': page } });
+    let calls = 0;
+    await assert.rejects(
+      updateSiteSchedule(env, 'org1', 'site1', (schedule) => {
+        calls += 1;
+        set('schedules/org1--site1.json', JSON.stringify({ '/a': page, [`/${calls}`]: page }));
+        Object.assign(schedule, { '/b': page });
+      }),
+      (err) => err instanceof ScheduleConflictError && err.status === 409,
+    );
+    assert.strictEqual(calls, MAX_WRITE_ATTEMPTS);
+  });
+
+  it('should not overwrite a shard created concurrently', async () => {
+    const { env, read, set } = createEnv();
+    let calls = 0;
+    await updateSiteSchedule(env, 'org1', 'site1', (schedule) => {
+      calls += 1;
+      if (calls === 1) set('schedules/org1--site1.json', JSON.stringify({ '/other': page }));
+      Object.assign(schedule, { '/b': page });
+    });
+    assert.deepStrictEqual(read('schedules/org1--site1.json'), { '/other': page, '/b': page });
+  });
+
+  it('should let shard read errors surface', async () => {
+    const env = {
+      R2_BUCKET: {
+        get: async () => { throw new Error('R2 read error'); },
+      },
+    };
+    await assert.rejects(readSiteSchedule(env, 'org1', 'site1'), /R2 read error/);
+  });
+
+  it('should apply mutations to the R2 object and return their results', async () => {
+    const { env, read, puts } = createEnv({
+      'schedules/org1--site1.json': { '/a': [page, { type: 'unpublish', scheduledPublish: page.scheduledPublish }] },
+    });
+    const results = await changeSiteSchedule(env, 'org1', 'site1', [
+      { op: 'remove', path: '/a', type: 'unpublish' },
+      { op: 'reschedule', path: '/a', scheduledPublish: '2025-07-01T12:00:00Z' },
+    ]);
+    assert.deepStrictEqual(results, [
+      { changed: true },
+      {
+        changed: true, matches: 1, previousScheduledPublish: page.scheduledPublish, type: 'page',
+      },
+    ]);
+    assert.deepStrictEqual(read('schedules/org1--site1.json'), {
+      '/a': { type: 'page', scheduledPublish: '2025-07-01T12:00:00Z' },
+    });
+
+    puts.length = 0;
+    const [result] = await changeSiteSchedule(env, 'org1', 'site1', [{ op: 'remove', path: '/b' }]);
+    assert.deepStrictEqual(result, { changed: false });
+    assert.deepStrictEqual(puts, []);
+  });
+
+  it('should send the mutations of coordinated sites to their coordinator', async () => {
+    const { env, puts } = createEnv();
+    const requests = [];
+    env.SCHEDULE_COORDINATOR_SITES = 'org2--site2, org1--site1';
+    env.SCHEDULE_COORDINATOR = {
+      idFromName: (name) => `id:${name}`,
+      get: (id) => ({
+        fetch: async (url, init) => {
+          requests.push({ id, url, body: JSON.parse(init.body) });
+          return Response.json({ results: [{ changed: true }] });
+        },
+      }),
+    };
+    const mutations = [{ op: 'put', path: 'snap1', entry: page }];
+
+    const results = await changeSiteSchedule(env, 'org1', 'site1', mutations);
+    assert.deepStrictEqual(results, [{ changed: true }]);
+    assert.deepStrictEqual(requests, [{
+      id: 'id:org1--site1',
+      url: 'https://schedule-coordinator/mutations',
+      body: { org: 'org1', site: 'site1', mutations },
+    }]);
+    assert.deepStrictEqual(puts, []);
+
+    // other sites keep using the R2 object
+    await changeSiteSchedule(env, 'org3', 'site3', mutations);
+    assert.strictEqual(requests.length, 1);
+    assert.deepStrictEqual(puts, ['schedules/org3--site3.json', 'schedules/index.json']);
+  });
+
+  it('should surface coordinator conflicts and refuse to bypass a missing coordinator', async () => {
+    const { env } = createEnv();
+    env.SCHEDULE_COORDINATOR_SITES = '*';
+    const mutations = [{ op: 'remove', path: '/a' }];
+    await assert.rejects(changeSiteSchedule(env, 'org1', 'site1', mutations), /No schedule coordinator/);
+
+    env.SCHEDULE_COORDINATOR = {
+      idFromName: (name) => name,
+      get: () => ({ fetch: async () => new Response('conflict', { status: 409 }) }),
+    };
+    await assert.rejects(
+      changeSiteSchedule(env, 'org1', 'site1', mutations),
+      (err) => err instanceof ScheduleConflictError && err.status === 409,
+    );
+  });
+
+  it('should release a held entry when it is re-scheduled', async () => {
+    const { env, read } = createEnv({
+      'schedules/org1--site1.json': {
+        '/a': { ...page, status: 'held', heldAt: '2025-06-15T13:00:00Z' },
+      },
+    });
+    await changeSiteSchedule(env, 'org1', 'site1', [
+      { op: 'reschedule', path: '/a', scheduledPublish: '2025-06-16T12:00:00Z' },
+    ]);
+    assert.deepStrictEqual(read('schedules/org1--site1.json'), {
+      '/a': { type: 'page', scheduledPublish: '2025-06-16T12:00:00Z' },
+    });
+  });
+});
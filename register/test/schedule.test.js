@@ -13,16 +13,25 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
+// eslint-disable-next-line import/no-relative-packages
+import { decryptApiKey } from '../../shared/api-key-store.js';
+
+// Secret the API keys are encrypted with in KV
+const ENCRYPTION_ENV = {
+  API_KEY_ENCRYPTION_KEYS: JSON.stringify({ 1: Buffer.alloc(32, 1).toString('base64') }),
+  API_KEY_ENCRYPTION_KEY_VERSION: '1',
+};
 
 // Mock environment for testing
 const mockEnv = {
+  ...ENCRYPTION_ENV,
   R2_BUCKET: {
     get: async (key) => {
       if (key === 'registered/org1--site1.json') {
         return { json: async () => ({ org: 'org1', site: 'site1' }) };
       }
-      if (key === 'schedule.json') {
-        return { json: async () => ({ 'org1--site1': { snapshot1: '2025-01-01T10:00:00Z' } }) };
+      if (key === 'schedules/org1--site1.json') {
+        return { json: async () => ({ snapshot1: '2025-01-01T10:00:00Z' }) };
       }
       return null;
     },
@@ -45,11 +54,14 @@ const mockEnv = {
   },
 };
 
-// Mock fetch for authorization and snapshot manifest
+// Mock fetch for authorization, API key validation and snapshot manifest
 global.fetch = async (url) => {
   if (url.includes('admin.hlx.page/config')) {
     return { ok: true };
   }
+  if (url.includes('admin.hlx.page/status/')) {
+    return { ok: true, json: async () => ({ live: { permissions: ['read', 'write'] } }) };
+  }
   if (url.includes('admin.hlx.page/snapshot') && url.includes('/snapshot1')) {
     return {
       ok: true,
@@ -98,15 +110,17 @@ function createRouteTestEnv({ initialSchedule = {}, apiKey = 'test-api-key' } =
 
   return {
     env: {
+      ...ENCRYPTION_ENV,
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
-            return { json: async () => initialSchedule };
+          if (key === 'schedules/index.json') {
+            return { json: async () => Object.keys(initialSchedule).sort() };
           }
-          return null;
+          const shard = initialSchedule[key.match(/^schedules\/(.+)\.json$/)?.[1]];
+          return shard ? { json: async () => structuredClone(shard) } : null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -163,7 +177,7 @@ function mockFetchForUrlRouteTests({ canPublish = true, scheduledPublish } = {})
 }
 
 describe('Schedule API Tests', () => {
-  it('should persist userId in schedule.json when provided', async () => {
+  it('should persist the userId resolved from the token in schedule.json', async () => {
     const { updateSchedule } = await import('../src/index.js');
 
     const validFutureDate = new Date(Date.now() + 10 * 60 * 1000);
@@ -174,6 +188,9 @@ describe('Schedule API Tests', () => {
       if (url.includes('admin.hlx.page/config')) {
         return { ok: true };
       }
+      if (url.includes('admin.hlx.page/profile/')) {
+        return { ok: true, json: async () => ({ profile: { email: 'user@example.com' } }) };
+      }
       if (url.includes('admin.hlx.page/snapshot')) {
         return {
           ok: true,
@@ -193,13 +210,13 @@ describe('Schedule API Tests', () => {
       ...mockEnv,
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return { json: async () => ({}) };
           }
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -212,7 +229,7 @@ describe('Schedule API Tests', () => {
         org: 'org1',
         site: 'site1',
         snapshotId: 'snapshot1',
-        userId: 'user@example.com',
+        userId: 'someone-else@example.com',
       }),
       headers: {
         get: (name) => (name === 'Authorization' ? 'token test-token' : null),
@@ -227,7 +244,7 @@ describe('Schedule API Tests', () => {
     assert.strictEqual(responseData.snapshotId, 'snapshot1');
 
     assert(storedSchedule, 'Schedule should be stored');
-    const entry = storedSchedule['org1--site1'].snapshot1;
+    const entry = storedSchedule.snapshot1;
     assert(entry, 'Snapshot entry should be in schedule');
     assert.strictEqual(entry.type, 'snapshot');
     assert.strictEqual(entry.userId, 'user@example.com');
@@ -266,13 +283,13 @@ describe('Schedule API Tests', () => {
       ...mockEnv,
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return { json: async () => ({}) };
           }
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -298,7 +315,7 @@ describe('Schedule API Tests', () => {
     assert.strictEqual(responseData.success, true);
 
     assert(storedSchedule, 'Schedule should be stored');
-    const entry = storedSchedule['org1--site1'].snapshot1;
+    const entry = storedSchedule.snapshot1;
     assert(entry, 'Snapshot entry should be in schedule');
     assert.strictEqual(entry.type, 'snapshot');
     assert.strictEqual(entry.scheduledPublish, validFutureDate.toISOString());
@@ -472,6 +489,134 @@ describe('Register API Tests', () => {
     assert.strictEqual(response.status, 200);
   });
 
+  it('should store the validated API key with its metadata', async () => {
+    const { registerRequest } = await import('../src/index.js');
+    const puts = [];
+    const env = {
+      ...mockEnv,
+      SCHEDULER_KV: {
+        ...mockEnv.SCHEDULER_KV,
+        put: async (key, value, options) => {
+          puts.push({ key, value, options });
+        },
+      },
+    };
+
+    const request = {
+      json: async () => ({ org: 'org2', site: 'site2', apiKey: 'test-api-key' }),
+      headers: {
+        get: (name) => (name === 'Authorization' ? 'token test-token' : null),
+      },
+    };
+
+    const response = await registerRequest(request, env);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(puts[0].key, 'org2--site2--apiKey');
+    const { metadata } = puts[0].options;
+    assert.deepStrictEqual([metadata.scopes, metadata.expiresAt], [null, null]);
+    assert.ok(metadata.validatedAt);
+  });
+
+  it('should reject an API key that cannot publish', async () => {
+    const { registerRequest } = await import('../src/index.js');
+    const puts = [];
+    const env = {
+      ...mockEnv,
+      SCHEDULER_KV: {
+        ...mockEnv.SCHEDULER_KV,
+        put: async (key) => {
+          puts.push(key);
+        },
+      },
+    };
+    const originalFetch = global.fetch;
+    global.fetch = async (url) => {
+      if (url.includes('admin.hlx.page/status/')) {
+        return { ok: true, json: async () => ({ live: { permissions: ['read'] } }) };
+      }
+      return { ok: true };
+    };
+
+    const request = {
+      json: async () => ({ org: 'org2', site: 'site2', apiKey: 'preview-key' }),
+      headers: {
+        get: (name) => (name === 'Authorization' ? 'token test-token' : null),
+      },
+    };
+
+    try {
+      const response = await registerRequest(request, env);
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.headers.get('X-Error'), 'Invalid apiKey: missing permissions: publish (live write)');
+      assert.strictEqual(puts.length, 0);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  it('should store a next API key for the rotation', async () => {
+    const { registerRequest } = await import('../src/index.js');
+    const store = new Map();
+    const env = {
+      ...mockEnv,
+      SCHEDULER_KV: {
+        get: async (key) => store.get(key)?.value ?? null,
+        put: async (key, value, options) => {
+          store.set(key, { value, metadata: options?.metadata });
+        },
+        delete: async (key) => {
+          store.delete(key);
+        },
+      },
+    };
+    const register = (body) => registerRequest({
+      json: async () => ({ org: 'org2', site: 'site2', ...body }),
+      headers: {
+        get: (name) => (name === 'Authorization' ? 'token test-token' : null),
+      },
+    }, env);
+
+    const stored = (key) => decryptApiKey(env, key, store.get(key).value);
+
+    let response = await register({ apiKey: 'current-key', nextApiKey: 'next-key' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await stored('org2--site2--apiKey'), 'current-key');
+    assert.strictEqual(await stored('org2--site2--nextApiKey'), 'next-key');
+    assert.ok(store.get('org2--site2--nextApiKey').metadata.validatedAt);
+
+    // registering the next key as the API key completes the rotation
+    response = await register({ apiKey: 'next-key' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await stored('org2--site2--apiKey'), 'next-key');
+    assert.strictEqual(store.has('org2--site2--nextApiKey'), false);
+  });
+
+  it('should reject an invalid next API key', async () => {
+    const { registerRequest } = await import('../src/index.js');
+    const originalFetch = global.fetch;
+    global.fetch = async (url, opts) => {
+      if (url.includes('admin.hlx.page/status/') && opts.headers.Authorization === 'token bad-next-key') {
+        return { ok: false, status: 401 };
+      }
+      return originalFetch(url, opts);
+    };
+
+    try {
+      const response = await registerRequest({
+        json: async () => ({
+          org: 'org2', site: 'site2', apiKey: 'current-key', nextApiKey: 'bad-next-key',
+        }),
+        headers: {
+          get: (name) => (name === 'Authorization' ? 'token test-token' : null),
+        },
+      }, mockEnv);
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.headers.get('X-Error'), 'Invalid nextApiKey: it is not accepted for org2/site2');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
   it('should return 400 for missing org/site', async () => {
     const { registerRequest } = await import('../src/index.js');
 
@@ -538,10 +683,9 @@ describe('URL Format Route Tests', () => {
 
     assert.strictEqual(response.status, 200);
     assert.strictEqual(responseData.success, true);
-    assert.deepStrictEqual(getStoredApiKey(), {
-      key: 'org1--site1--apiKey',
-      value: 'route-api-key',
-    });
+    const { key, value } = getStoredApiKey();
+    assert.strictEqual(key, 'org1--site1--apiKey');
+    assert.strictEqual(await decryptApiKey(env, key, value), 'route-api-key');
 
     global.fetch = originalFetch;
   });
@@ -565,8 +709,8 @@ describe('URL Format Route Tests', () => {
     assert.strictEqual(response.status, 200);
     assert.strictEqual(responseData.snapshotId, 'snapshot1');
     assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1'].snapshot1.type, 'snapshot');
-    assert.strictEqual(storedSchedule['org1--site1'].snapshot1.scheduledPublish, validFutureDate);
+    assert.strictEqual(storedSchedule.snapshot1.type, 'snapshot');
+    assert.strictEqual(storedSchedule.snapshot1.scheduledPublish, validFutureDate);
 
     global.fetch = originalFetch;
   });
@@ -591,8 +735,42 @@ describe('URL Format Route Tests', () => {
     assert.strictEqual(response.status, 200);
     assert.strictEqual(responseData.path, '/my-page');
     assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1']['/my-page'].type, 'page');
-    assert.strictEqual(storedSchedule['org1--site1']['/my-page'].userId, 'user@example.com');
+    assert.strictEqual(storedSchedule['/my-page'].type, 'page');
+    assert.strictEqual(storedSchedule['/my-page'].userId, 'user@example.com');
+
+    global.fetch = originalFetch;
+  });
+
+  it('should respond 409 when the site schedule keeps changing concurrently', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const originalFetch = global.fetch;
+    global.fetch = mockFetchForUrlRouteTests();
+
+    const { env } = createRouteTestEnv({
+      initialSchedule: {
+        'org1--site1': { '/my-page': { type: 'page', scheduledPublish: '2099-01-01T10:00:00Z' } },
+      },
+    });
+    // R2 resolves conditional puts to null when the etag no longer matches
+    let putCount = 0;
+    env.R2_BUCKET.put = async () => {
+      putCount += 1;
+      return null;
+    };
+
+    const scheduleResponse = await worker.fetch(createJsonRequest('http://localhost/schedule/page/org1/site1', {
+      path: '/other-page',
+      scheduledPublish: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+    }), env, {});
+    assert.strictEqual(scheduleResponse.status, 409);
+    assert.match(scheduleResponse.headers.get('X-Error'), /modified concurrently/);
+    assert.strictEqual(putCount, 5, 'Should re-read and retry a bounded number of times');
+
+    const deleteResponse = await worker.fetch(new Request('http://localhost/schedule/page/org1/site1/my-page', {
+      method: 'DELETE',
+      headers: { Authorization: 'token test-token' },
+    }), env, {});
+    assert.strictEqual(deleteResponse.status, 409);
 
     global.fetch = originalFetch;
   });
@@ -623,7 +801,7 @@ describe('URL Format Route Tests', () => {
     assert.strictEqual(response.status, 200);
     assert.strictEqual(responseData.path, '/my-page');
     assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1']['/my-page'].userId, 'resolved@example.com');
+    assert.strictEqual(storedSchedule['/my-page'].userId, 'resolved@example.com');
 
     global.fetch = originalFetch;
   });
@@ -650,7 +828,7 @@ describe('URL Format Route Tests', () => {
     assert.strictEqual(response.status, 200);
     assert.strictEqual(responseData.path, '/my-page');
     assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1']['/my-page'].userId, null);
+    assert.strictEqual(storedSchedule['/my-page'].userId, null);
 
     global.fetch = originalFetch;
   });
@@ -743,6 +921,86 @@ describe('URL Format Route Tests', () => {
   });
 });
 
+describe('Catch-up policy registration Tests', () => {
+  function createPolicyEnv(initial = {}) {
+    const kv = new Map(Object.entries(initial));
+    return {
+      kv,
+      env: {
+        ...mockEnv,
+        SCHEDULER_KV: {
+          get: async (key) => kv.get(key) ?? null,
+          put: async (key, value) => {
+            kv.set(key, value);
+          },
+        },
+      },
+    };
+  }
+
+  it('should store the catch-up policy next to the API key', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const originalFetch = global.fetch;
+    global.fetch = mockFetchForUrlRouteTests();
+
+    try {
+      const { env, kv } = createPolicyEnv();
+      const response = await worker.fetch(createJsonRequest('http://localhost/register/org1/site1', {
+        apiKey: 'route-api-key',
+        catchUpPolicy: 'skip-if-older-than:2h',
+      }), env, {});
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(
+        await decryptApiKey(env, 'org1--site1--apiKey', kv.get('org1--site1--apiKey')),
+        'route-api-key',
+      );
+      assert.strictEqual(kv.get('org1--site1--catchUpPolicy'), 'skip-if-older-than:2h');
+
+      // registering again without a policy keeps it
+      await worker.fetch(createJsonRequest('http://localhost/register/org1/site1', {
+        apiKey: 'new-api-key',
+      }), env, {});
+      assert.strictEqual(kv.get('org1--site1--catchUpPolicy'), 'skip-if-older-than:2h');
+
+      const registered = await worker.fetch(new Request('http://localhost/register/org1/site1'), env, {});
+      assert.deepStrictEqual(await registered.json(), {
+        registered: true, catchUpPolicy: 'skip-if-older-than:2h', paused: false,
+      });
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  it('should reject an invalid catch-up policy', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const originalFetch = global.fetch;
+    global.fetch = mockFetchForUrlRouteTests();
+
+    try {
+      const { env, kv } = createPolicyEnv();
+      for (const catchUpPolicy of ['publish-never', 'skip-if-older-than:2w', 'skip-if-older-than:0m']) {
+        // eslint-disable-next-line no-await-in-loop
+        const response = await worker.fetch(createJsonRequest('http://localhost/register/org1/site1', {
+          apiKey: 'route-api-key',
+          catchUpPolicy,
+        }), env, {});
+        assert.strictEqual(response.status, 400, catchUpPolicy);
+        assert.match(response.headers.get('X-Error'), /Invalid catchUpPolicy/);
+      }
+      assert.strictEqual(kv.size, 0);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  it('should report publish-late for sites without a policy', async () => {
+    const { isRegistered } = await import('../src/index.js');
+    const request = { params: { org: 'org1', site: 'site1' }, headers: { get: () => null } };
+    const response = await isRegistered(request, mockEnv);
+    assert.strictEqual((await response.json()).catchUpPolicy, 'publish-late');
+  });
+});
+
 describe('IsRegistered API Tests', () => {
   it('should return true for registered org/site', async () => {
     const { isRegistered } = await import('../src/index.js');
@@ -794,6 +1052,47 @@ describe('IsRegistered API Tests', () => {
     assert.strictEqual(response.status, 400);
     assert.strictEqual(errorHeader, 'Invalid org or site');
   });
+
+  it('should return 500 when the stored API key cannot be decrypted', async () => {
+    const { isRegistered } = await import('../src/index.js');
+    const env = {
+      ...mockEnv,
+      // encrypted with a version that was dropped from the secret
+      SCHEDULER_KV: { get: async () => 'enc:2:AAAAAAAAAAAAAAAA:AAAA' },
+    };
+
+    const request = { params: { org: 'org1', site: 'site1' }, headers: { get: () => null } };
+    const response = await isRegistered(request, env);
+
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.headers.get('X-Error'), 'Internal server error');
+  });
+
+  it('should fail to register without the encryption secret', async () => {
+    const { registerRequest } = await import('../src/index.js');
+    const puts = [];
+    const env = {
+      ...mockEnv,
+      API_KEY_ENCRYPTION_KEYS: undefined,
+      SCHEDULER_KV: {
+        ...mockEnv.SCHEDULER_KV,
+        put: async (key) => {
+          puts.push(key);
+        },
+      },
+    };
+    const request = {
+      json: async () => ({ org: 'org2', site: 'site2', apiKey: 'test-api-key' }),
+      headers: {
+        get: (name) => (name === 'Authorization' ? 'token test-token' : null),
+      },
+    };
+
+    const response = await registerRequest(request, env);
+
+    assert.strictEqual(response.status, 500);
+    assert.deepStrictEqual(puts, []);
+  });
 });
 
 describe('GetSchedule API Tests', () => {
@@ -834,14 +1133,12 @@ describe('GetSchedule API Tests', () => {
       R2_BUCKET: {
         ...mockEnv.R2_BUCKET,
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return {
               json: async () => ({
-                'org1--site1': {
-                  '/blog/my-article': {
-                    scheduledPublish: scheduledDate,
-                    userId: 'author@example.com',
-                  },
+                '/blog/my-article': {
+                  scheduledPublish: scheduledDate,
+                  userId: 'author@example.com',
                 },
               }),
             };
@@ -875,6 +1172,52 @@ describe('GetSchedule API Tests', () => {
     assert.strictEqual(responseData.path, '/blog/my-article');
     assert.strictEqual(responseData.scheduledPublish, scheduledDate);
     assert.strictEqual(responseData.userId, 'author@example.com');
+    assert.strictEqual(responseData.status, 'scheduled');
+
+    global.fetch = originalFetch;
+  });
+
+  it('should return the failed status of an entry the DLQ gave up on', async () => {
+    const { getSchedule } = await import('../src/index.js');
+
+    const mockEnvWithFailedPage = {
+      ...mockEnv,
+      R2_BUCKET: {
+        ...mockEnv.R2_BUCKET,
+        get: async (key) => (key === 'schedules/org1--site1.json'
+          ? {
+            json: async () => ({
+              '/blog/my-article': {
+                type: 'page',
+                scheduledPublish: '2025-06-15T12:00:00Z',
+                status: 'failed',
+                failedAt: '2025-06-15T12:40:00Z',
+                failureReason: 'auth',
+              },
+            }),
+          }
+          : null),
+      },
+    };
+
+    const originalFetch = global.fetch;
+    global.fetch = async (url) => ({ ok: url.includes('admin.hlx.page/snapshot') && url.endsWith('/main') });
+
+    const request = {
+      params: { org: 'org1', site: 'site1' },
+      query: { path: '/blog/my-article' },
+      headers: {
+        get: (name) => (name === 'Authorization' ? 'token test-token' : null),
+      },
+    };
+
+    const response = await getSchedule(request, mockEnvWithFailedPage);
+    const responseData = await response.json();
+
+    assert.strictEqual(responseData.scheduled, true);
+    assert.strictEqual(responseData.status, 'failed');
+    assert.strictEqual(responseData.failedAt, '2025-06-15T12:40:00Z');
+    assert.strictEqual(responseData.failureReason, 'auth');
 
     global.fetch = originalFetch;
   });
@@ -917,14 +1260,12 @@ describe('GetSchedule API Tests', () => {
       R2_BUCKET: {
         ...mockEnv.R2_BUCKET,
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return {
               json: async () => ({
-                'org1--site1': {
-                  '/my-page': {
-                    scheduledPublish: scheduledDate,
-                    userId: 'user@example.com',
-                  },
+                '/my-page': {
+                  scheduledPublish: scheduledDate,
+                  userId: 'user@example.com',
                 },
               }),
             };
@@ -992,6 +1333,16 @@ describe('GetSchedule API Tests', () => {
 });
 
 describe('Schedule Time Validation Tests', () => {
+  it('should only lower the minimum lead time for sites in precise mode', async () => {
+    const { getMinimumLeadMs } = await import('../src/index.js');
+    const env = { SCHEDULE_COORDINATOR_SITES: 'org1--site1' };
+
+    assert.strictEqual(getMinimumLeadMs(env, 'org1', 'site1'), 30 * 1000);
+    assert.strictEqual(getMinimumLeadMs(env, 'org2', 'site2'), 5 * 60 * 1000);
+    assert.strictEqual(getMinimumLeadMs({ ...env, PRECISE_MIN_LEAD_SECONDS: '10' }, 'org1', 'site1'), 10 * 1000);
+    assert.strictEqual(getMinimumLeadMs({ ...env, PRECISE_MIN_LEAD_SECONDS: 'soon' }, 'org1', 'site1'), 30 * 1000);
+  });
+
   it('should return 400 for scheduled publish less than 5 minutes in the future', async () => {
     const { updateSchedule } = await import('../src/index.js');
 
@@ -1451,6 +1802,57 @@ describe('SchedulePage API Tests', () => {
     global.fetch = originalFetch;
   });
 
+  it('should accept a page scheduled a minute ahead for a site in precise mode', async () => {
+    const { schedulePage } = await import('../src/index.js');
+
+    const mutations = [];
+    const preciseEnv = {
+      ...mockEnv,
+      SCHEDULE_COORDINATOR_SITES: 'org1--site1',
+      SCHEDULE_COORDINATOR: {
+        idFromName: (name) => name,
+        get: () => ({
+          fetch: async (url, init) => {
+            mutations.push(...JSON.parse(init.body).mutations);
+            return Response.json({ results: [{ changed: true }] });
+          },
+        }),
+      },
+    };
+    const scheduledPublish = new Date(Date.now() + 60 * 1000).toISOString();
+
+    const originalFetch = global.fetch;
+    global.fetch = mockFetchWithPublishPermission();
+
+    const request = {
+      json: async () => ({
+        org: 'org1',
+        site: 'site1',
+        path: '/launch',
+        scheduledPublish,
+        userId: 'user@example.com',
+      }),
+      headers: {
+        get: (name) => (name === 'Authorization' ? 'token test-token' : null),
+      },
+    };
+
+    try {
+      const response = await schedulePage(request, preciseEnv);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(mutations.length, 1);
+      assert.strictEqual(mutations[0].op, 'schedule');
+      assert.strictEqual(mutations[0].entries[0].scheduledPublish, scheduledPublish);
+
+      // the lead time of precise mode is configurable
+      const response2 = await schedulePage(request, { ...preciseEnv, PRECISE_MIN_LEAD_SECONDS: '120' });
+      assert.strictEqual(response2.status, 400);
+      assert.strictEqual(response2.headers.get('X-Error'), 'Scheduled publish must be at least 2 minutes in the future');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
   it('should return 400 for scheduledPublish in the past', async () => {
     const { schedulePage } = await import('../src/index.js');
 
@@ -1518,13 +1920,13 @@ describe('SchedulePage API Tests', () => {
       ...mockEnv,
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return { json: async () => ({}) };
           }
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -1548,7 +1950,7 @@ describe('SchedulePage API Tests', () => {
     await schedulePage(request, mockEnvWithCapture);
 
     assert(storedSchedule, 'Schedule should be stored');
-    const entry = storedSchedule['org1--site1']['/my-page'];
+    const entry = storedSchedule['/my-page'];
     assert(entry, 'Page entry should be in schedule');
     assert.strictEqual(entry.type, 'page');
     assert.strictEqual(entry.userId, 'user@example.com');
@@ -1558,43 +1960,417 @@ describe('SchedulePage API Tests', () => {
   });
 });
 
-describe('hasPublishPermission Tests', () => {
-  it('should return true when live permissions include write', async () => {
-    const { hasPublishPermission } = await import('../src/index.js');
-
-    const originalFetch = global.fetch;
-    global.fetch = async () => ({
-      ok: true,
+describe('Recurring page schedule Tests', () => {
+  function createPageRequest(body) {
+    return {
       json: async () => ({
-        live: { status: 200, permissions: ['read', 'write'] },
+        org: 'org1',
+        site: 'site1',
+        path: '/weekly-landing',
+        userId: 'user@example.com',
+        ...body,
       }),
-    });
-
-    const result = await hasPublishPermission('token test-token', 'org1', 'site1', '/my-page');
-    assert.strictEqual(result, true);
-
-    global.fetch = originalFetch;
-  });
+      headers: {
+        get: (name) => (name === 'Authorization' ? 'token test-token' : null),
+      },
+    };
+  }
 
-  it('should return false when live permissions do not include write', async () => {
-    const { hasPublishPermission } = await import('../src/index.js');
+  it('should store a normalized recurrence rule with the page entry', async () => {
+    const { schedulePage } = await import('../src/index.js');
+    const { env, getStoredSchedule } = createRouteTestEnv();
+    const scheduledPublish = new Date(Date.now() + 10 * 60 * 1000).toISOString();
 
     const originalFetch = global.fetch;
-    global.fetch = async () => ({
-      ok: true,
-      json: async () => ({
-        live: { status: 200, permissions: ['read'] },
-      }),
-    });
+    global.fetch = mockFetchWithPublishPermission();
 
-    const result = await hasPublishPermission('token test-token', 'org1', 'site1', '/my-page');
-    assert.strictEqual(result, false);
+    const response = await schedulePage(createPageRequest({
+      scheduledPublish,
+      recurrence: { freq: 'weekly', count: 4 },
+    }), env);
+
+    assert.strictEqual(response.status, 200);
+    const entry = getStoredSchedule()['/weekly-landing'];
+    assert.deepStrictEqual(entry.recurrence, { freq: 'weekly', interval: 1, count: 4 });
 
     global.fetch = originalFetch;
   });
 
-  it('should return false when status API returns non-ok', async () => {
-    const { hasPublishPermission } = await import('../src/index.js');
+  it('should anchor monthly recurrences on the day of the first occurrence', async () => {
+    const { validateRecurrence } = await import('../src/index.js');
+    const { recurrence, error } = validateRecurrence(
+      { freq: 'monthly', until: '2026-12-31T00:00:00Z' },
+      new Date('2026-01-31T09:00:00Z'),
+    );
+    assert.strictEqual(error, undefined);
+    assert.deepStrictEqual(recurrence, {
+      freq: 'monthly', interval: 1, until: '2026-12-31T00:00:00Z', byMonthDay: 31,
+    });
+  });
+
+  it('should reject invalid recurrence rules', async () => {
+    const { validateRecurrence } = await import('../src/index.js');
+    const first = new Date('2026-01-05T09:00:00Z');
+    assert.match(validateRecurrence({ freq: 'hourly' }, first).error, /Invalid recurrence freq/);
+    assert.match(validateRecurrence({ freq: 'daily', interval: 0 }, first).error, /interval/);
+    assert.match(validateRecurrence({ freq: 'daily', count: 1.5 }, first).error, /count/);
+    assert.match(validateRecurrence({ freq: 'daily', count: 2, until: '2026-02-01T00:00:00Z' }, first).error, /either count or until/);
+    assert.match(validateRecurrence({ freq: 'daily', until: 'tomorrow' }, first).error, /until date format/);
+    assert.match(validateRecurrence({ freq: 'daily', until: '2026-01-01T00:00:00Z' }, first).error, /must be after scheduledPublish/);
+    assert.match(validateRecurrence('weekly', first).error, /Invalid recurrence/);
+  });
+
+  it('should return 400 and not write the schedule for an invalid recurrence', async () => {
+    const { schedulePage } = await import('../src/index.js');
+    const { env, getStoredSchedule } = createRouteTestEnv();
+    const scheduledPublish = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+
+    const response = await schedulePage(createPageRequest({
+      scheduledPublish,
+      recurrence: { freq: 'yearly' },
+    }), env);
+
+    assert.strictEqual(response.status, 400);
+    assert.match(response.headers.get('X-Error'), /Invalid recurrence freq/);
+    assert.strictEqual(getStoredSchedule(), null);
+  });
+
+  it('should include the recurrence in getSchedule path lookups', async () => {
+    const { getSchedule } = await import('../src/index.js');
+    const recurrence = { freq: 'weekly', interval: 1, count: 4 };
+    const { env } = createRouteTestEnv({
+      initialSchedule: {
+        'org1--site1': {
+          '/weekly-landing': {
+            type: 'page', scheduledPublish: '2026-01-05T09:00:00Z', userId: 'user@example.com', recurrence,
+          },
+        },
+      },
+    });
+
+    const originalFetch = global.fetch;
+    global.fetch = mockFetchForUrlRouteTests();
+
+    const response = await getSchedule({
+      params: { org: 'org1', site: 'site1' },
+      query: { path: 'weekly-landing' },
+      headers: { get: (name) => (name === 'Authorization' ? 'token test-token' : null) },
+    }, env);
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(data.recurrence, recurrence);
+
+    global.fetch = originalFetch;
+  });
+});
+
+describe('ScheduleUnpublish API Tests', () => {
+  function mockFetchWithLivePermissions(permissions, auditPostCalls = []) {
+    return async (url, opts) => {
+      if (url.includes('admin.hlx.page/status/')) {
+        return { ok: true, json: async () => ({ live: { status: 200, permissions } }) };
+      }
+      if (url.includes('admin.hlx.page/log/') && opts?.method === 'POST') {
+        auditPostCalls.push(JSON.parse(opts.body));
+        return { ok: true, status: 201 };
+      }
+      return { ok: false, status: 404, statusText: 'Not Found' };
+    };
+  }
+
+  it('should store a type: unpublish entry via POST /schedule/unpublish/:org/:site', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, getStoredSchedule } = createRouteTestEnv();
+    const scheduledPublish = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+    const auditPostCalls = [];
+
+    const originalFetch = global.fetch;
+    global.fetch = mockFetchWithLivePermissions(['read', 'write', 'delete'], auditPostCalls);
+
+    const response = await worker.fetch(createJsonRequest('https://example.com/schedule/unpublish/org1/site1', {
+      path: '/campaign',
+      scheduledPublish,
+      userId: 'user@example.com',
+    }), env);
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(data.path, '/campaign');
+    assert.deepStrictEqual(getStoredSchedule()['/campaign'], {
+      type: 'unpublish',
+      scheduledPublish,
+      userId: 'user@example.com',
+    });
+    assert.strictEqual(auditPostCalls[0].entries[0].route, 'scheduled-unpublish');
+
+    global.fetch = originalFetch;
+  });
+
+  it('should return 403 when the user lacks the live delete permission', async () => {
+    const { scheduleUnpublish } = await import('../src/index.js');
+    const { env, getStoredSchedule } = createRouteTestEnv();
+
+    const originalFetch = global.fetch;
+    global.fetch = mockFetchWithLivePermissions(['read', 'write']);
+
+    const response = await scheduleUnpublish({
+      params: { org: 'org1', site: 'site1' },
+      json: async () => ({
+        path: '/campaign',
+        scheduledPublish: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+      }),
+      headers: { get: (name) => (name === 'Authorization' ? 'token test-token' : null) },
+    }, env);
+
+    assert.strictEqual(response.status, 403);
+    assert.match(response.headers.get('X-Error'), /unpublish permission/);
+    assert.strictEqual(getStoredSchedule(), null);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should reject a recurrence on an unpublish entry', async () => {
+    const { scheduleUnpublish } = await import('../src/index.js');
+    const { env } = createRouteTestEnv();
+
+    const response = await scheduleUnpublish({
+      params: { org: 'org1', site: 'site1' },
+      json: async () => ({
+        path: '/campaign',
+        scheduledPublish: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+        recurrence: { freq: 'daily' },
+      }),
+      headers: { get: (name) => (name === 'Authorization' ? 'token test-token' : null) },
+    }, env);
+
+    assert.strictEqual(response.status, 400);
+  });
+});
+
+describe('Publish window Tests', () => {
+  function mockWindowFetch({ permissions = ['read', 'write', 'delete'], auditPostCalls = [] } = {}) {
+    return async (url, opts) => {
+      if (url.includes('admin.hlx.page/status/')) {
+        return { ok: true, json: async () => ({ live: { status: 200, permissions } }) };
+      }
+      if (url.includes('admin.hlx.page/snapshot') && url.endsWith('/main')) {
+        return { ok: true };
+      }
+      if (url.includes('admin.hlx.page/log/') && opts?.method === 'POST') {
+        auditPostCalls.push(JSON.parse(opts.body));
+        return { ok: true, status: 201 };
+      }
+      return { ok: false, status: 404, statusText: 'Not Found' };
+    };
+  }
+
+  function createWindowRequest(body) {
+    return {
+      params: { org: 'org1', site: 'site1' },
+      json: async () => ({ path: '/promo', userId: 'user@example.com', ...body }),
+      headers: { get: (name) => (name === 'Authorization' ? 'token test-token' : null) },
+    };
+  }
+
+  it('should schedule a publish at startAt and an unpublish at endAt for the same path', async () => {
+    const { schedulePage } = await import('../src/index.js');
+    const startAt = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+    const endAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const auditPostCalls = [];
+    const { env, getStoredSchedule } = createRouteTestEnv();
+
+    const originalFetch = global.fetch;
+    global.fetch = mockWindowFetch({ auditPostCalls });
+
+    const response = await schedulePage(createWindowRequest({ startAt, endAt }), env);
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(data.startAt, startAt);
+    assert.strictEqual(data.endAt, endAt);
+    assert.deepStrictEqual(getStoredSchedule()['/promo'], [
+      { type: 'page', scheduledPublish: startAt, userId: 'user@example.com' },
+      { type: 'unpublish', scheduledPublish: endAt, userId: 'user@example.com' },
+    ]);
+    assert.strictEqual(auditPostCalls.length, 1);
+    assert.deepStrictEqual(auditPostCalls[0].entries[0], {
+      route: 'scheduled-publish-window',
+      path: '/promo',
+      startAt,
+      endAt,
+      triggeredBy: 'user@example.com',
+    });
+
+    global.fetch = originalFetch;
+  });
+
+  it('should keep a scheduled unpublish when the publish of the same path is rescheduled', async () => {
+    const { schedulePage } = await import('../src/index.js');
+    const scheduledPublish = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+    const unpublish = { type: 'unpublish', scheduledPublish: '2099-01-01T00:00:00Z', userId: 'other@example.com' };
+    const { env, getStoredSchedule } = createRouteTestEnv({
+      initialSchedule: { 'org1--site1': { '/promo': unpublish } },
+    });
+
+    const originalFetch = global.fetch;
+    global.fetch = mockWindowFetch();
+
+    const response = await schedulePage(createWindowRequest({ scheduledPublish }), env);
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(getStoredSchedule()['/promo'], [
+      unpublish,
+      { type: 'page', scheduledPublish, userId: 'user@example.com' },
+    ]);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should return 400 when endAt is not after startAt', async () => {
+    const { schedulePage } = await import('../src/index.js');
+    const startAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const endAt = new Date(Date.now() + 30 * 60 * 1000).toISOString();
+    const { env, getStoredSchedule } = createRouteTestEnv();
+
+    const response = await schedulePage(createWindowRequest({ startAt, endAt }), env);
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.headers.get('X-Error'), 'endAt must be after startAt');
+    assert.strictEqual(getStoredSchedule(), null);
+  });
+
+  it('should return 400 when endAt is missing', async () => {
+    const { schedulePage } = await import('../src/index.js');
+    const { env } = createRouteTestEnv();
+
+    const response = await schedulePage(createWindowRequest({
+      startAt: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+    }), env);
+
+    assert.strictEqual(response.status, 400);
+    assert.match(response.headers.get('X-Error'), /startAt, endAt/);
+  });
+
+  it('should return 400 when startAt is in the past', async () => {
+    const { schedulePage } = await import('../src/index.js');
+    const { env } = createRouteTestEnv();
+
+    const response = await schedulePage(createWindowRequest({
+      startAt: new Date(Date.now() - 60 * 1000).toISOString(),
+      endAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    }), env);
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.headers.get('X-Error'), 'startAt is in the past');
+  });
+
+  it('should return 403 when the user can publish but not unpublish the page', async () => {
+    const { schedulePage } = await import('../src/index.js');
+    const { env, getStoredSchedule } = createRouteTestEnv();
+
+    const originalFetch = global.fetch;
+    global.fetch = mockWindowFetch({ permissions: ['read', 'write'] });
+
+    const response = await schedulePage(createWindowRequest({
+      startAt: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+      endAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    }), env);
+
+    assert.strictEqual(response.status, 403);
+    assert.match(response.headers.get('X-Error'), /unpublish permission/);
+    assert.strictEqual(getStoredSchedule(), null);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should list both actions in getSchedule path lookups', async () => {
+    const { getSchedule } = await import('../src/index.js');
+    const actions = [
+      { type: 'unpublish', scheduledPublish: '2099-01-08T00:00:00Z', userId: 'user@example.com' },
+      { type: 'page', scheduledPublish: '2099-01-01T00:00:00Z', userId: 'user@example.com' },
+    ];
+    const { env } = createRouteTestEnv({ initialSchedule: { 'org1--site1': { '/promo': actions } } });
+
+    const originalFetch = global.fetch;
+    global.fetch = mockWindowFetch();
+
+    const response = await getSchedule({
+      params: { org: 'org1', site: 'site1' },
+      query: { path: '/promo' },
+      headers: { get: (name) => (name === 'Authorization' ? 'token test-token' : null) },
+    }, env);
+    const data = await response.json();
+
+    assert.strictEqual(data.scheduled, true);
+    assert.strictEqual(data.type, 'page');
+    assert.strictEqual(data.scheduledPublish, '2099-01-01T00:00:00Z');
+    assert.deepStrictEqual(data.actions, actions);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should delete only the action selected by the type query parameter', async () => {
+    const { deletePageSchedule } = await import('../src/index.js');
+    const actions = [
+      { type: 'page', scheduledPublish: '2099-01-01T00:00:00Z' },
+      { type: 'unpublish', scheduledPublish: '2099-01-08T00:00:00Z' },
+    ];
+    const { env, getStoredSchedule } = createRouteTestEnv({ initialSchedule: { 'org1--site1': { '/promo': actions } } });
+
+    const originalFetch = global.fetch;
+    global.fetch = mockWindowFetch();
+
+    const response = await deletePageSchedule({
+      params: { org: 'org1', site: 'site1', path: 'promo' },
+      query: { type: 'unpublish' },
+      headers: { get: (name) => (name === 'Authorization' ? 'token test-token' : null) },
+    }, env);
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(getStoredSchedule()['/promo'], actions[0]);
+
+    global.fetch = originalFetch;
+  });
+});
+
+describe('hasPublishPermission Tests', () => {
+  it('should return true when live permissions include write', async () => {
+    const { hasPublishPermission } = await import('../src/index.js');
+
+    const originalFetch = global.fetch;
+    global.fetch = async () => ({
+      ok: true,
+      json: async () => ({
+        live: { status: 200, permissions: ['read', 'write'] },
+      }),
+    });
+
+    const result = await hasPublishPermission('token test-token', 'org1', 'site1', '/my-page');
+    assert.strictEqual(result, true);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should return false when live permissions do not include write', async () => {
+    const { hasPublishPermission } = await import('../src/index.js');
+
+    const originalFetch = global.fetch;
+    global.fetch = async () => ({
+      ok: true,
+      json: async () => ({
+        live: { status: 200, permissions: ['read'] },
+      }),
+    });
+
+    const result = await hasPublishPermission('token test-token', 'org1', 'site1', '/my-page');
+    assert.strictEqual(result, false);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should return false when status API returns non-ok', async () => {
+    const { hasPublishPermission } = await import('../src/index.js');
 
     const originalFetch = global.fetch;
     global.fetch = async () => ({ ok: false, status: 404, statusText: 'Not Found' });
@@ -1670,20 +2446,18 @@ describe('DeletePageSchedule API Tests', () => {
       ...mockEnv,
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return {
               json: async () => ({
-                'org1--site1': {
-                  '/my-page': {
-                    type: 'page',
-                    scheduledPublish: '2025-06-15T12:00:00Z',
-                    userId: 'user@example.com',
-                  },
-                  '/other-page': {
-                    type: 'page',
-                    scheduledPublish: '2025-06-16T12:00:00Z',
-                    userId: 'user@example.com',
-                  },
+                '/my-page': {
+                  type: 'page',
+                  scheduledPublish: '2025-06-15T12:00:00Z',
+                  userId: 'user@example.com',
+                },
+                '/other-page': {
+                  type: 'page',
+                  scheduledPublish: '2025-06-16T12:00:00Z',
+                  userId: 'user@example.com',
                 },
               }),
             };
@@ -1691,7 +2465,7 @@ describe('DeletePageSchedule API Tests', () => {
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -1714,8 +2488,8 @@ describe('DeletePageSchedule API Tests', () => {
     assert.strictEqual(responseData.path, '/my-page');
 
     assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1']['/my-page'], undefined);
-    assert(storedSchedule['org1--site1']['/other-page'], 'Other page should remain');
+    assert.strictEqual(storedSchedule['/my-page'], undefined);
+    assert(storedSchedule['/other-page'], 'Other page should remain');
 
     global.fetch = originalFetch;
   });
@@ -1731,15 +2505,13 @@ describe('DeletePageSchedule API Tests', () => {
       ...mockEnv,
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return {
               json: async () => ({
-                'org1--site1': {
-                  '/blog/2025/my-article': {
-                    type: 'page',
-                    scheduledPublish: '2025-06-15T12:00:00Z',
-                    userId: 'user@example.com',
-                  },
+                '/blog/2025/my-article': {
+                  type: 'page',
+                  scheduledPublish: '2025-06-15T12:00:00Z',
+                  userId: 'user@example.com',
                 },
               }),
             };
@@ -1747,7 +2519,7 @@ describe('DeletePageSchedule API Tests', () => {
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -1767,8 +2539,7 @@ describe('DeletePageSchedule API Tests', () => {
 
     assert.strictEqual(response.status, 200);
     assert.strictEqual(responseData.path, '/blog/2025/my-article');
-    assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1'], undefined);
+    assert.deepStrictEqual(storedSchedule, {}, 'Site schedule should be emptied');
 
     global.fetch = originalFetch;
   });
@@ -1784,15 +2555,13 @@ describe('DeletePageSchedule API Tests', () => {
       ...mockEnv,
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return {
               json: async () => ({
-                'org1--site1': {
-                  '/only-page': {
-                    type: 'page',
-                    scheduledPublish: '2025-06-15T12:00:00Z',
-                    userId: 'user@example.com',
-                  },
+                '/only-page': {
+                  type: 'page',
+                  scheduledPublish: '2025-06-15T12:00:00Z',
+                  userId: 'user@example.com',
                 },
               }),
             };
@@ -1800,7 +2569,7 @@ describe('DeletePageSchedule API Tests', () => {
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -1818,8 +2587,7 @@ describe('DeletePageSchedule API Tests', () => {
     const response = await deletePageSchedule(request, mockEnvWithCapture);
     assert.strictEqual(response.status, 200);
 
-    assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1'], undefined);
+    assert.deepStrictEqual(storedSchedule, {}, 'Site schedule should be emptied');
 
     global.fetch = originalFetch;
   });
@@ -1856,20 +2624,18 @@ describe('DeletePageSchedule API Tests', () => {
       ...mockEnv,
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return {
               json: async () => ({
-                'org1--site1': {
-                  '/': {
-                    type: 'page',
-                    scheduledPublish: '2025-06-15T12:00:00Z',
-                    userId: 'user@example.com',
-                  },
-                  '/keep-me': {
-                    type: 'page',
-                    scheduledPublish: '2025-06-15T12:00:00Z',
-                    userId: 'user@example.com',
-                  },
+                '/': {
+                  type: 'page',
+                  scheduledPublish: '2025-06-15T12:00:00Z',
+                  userId: 'user@example.com',
+                },
+                '/keep-me': {
+                  type: 'page',
+                  scheduledPublish: '2025-06-15T12:00:00Z',
+                  userId: 'user@example.com',
                 },
               }),
             };
@@ -1877,7 +2643,7 @@ describe('DeletePageSchedule API Tests', () => {
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -1900,8 +2666,8 @@ describe('DeletePageSchedule API Tests', () => {
     assert.strictEqual(response.status, 200);
     assert.strictEqual(responseData.path, '/');
     assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1']['/'], undefined);
-    assert(storedSchedule['org1--site1']['/keep-me'], 'Other entries should be preserved');
+    assert.strictEqual(storedSchedule['/'], undefined);
+    assert(storedSchedule['/keep-me'], 'Other entries should be preserved');
 
     global.fetch = originalFetch;
   });
@@ -1987,20 +2753,18 @@ describe('DeleteSnapshotSchedule API Tests', () => {
       ...mockEnv,
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return {
               json: async () => ({
-                'org1--site1': {
-                  'main/2025-06-15-12-00-00': {
-                    type: 'snapshot',
-                    scheduledPublish: '2025-06-15T12:00:00Z',
-                    userId: 'user@example.com',
-                  },
-                  'main/2025-06-16-12-00-00': {
-                    type: 'snapshot',
-                    scheduledPublish: '2025-06-16T12:00:00Z',
-                    userId: 'user@example.com',
-                  },
+                'main/2025-06-15-12-00-00': {
+                  type: 'snapshot',
+                  scheduledPublish: '2025-06-15T12:00:00Z',
+                  userId: 'user@example.com',
+                },
+                'main/2025-06-16-12-00-00': {
+                  type: 'snapshot',
+                  scheduledPublish: '2025-06-16T12:00:00Z',
+                  userId: 'user@example.com',
                 },
               }),
             };
@@ -2008,7 +2772,7 @@ describe('DeleteSnapshotSchedule API Tests', () => {
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -2031,8 +2795,8 @@ describe('DeleteSnapshotSchedule API Tests', () => {
     assert.strictEqual(responseData.snapshotId, 'main/2025-06-15-12-00-00');
 
     assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1']['main/2025-06-15-12-00-00'], undefined);
-    assert(storedSchedule['org1--site1']['main/2025-06-16-12-00-00'], 'Other snapshot should remain');
+    assert.strictEqual(storedSchedule['main/2025-06-15-12-00-00'], undefined);
+    assert(storedSchedule['main/2025-06-16-12-00-00'], 'Other snapshot should remain');
 
     global.fetch = originalFetch;
   });
@@ -2048,15 +2812,13 @@ describe('DeleteSnapshotSchedule API Tests', () => {
       ...mockEnv,
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return {
               json: async () => ({
-                'org1--site1': {
-                  'main/2025-06-15-12-00-00': {
-                    type: 'snapshot',
-                    scheduledPublish: '2025-06-15T12:00:00Z',
-                    userId: 'user@example.com',
-                  },
+                'main/2025-06-15-12-00-00': {
+                  type: 'snapshot',
+                  scheduledPublish: '2025-06-15T12:00:00Z',
+                  userId: 'user@example.com',
                 },
               }),
             };
@@ -2064,7 +2826,7 @@ describe('DeleteSnapshotSchedule API Tests', () => {
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -2082,8 +2844,7 @@ describe('DeleteSnapshotSchedule API Tests', () => {
     const response = await deleteSnapshotSchedule(request, mockEnvWithCapture);
     assert.strictEqual(response.status, 200);
 
-    assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1'], undefined);
+    assert.deepStrictEqual(storedSchedule, {}, 'Site schedule should be emptied');
 
     global.fetch = originalFetch;
   });
@@ -2261,13 +3022,13 @@ describe('schedulePage Sidekick mode', () => {
     const env = {
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return null;
           }
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -2333,7 +3094,7 @@ describe('schedulePage Sidekick mode', () => {
 
     // R2 write shape
     assert(storedSchedule, 'Schedule should be stored');
-    const entry = storedSchedule['org1--site1']['/welcome'];
+    const entry = storedSchedule['/welcome'];
     assert(entry, 'Page entry should be in schedule');
     assert.deepStrictEqual(entry, {
       type: 'page',
@@ -2370,20 +3131,18 @@ describe('deletePageSchedule dual-mode', () => {
     const env = {
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return {
               json: async () => ({
-                'org1--site1': {
-                  [normalizedPath]: {
-                    type: 'page',
-                    scheduledPublish: '2025-06-15T12:00:00Z',
-                    userId: 'amol@adobe.com',
-                  },
-                  '/other-page': {
-                    type: 'page',
-                    scheduledPublish: '2025-06-16T12:00:00Z',
-                    userId: 'amol@adobe.com',
-                  },
+                [normalizedPath]: {
+                  type: 'page',
+                  scheduledPublish: '2025-06-15T12:00:00Z',
+                  userId: 'amol@adobe.com',
+                },
+                '/other-page': {
+                  type: 'page',
+                  scheduledPublish: '2025-06-16T12:00:00Z',
+                  userId: 'amol@adobe.com',
                 },
               }),
             };
@@ -2391,7 +3150,7 @@ describe('deletePageSchedule dual-mode', () => {
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -2453,8 +3212,8 @@ describe('deletePageSchedule dual-mode', () => {
 
     // R2 rewritten without the deleted path
     assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1'][normalizedPath], undefined);
-    assert(storedSchedule['org1--site1']['/other-page'], 'Other page should remain');
+    assert.strictEqual(storedSchedule[normalizedPath], undefined);
+    assert(storedSchedule['/other-page'], 'Other page should remain');
 
     // Nonce reservation happened
     assert(kvPutCalls.some((call) => call.key === 'nonce--sk-del-nonce'), 'Nonce should be reserved in KV');
@@ -2482,15 +3241,13 @@ describe('deletePageSchedule dual-mode', () => {
       ...mockEnv,
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return {
               json: async () => ({
-                'org1--site1': {
-                  [normalizedPath]: {
-                    type: 'page',
-                    scheduledPublish: '2025-06-15T12:00:00Z',
-                    userId: 'user@example.com',
-                  },
+                [normalizedPath]: {
+                  type: 'page',
+                  scheduledPublish: '2025-06-15T12:00:00Z',
+                  userId: 'user@example.com',
                 },
               }),
             };
@@ -2498,7 +3255,7 @@ describe('deletePageSchedule dual-mode', () => {
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -2543,8 +3300,7 @@ describe('deletePageSchedule dual-mode', () => {
     assert.strictEqual(responseData.success, true);
     assert.strictEqual(responseData.path, normalizedPath);
 
-    assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1'], undefined);
+    assert.deepStrictEqual(storedSchedule, {}, 'Site schedule should be emptied');
 
     const auditCall = auditPostCalls.find((call) => call.url.includes('/log/org1/site1/main'));
     assert(auditCall, 'Action audit log POST should be made');
@@ -2570,15 +3326,13 @@ describe('deleteSnapshotSchedule dual-mode', () => {
       ...mockEnv,
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return {
               json: async () => ({
-                'org1--site1': {
-                  [snapshotId]: {
-                    type: 'snapshot',
-                    scheduledPublish: '2025-06-15T12:00:00Z',
-                    userId: 'user@example.com',
-                  },
+                [snapshotId]: {
+                  type: 'snapshot',
+                  scheduledPublish: '2025-06-15T12:00:00Z',
+                  userId: 'user@example.com',
                 },
               }),
             };
@@ -2586,7 +3340,7 @@ describe('deleteSnapshotSchedule dual-mode', () => {
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -2627,8 +3381,7 @@ describe('deleteSnapshotSchedule dual-mode', () => {
     assert.strictEqual(responseData.snapshotId, snapshotId);
 
     // R2 entry removed
-    assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1'], undefined);
+    assert.deepStrictEqual(storedSchedule, {}, 'Site schedule should be emptied');
 
     // Action audit log POST
     const auditCall = auditPostCalls.find((call) => call.url.includes('/log/org1/site1/main'));
@@ -2654,15 +3407,13 @@ describe('deleteSnapshotSchedule dual-mode', () => {
     const env = {
       R2_BUCKET: {
         get: async (key) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             return {
               json: async () => ({
-                'org1--site1': {
-                  [snapshotId]: {
-                    type: 'snapshot',
-                    scheduledPublish: '2025-06-15T12:00:00Z',
-                    userId: 'amol@adobe.com',
-                  },
+                [snapshotId]: {
+                  type: 'snapshot',
+                  scheduledPublish: '2025-06-15T12:00:00Z',
+                  userId: 'amol@adobe.com',
                 },
               }),
             };
@@ -2670,7 +3421,7 @@ describe('deleteSnapshotSchedule dual-mode', () => {
           return null;
         },
         put: async (key, value) => {
-          if (key === 'schedule.json') {
+          if (key === 'schedules/org1--site1.json') {
             storedSchedule = JSON.parse(value);
           }
           return true;
@@ -2731,8 +3482,7 @@ describe('deleteSnapshotSchedule dual-mode', () => {
     assert.strictEqual(responseData.snapshotId, snapshotId);
 
     // R2 entry removed
-    assert(storedSchedule, 'Schedule should be stored');
-    assert.strictEqual(storedSchedule['org1--site1'], undefined);
+    assert.deepStrictEqual(storedSchedule, {}, 'Site schedule should be emptied');
 
     // Nonce reservation happened
     assert(kvPutCalls.some((call) => call.key === 'nonce--sk-snap-nonce'), 'Nonce should be reserved in KV');
@@ -2757,15 +3507,13 @@ describe('getSchedule dual-mode', () => {
       env: {
         R2_BUCKET: {
           get: async (key) => {
-            if (key === 'schedule.json') {
+            if (key === 'schedules/org1--site1.json') {
               return {
                 json: async () => ({
-                  'org1--site1': {
-                    '/blog/my-article': {
-                      type: 'page',
-                      scheduledPublish: '2025-06-15T12:00:00Z',
-                      userId: 'amol@adobe.com',
-                    },
+                  '/blog/my-article': {
+                    type: 'page',
+                    scheduledPublish: '2025-06-15T12:00:00Z',
+                    userId: 'amol@adobe.com',
                   },
                 }),
               };
@@ -2966,3 +3714,1392 @@ describe('getSchedule dual-mode', () => {
     assert.match(response.headers.get('X-Error'), /missing nonce/);
   });
 });
+
+describe('Reschedule API Tests', () => {
+  const oldTime = '2099-01-01T10:00:00Z';
+
+  function mockRescheduleFetch({
+    auditPostCalls = [], logEntries = [], snapshotAccess = true,
+  } = {}) {
+    return async (url, opts) => {
+      if (url.includes('admin.hlx.page/status/')) {
+        return { ok: true, json: async () => ({ live: { status: 200, permissions: ['read', 'write'] } }) };
+      }
+      if (url.includes('admin.hlx.page/snapshot') && url.endsWith('/main')) {
+        return { ok: snapshotAccess, status: snapshotAccess ? 200 : 403 };
+      }
+      if (url.includes('admin.hlx.page/profile/')) {
+        return { ok: true, json: async () => ({ profile: { email: 'da-user@example.com' } }) };
+      }
+      if (url.includes('admin.hlx.page/log/') && opts?.method === 'POST') {
+        auditPostCalls.push(JSON.parse(opts.body));
+        return { ok: true, status: 201 };
+      }
+      if (url.includes('admin.hlx.page/log/')) {
+        return { ok: true, json: async () => ({ entries: logEntries }) };
+      }
+      return { ok: false, status: 404, statusText: 'Not Found' };
+    };
+  }
+
+  function createPatchRequest(url, body, authToken = 'token test-token') {
+    return new Request(url, {
+      method: 'PATCH',
+      headers: {
+        ...(authToken && { Authorization: authToken }),
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it('should move a page schedule with a single write and a single audit entry', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const newTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const { env, getStoredSchedule } = createRouteTestEnv({
+      initialSchedule: {
+        'org1--site1': { '/blog/post': { type: 'page', scheduledPublish: oldTime, userId: 'author@example.com' } },
+      },
+    });
+    let putCount = 0;
+    const { put } = env.R2_BUCKET;
+    env.R2_BUCKET.put = async (key, value) => {
+      putCount += 1;
+      return put(key, value);
+    };
+    const auditPostCalls = [];
+
+    const originalFetch = global.fetch;
+    global.fetch = mockRescheduleFetch({ auditPostCalls });
+
+    const response = await worker.fetch(createPatchRequest(
+      'https://example.com/schedule/page/org1/site1/blog/post',
+      { scheduledPublish: newTime },
+    ), env);
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(data.previousScheduledPublish, oldTime);
+    assert.strictEqual(data.scheduledPublish, newTime);
+    assert.strictEqual(putCount, 1);
+    assert.deepStrictEqual(getStoredSchedule()['/blog/post'], {
+      type: 'page', scheduledPublish: newTime, userId: 'author@example.com',
+    });
+    assert.strictEqual(auditPostCalls.length, 1);
+    assert.deepStrictEqual(auditPostCalls[0].entries[0], {
+      route: 'rescheduled-publish',
+      path: '/blog/post',
+      type: 'page',
+      oldScheduledPublish: oldTime,
+      newScheduledPublish: newTime,
+      triggeredBy: 'da-user@example.com',
+    });
+
+    global.fetch = originalFetch;
+  });
+
+  it('should let a failed page schedule publish again when it is moved', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const newTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const { env, getStoredSchedule } = createRouteTestEnv({
+      initialSchedule: {
+        'org1--site1': {
+          '/blog/post': {
+            type: 'page',
+            scheduledPublish: oldTime,
+            status: 'failed',
+            failedAt: '2099-01-01T10:35:00Z',
+            failureReason: 'server-error',
+          },
+        },
+      },
+    });
+
+    const originalFetch = global.fetch;
+    global.fetch = mockRescheduleFetch();
+
+    const response = await worker.fetch(createPatchRequest(
+      'https://example.com/schedule/page/org1/site1/blog/post',
+      { scheduledPublish: newTime },
+    ), env);
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(getStoredSchedule()['/blog/post'], {
+      type: 'page', scheduledPublish: newTime,
+    });
+
+    global.fetch = originalFetch;
+  });
+
+  it('should require type when several actions are scheduled for the path', async () => {
+    const { reschedulePage } = await import('../src/index.js');
+    const newTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const actions = [
+      { type: 'page', scheduledPublish: oldTime },
+      { type: 'unpublish', scheduledPublish: '2099-01-08T10:00:00Z' },
+    ];
+    const { env, getStoredSchedule } = createRouteTestEnv({
+      initialSchedule: { 'org1--site1': { '/promo': actions } },
+    });
+
+    const originalFetch = global.fetch;
+    global.fetch = mockRescheduleFetch();
+
+    const request = (body) => ({
+      params: { org: 'org1', site: 'site1', path: 'promo' },
+      json: async () => body,
+      headers: { get: (name) => (name === 'Authorization' ? 'token test-token' : null) },
+    });
+
+    const ambiguous = await reschedulePage(request({ scheduledPublish: newTime }), env);
+    assert.strictEqual(ambiguous.status, 400);
+    assert.strictEqual(getStoredSchedule(), null);
+
+    const response = await reschedulePage(request({ scheduledPublish: newTime, type: 'unpublish' }), env);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(getStoredSchedule()['/promo'], [
+      { type: 'page', scheduledPublish: oldTime },
+      { type: 'unpublish', scheduledPublish: newTime },
+    ]);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should return 404 when the path is not scheduled', async () => {
+    const { reschedulePage } = await import('../src/index.js');
+    const { env } = createRouteTestEnv({ initialSchedule: {} });
+
+    const originalFetch = global.fetch;
+    global.fetch = mockRescheduleFetch();
+
+    const response = await reschedulePage({
+      params: { org: 'org1', site: 'site1', path: 'missing' },
+      json: async () => ({ scheduledPublish: new Date(Date.now() + 60 * 60 * 1000).toISOString() }),
+      headers: { get: (name) => (name === 'Authorization' ? 'token test-token' : null) },
+    }, env);
+
+    assert.strictEqual(response.status, 404);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should return 400 when the new time is less than 5 minutes in the future', async () => {
+    const { reschedulePage } = await import('../src/index.js');
+    const { env } = createRouteTestEnv({
+      initialSchedule: { 'org1--site1': { '/page': { type: 'page', scheduledPublish: oldTime } } },
+    });
+
+    const response = await reschedulePage({
+      params: { org: 'org1', site: 'site1', path: 'page' },
+      json: async () => ({ scheduledPublish: new Date(Date.now() + 60 * 1000).toISOString() }),
+      headers: { get: (name) => (name === 'Authorization' ? 'token test-token' : null) },
+    }, env);
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.headers.get('X-Error'), 'Scheduled publish must be at least 5 minutes in the future');
+  });
+
+  it('should reschedule a page using log-readback intent verification (Sidekick mode)', async () => {
+    const { reschedulePage } = await import('../src/index.js');
+    const newTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const { env, getStoredSchedule } = createRouteTestEnv({
+      initialSchedule: { 'org1--site1': { '/page': { type: 'page', scheduledPublish: oldTime } } },
+    });
+    const auditPostCalls = [];
+
+    const originalFetch = global.fetch;
+    global.fetch = mockRescheduleFetch({
+      auditPostCalls,
+      logEntries: [{
+        route: 'reschedule-page-intent',
+        nonce: 'sk-nonce',
+        path: '/page',
+        scheduledPublish: newTime,
+        user: 'sk-user@example.com',
+        timestamp: Date.now(),
+      }],
+    });
+
+    const response = await reschedulePage({
+      params: { org: 'org1', site: 'site1', path: 'page' },
+      query: { nonce: 'sk-nonce' },
+      json: async () => ({ scheduledPublish: newTime }),
+      headers: { get: () => null },
+    }, env);
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(getStoredSchedule()['/page'].scheduledPublish, newTime);
+    assert.strictEqual(auditPostCalls[0].entries[0].triggeredBy, 'sk-user@example.com');
+
+    global.fetch = originalFetch;
+  });
+
+  it('should move a snapshot schedule via PATCH /schedule/snapshot/:org/:site/:snapshotId+', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const newTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const { env, getStoredSchedule } = createRouteTestEnv({
+      initialSchedule: {
+        'org1--site1': { 'snap-1': { type: 'snapshot', scheduledPublish: oldTime, approved: false } },
+      },
+    });
+    const auditPostCalls = [];
+
+    const originalFetch = global.fetch;
+    global.fetch = mockRescheduleFetch({ auditPostCalls });
+
+    const response = await worker.fetch(createPatchRequest(
+      'https://example.com/schedule/snapshot/org1/site1/snap-1',
+      { scheduledPublish: newTime },
+    ), env);
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(getStoredSchedule()['snap-1'], {
+      type: 'snapshot', scheduledPublish: newTime, approved: false,
+    });
+    assert.deepStrictEqual(auditPostCalls[0].entries[0], {
+      route: 'rescheduled-publish',
+      snapshotId: 'snap-1',
+      oldScheduledPublish: oldTime,
+      newScheduledPublish: newTime,
+      triggeredBy: 'da-user@example.com',
+    });
+
+    global.fetch = originalFetch;
+  });
+
+  it('should return 401 for a snapshot reschedule without snapshot list access', async () => {
+    const { rescheduleSnapshot } = await import('../src/index.js');
+    const { env, getStoredSchedule } = createRouteTestEnv({
+      initialSchedule: { 'org1--site1': { 'snap-1': { type: 'snapshot', scheduledPublish: oldTime } } },
+    });
+
+    const originalFetch = global.fetch;
+    global.fetch = mockRescheduleFetch({ snapshotAccess: false });
+
+    const response = await rescheduleSnapshot({
+      params: { org: 'org1', site: 'site1', snapshotId: 'snap-1' },
+      json: async () => ({ scheduledPublish: new Date(Date.now() + 60 * 60 * 1000).toISOString() }),
+      headers: { get: (name) => (name === 'Authorization' ? 'token test-token' : null) },
+    }, env);
+
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(getStoredSchedule(), null);
+
+    global.fetch = originalFetch;
+  });
+});
+
+describe('Bulk schedule API Tests', () => {
+  function mockBulkFetch({ auditPostCalls = [], forbiddenPaths = [] } = {}) {
+    return async (url, opts) => {
+      if (url.includes('admin.hlx.page/status/')) {
+        const forbidden = forbiddenPaths.some((path) => url.endsWith(path));
+        const permissions = forbidden ? ['read'] : ['read', 'write'];
+        return { ok: true, json: async () => ({ live: { status: 200, permissions } }) };
+      }
+      if (url.includes('admin.hlx.page/profile/')) {
+        return { ok: true, json: async () => ({ profile: { email: 'da-user@example.com' } }) };
+      }
+      if (url.includes('admin.hlx.page/log/') && opts?.method === 'POST') {
+        auditPostCalls.push(JSON.parse(opts.body));
+        return { ok: true, status: 201 };
+      }
+      return { ok: false, status: 404, statusText: 'Not Found' };
+    };
+  }
+
+  function createBulkRequest(body, authToken = 'token test-token') {
+    return new Request('https://example.com/schedule/page/org1/site1/bulk', {
+      method: 'POST',
+      headers: {
+        ...(authToken && { Authorization: authToken }),
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it('should schedule all permitted pages with a single write and a single audit entry', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const time = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const { env, getStoredSchedule } = createRouteTestEnv({
+      initialSchedule: {
+        'org1--site1': { '/existing': { type: 'page', scheduledPublish: '2099-01-01T10:00:00Z' } },
+      },
+    });
+    let putCount = 0;
+    const { put } = env.R2_BUCKET;
+    env.R2_BUCKET.put = async (key, value) => {
+      putCount += 1;
+      return put(key, value);
+    };
+    const auditPostCalls = [];
+
+    const originalFetch = global.fetch;
+    global.fetch = mockBulkFetch({ auditPostCalls, forbiddenPaths: ['/secret'] });
+
+    const response = await worker.fetch(createBulkRequest({
+      items: [
+        { path: '/a', scheduledPublish: time },
+        { path: 'b', scheduledPublish: time },
+        { path: '/secret', scheduledPublish: time },
+        { path: '/past', scheduledPublish: '2020-01-01T00:00:00Z' },
+        { path: '/a', scheduledPublish: time },
+      ],
+    }), env);
+
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.strictEqual(body.success, false);
+    assert.deepStrictEqual(body.results.map((r) => [r.path, r.success, r.status]), [
+      ['/a', true, undefined],
+      ['/b', true, undefined],
+      ['/secret', false, 403],
+      ['/past', false, 400],
+      ['/a', false, 400],
+    ]);
+    assert.strictEqual(body.results[4].error, 'Duplicate path in request');
+
+    assert.strictEqual(putCount, 1);
+    const stored = getStoredSchedule();
+    assert.deepStrictEqual(Object.keys(stored).sort(), ['/a', '/b', '/existing']);
+    assert.strictEqual(stored['/a'].type, 'page');
+    assert.strictEqual(stored['/a'].scheduledPublish, time);
+    assert.strictEqual(stored['/a'].userId, 'da-user@example.com');
+
+    assert.strictEqual(auditPostCalls.length, 1);
+    assert.strictEqual(auditPostCalls[0].entries[0].route, 'bulk-scheduled-publish');
+    assert.deepStrictEqual(auditPostCalls[0].entries[0].paths, ['/a', '/b']);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should not write or audit when no item can be scheduled', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, getStoredSchedule } = createRouteTestEnv({});
+    const auditPostCalls = [];
+
+    const originalFetch = global.fetch;
+    global.fetch = mockBulkFetch({ auditPostCalls });
+
+    const response = await worker.fetch(createBulkRequest({
+      items: [{ path: '/a', scheduledPublish: '2020-01-01T00:00:00Z' }],
+    }), env);
+
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.strictEqual(body.success, false);
+    assert.strictEqual(body.results[0].error, 'Scheduled publish is in the past');
+    assert.strictEqual(getStoredSchedule(), null);
+    assert.strictEqual(auditPostCalls.length, 0);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should require a DA token', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env } = createRouteTestEnv({});
+    const time = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const response = await worker.fetch(createBulkRequest({
+      items: [{ path: '/a', scheduledPublish: time }],
+    }, null), env);
+
+    assert.strictEqual(response.status, 401);
+  });
+
+  it('should reject items without a string path per item', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, getStoredSchedule } = createRouteTestEnv({});
+    const time = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const originalFetch = global.fetch;
+    global.fetch = mockBulkFetch();
+
+    const response = await worker.fetch(createBulkRequest({
+      items: [
+        { path: 42, scheduledPublish: time },
+        { path: ['/a'], scheduledPublish: time },
+        null,
+        { path: '/b', scheduledPublish: time },
+      ],
+    }), env);
+
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.deepStrictEqual(body.results.map((r) => [r.path, r.success, r.status]), [
+      [undefined, false, 400],
+      [undefined, false, 400],
+      [undefined, false, 400],
+      ['/b', true, undefined],
+    ]);
+    assert.deepStrictEqual(Object.keys(getStoredSchedule()), ['/b']);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should check the permissions of a few paths at a time', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env } = createRouteTestEnv({});
+    const time = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const originalFetch = global.fetch;
+    const bulkFetch = mockBulkFetch();
+    let open = 0;
+    let maxOpen = 0;
+    global.fetch = async (url, opts) => {
+      if (!url.includes('admin.hlx.page/status/')) return bulkFetch(url, opts);
+      open += 1;
+      maxOpen = Math.max(maxOpen, open);
+      await new Promise((resolve) => {
+        setImmediate(resolve);
+      });
+      open -= 1;
+      return bulkFetch(url, opts);
+    };
+
+    const items = Array.from({ length: 20 }, (_, i) => ({ path: `/p${i}`, scheduledPublish: time }));
+    const response = await worker.fetch(createBulkRequest({ items }), env);
+
+    assert.strictEqual((await response.json()).success, true);
+    assert.ok(maxOpen <= 6, `${maxOpen} permission checks ran at once`);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should reject an empty or oversized items array', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env } = createRouteTestEnv({});
+    const time = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    let response = await worker.fetch(createBulkRequest({ items: [] }), env);
+    assert.strictEqual(response.status, 400);
+
+    const items = Array.from({ length: 501 }, (_, i) => ({ path: `/p${i}`, scheduledPublish: time }));
+    response = await worker.fetch(createBulkRequest({ items }), env);
+    assert.strictEqual(response.status, 400);
+    assert.match(response.headers.get('X-Error'), /Too many items/);
+  });
+});
+
+describe('Failed entries API Tests', () => {
+  const date = '2025-01-15';
+  const failedRecords = () => [
+    {
+      org: 'org1', site: 'site1', path: '/blog/post', scheduledPublish: '2025-01-15T10:00:00Z', type: 'page', userId: 'author@example.com', messageId: 'msg-1', failedAt: '2025-01-15T10:35:00Z', reason: 'server-error',
+    },
+    {
+      org: 'org1', site: 'site1', path: 'snapshot-1', scheduledPublish: '2025-01-15T10:00:00Z', type: 'snapshot', approved: true, messageId: 'msg-2', failedAt: '2025-01-15T10:35:00Z', reason: 'server-error',
+    },
+    {
+      org: 'org2', site: 'site2', path: '/other', scheduledPublish: '2025-01-15T10:00:00Z', type: 'page', messageId: 'msg-3', failedAt: '2025-01-15T10:35:00Z', reason: 'auth',
+    },
+  ];
+
+  function createFailedTestEnv({ records = failedRecords(), schedule = {} } = {}) {
+    const objects = new Map([
+      ['schedules/org1--site1.json', JSON.stringify(schedule)],
+      [`failed/${date}.json`, JSON.stringify(records)],
+    ]);
+    const etags = new Map([...objects.keys()].map((key) => [key, `${key}-0`]));
+    const sent = [];
+    const markers = new Map();
+    return {
+      env: {
+        R2_BUCKET: {
+          get: async (key) => {
+            if (!objects.has(key)) return null;
+            const value = objects.get(key);
+            return { etag: etags.get(key), json: async () => JSON.parse(value) };
+          },
+          put: async (key, value, options) => {
+            if (options?.onlyIf?.etagMatches && options.onlyIf.etagMatches !== etags.get(key)) {
+              return null;
+            }
+            objects.set(key, value);
+            etags.set(key, `${key}-${(Number(etags.get(key)?.split('-').pop()) || 0) + 1}`);
+            return {};
+          },
+        },
+        SCHEDULER_KV: {
+          get: async (key) => (key === 'org1--site1--apiKey' ? 'test-api-key' : null),
+          put: async (key, value, options) => {
+            markers.set(key, options);
+          },
+        },
+        PUBLISH_QUEUE: {
+          send: async (message, options) => {
+            sent.push({ ...message, options });
+          },
+        },
+      },
+      read: (key) => JSON.parse(objects.get(key)),
+      sent,
+      markers,
+    };
+  }
+
+  function mockAdminFetch({ admin = true, auditPostCalls = [] } = {}) {
+    return async (url, opts) => {
+      if (url.includes('admin.hlx.page/config/')) {
+        return { ok: admin, status: admin ? 200 : 403 };
+      }
+      if (url.includes('admin.hlx.page/profile/')) {
+        return { ok: true, json: async () => ({ profile: { email: 'admin@example.com' } }) };
+      }
+      if (url.includes('admin.hlx.page/log/') && opts?.method === 'POST') {
+        auditPostCalls.push(JSON.parse(opts.body));
+        return { ok: true, status: 201 };
+      }
+      return { ok: false, status: 404, statusText: 'Not Found' };
+    };
+  }
+
+  function createReplayRequest(body, authToken = 'token admin-token') {
+    return new Request('https://example.com/failed/org1/site1/replay', {
+      method: 'POST',
+      headers: {
+        ...(authToken && { Authorization: authToken }),
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it('should list the failed entries of an org/site for a day', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env } = createFailedTestEnv();
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch();
+
+    const response = await worker.fetch(new Request(`https://example.com/failed/org1/site1?date=${date}`, {
+      headers: { Authorization: 'token admin-token' },
+    }), env);
+
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.strictEqual(body.date, date);
+    assert.deepStrictEqual(body.entries.map((entry) => entry.messageId), ['msg-1', 'msg-2']);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should require admin access to list failed entries', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env } = createFailedTestEnv();
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch({ admin: false });
+
+    const response = await worker.fetch(new Request(`https://example.com/failed/org1/site1?date=${date}`, {
+      headers: { Authorization: 'token author-token' },
+    }), env);
+    assert.strictEqual(response.status, 401);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should replay entries immediately and mark them as replayed', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const {
+      env, read, sent, markers,
+    } = createFailedTestEnv();
+    const auditPostCalls = [];
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch({ auditPostCalls });
+
+    const response = await worker.fetch(createReplayRequest({
+      date, messageIds: ['msg-1', 'msg-2', 'msg-3'],
+    }), env);
+
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.deepStrictEqual(body.results.map((r) => [r.messageId, r.success, r.status]), [
+      ['msg-1', true, undefined],
+      ['msg-2', true, undefined],
+      ['msg-3', false, 404],
+    ]);
+
+    const schedule = read('schedules/org1--site1.json');
+    assert.strictEqual(schedule['/blog/post'].type, 'page');
+    assert.strictEqual(schedule['/blog/post'].scheduledPublish, body.scheduledPublish);
+    assert.strictEqual(schedule['/blog/post'].userId, 'author@example.com');
+    assert.strictEqual(schedule['snapshot-1'].approved, true);
+
+    assert.deepStrictEqual(sent.map((message) => [message.path, message.type]), [
+      ['/blog/post', 'page'],
+      ['snapshot-1', 'snapshot'],
+    ]);
+    assert.deepStrictEqual(sent[0].options, { delaySeconds: 0 });
+    // the cron worker does not queue the replayed entries again
+    assert.deepStrictEqual([...markers.keys()], [
+      `enqueued--org1--site1--page--/blog/post--${body.scheduledPublish}`,
+      `enqueued--org1--site1--snapshot--snapshot-1--${body.scheduledPublish}`,
+    ]);
+
+    const records = read(`failed/${date}.json`);
+    assert.strictEqual(records[0].replayedBy, 'admin@example.com');
+    assert.ok(records[0].replayedAt);
+    assert.ok(records[1].replayedAt);
+    assert.strictEqual(records[2].replayedAt, undefined);
+
+    assert.strictEqual(auditPostCalls.length, 1);
+    assert.strictEqual(auditPostCalls[0].entries[0].route, 'replayed-failed-publish');
+
+    global.fetch = originalFetch;
+  });
+
+  it('should re-schedule entries for a new time without queueing them', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, read, sent } = createFailedTestEnv();
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch();
+    const newTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const response = await worker.fetch(createReplayRequest({
+      date, messageIds: ['msg-1'], scheduledPublish: newTime,
+    }), env);
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(read('schedules/org1--site1.json')['/blog/post'].scheduledPublish, newTime);
+    assert.strictEqual(read(`failed/${date}.json`)[0].replayScheduledPublish, newTime);
+    assert.strictEqual(sent.length, 0);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should leave queueing a replay of a coordinated site to its coordinator', async () => {
+    const { replayFailed } = await import('../src/index.js');
+    const { env, sent } = createFailedTestEnv();
+    const mutations = [];
+    Object.assign(env, {
+      SCHEDULE_COORDINATOR_SITES: 'org1--site1',
+      SCHEDULE_COORDINATOR: {
+        idFromName: (name) => name,
+        get: () => ({
+          fetch: async (url, init) => {
+            mutations.push(...JSON.parse(init.body).mutations);
+            const [{ entry }] = JSON.parse(init.body).mutations;
+            return Response.json({ results: [{ changed: true, replayed: true, entry }] });
+          },
+        }),
+      },
+    });
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch();
+
+    const response = await replayFailed({
+      params: { org: 'org1', site: 'site1' },
+      json: async () => ({ date, messageIds: ['msg-1'] }),
+      headers: { get: (name) => (name === 'Authorization' ? 'token admin-token' : null) },
+    }, env);
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(mutations.length, 1);
+    assert.strictEqual(sent.length, 0);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should not replay an entry twice', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const records = failedRecords();
+    records[0].replayedAt = '2025-01-15T11:00:00Z';
+    const { env, sent } = createFailedTestEnv({ records });
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch();
+
+    const response = await worker.fetch(createReplayRequest({ date, messageIds: ['msg-1'] }), env);
+
+    const body = await response.json();
+    assert.strictEqual(body.success, false);
+    assert.strictEqual(body.results[0].status, 409);
+    assert.strictEqual(sent.length, 0);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should keep the recurrence of a failed recurring entry it replays', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const recurrence = { freq: 'weekly' };
+    const { env, read, sent } = createFailedTestEnv({
+      schedule: {
+        '/blog/post': {
+          type: 'page',
+          scheduledPublish: '2025-01-15T10:00:00Z',
+          recurrence,
+          occurrence: 3,
+          status: 'failed',
+          failedAt: '2025-01-15T10:30:00Z',
+          failureReason: 'exceeded-max-retries',
+        },
+      },
+    });
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch();
+
+    const response = await worker.fetch(createReplayRequest({ date, messageIds: ['msg-1'] }), env);
+
+    assert.strictEqual(response.status, 200);
+    const entry = read('schedules/org1--site1.json')['/blog/post'];
+    assert.deepStrictEqual(entry.recurrence, recurrence);
+    assert.strictEqual(entry.occurrence, 3);
+    assert.strictEqual(entry.status, undefined);
+    assert.strictEqual(entry.failureReason, undefined);
+    assert.deepStrictEqual(sent[0].recurrence, recurrence);
+    assert.ok(sent[0].nextOccurrence);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should not replay an entry that was re-scheduled since it failed', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const { env, read, sent } = createFailedTestEnv({
+      schedule: { '/blog/post': { type: 'page', scheduledPublish: later } },
+    });
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch();
+
+    const response = await worker.fetch(createReplayRequest({ date, messageIds: ['msg-1'] }), env);
+
+    const body = await response.json();
+    assert.strictEqual(body.results[0].status, 409);
+    assert.strictEqual(read('schedules/org1--site1.json')['/blog/post'].scheduledPublish, later);
+    assert.strictEqual(read(`failed/${date}.json`)[0].replayedAt, undefined);
+    assert.strictEqual(sent.length, 0);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should replay an entry once when two requests run at the same time', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, read, sent } = createFailedTestEnv();
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch();
+
+    const responses = await Promise.all([
+      worker.fetch(createReplayRequest({ date, messageIds: ['msg-1'] }), env),
+      worker.fetch(createReplayRequest({ date, messageIds: ['msg-1'] }), env),
+    ]);
+
+    const statuses = await Promise.all(responses.map(async (response) => (await response.json())
+      .results[0].status));
+    assert.deepStrictEqual(statuses.sort(), [409, undefined]);
+    assert.strictEqual(sent.length, 1);
+    assert.ok(read(`failed/${date}.json`)[0].replayedAt);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should take back the replay mark when the entry cannot be scheduled', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, read, sent } = createFailedTestEnv();
+    const { put } = env.R2_BUCKET;
+    env.R2_BUCKET.put = async (key, ...args) => {
+      if (key.startsWith('schedules/')) throw new Error('R2 unavailable');
+      return put(key, ...args);
+    };
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch();
+
+    const response = await worker.fetch(createReplayRequest({ date, messageIds: ['msg-1'] }), env);
+
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(read(`failed/${date}.json`)[0].replayedAt, undefined);
+    assert.strictEqual(sent.length, 0);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should reject a replay without admin access', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, sent } = createFailedTestEnv();
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch({ admin: false });
+
+    const response = await worker.fetch(createReplayRequest({ date, messageIds: ['msg-1'] }), env);
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(sent.length, 0);
+
+    global.fetch = originalFetch;
+  });
+});
+
+describe('Pause and resume API Tests', () => {
+  function createPauseTestEnv({ schedule = {}, kv = {} } = {}) {
+    const objects = new Map([['schedules/org1--site1.json', JSON.stringify(schedule)]]);
+    const store = new Map([['org1--site1--apiKey', 'test-api-key'], ...Object.entries(kv)]);
+    return {
+      env: {
+        R2_BUCKET: {
+          get: async (key) => (objects.has(key)
+            ? { json: async () => JSON.parse(objects.get(key)) }
+            : null),
+          put: async (key, value) => {
+            objects.set(key, value);
+          },
+        },
+        SCHEDULER_KV: {
+          get: async (key, options) => {
+            const value = store.get(key) ?? null;
+            return value && options?.type === 'json' ? JSON.parse(value) : value;
+          },
+          put: async (key, value) => {
+            store.set(key, value);
+          },
+          delete: async (key) => {
+            store.delete(key);
+          },
+        },
+      },
+      read: (key) => (objects.has(key) ? JSON.parse(objects.get(key)) : undefined),
+      store,
+    };
+  }
+
+  function mockAdminFetch({ admin = true } = {}) {
+    return async (url) => {
+      if (url.includes('admin.hlx.page/config/')) {
+        return { ok: admin, status: admin ? 200 : 403 };
+      }
+      if (url.includes('admin.hlx.page/profile/')) {
+        return { ok: true, json: async () => ({ profile: { email: 'admin@example.com' } }) };
+      }
+      return { ok: false, status: 404, statusText: 'Not Found' };
+    };
+  }
+
+  function createRequest(action, body) {
+    return new Request(`https://example.com/${action}/org1/site1`, {
+      method: 'POST',
+      headers: { Authorization: 'token admin-token', 'Content-Type': 'application/json' },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+  }
+
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+  const paused = { 'org1--site1--paused': JSON.stringify({ pausedAt: minutesAgo(240) }) };
+
+  it('should pause a site and report it as paused', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, store } = createPauseTestEnv();
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch();
+
+    const response = await worker.fetch(createRequest('pause', { reason: 'Content freeze' }), env);
+
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.strictEqual(body.paused, true);
+    const pause = JSON.parse(store.get('org1--site1--paused'));
+    assert.strictEqual(pause.reason, 'Content freeze');
+    assert.strictEqual(pause.pausedBy, 'admin@example.com');
+    assert.ok(pause.pausedAt);
+
+    const registered = await worker.fetch(new Request('https://example.com/register/org1/site1'), env);
+    assert.strictEqual((await registered.json()).paused, true);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should require admin access to pause or resume a site', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, store } = createPauseTestEnv({ kv: paused });
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch({ admin: false });
+
+    assert.strictEqual((await worker.fetch(createRequest('resume'), env)).status, 401);
+    assert.ok(store.has('org1--site1--paused'));
+    store.delete('org1--site1--paused');
+    assert.strictEqual((await worker.fetch(createRequest('pause'), env)).status, 401);
+    assert.ok(!store.has('org1--site1--paused'));
+
+    global.fetch = originalFetch;
+  });
+
+  it('should reject resuming a site that is not paused', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env } = createPauseTestEnv();
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch();
+
+    const response = await worker.fetch(createRequest('resume'), env);
+    assert.strictEqual(response.status, 409);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should apply the catch-up policy to the entries held while paused', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const recent = minutesAgo(2);
+    const old = minutesAgo(180);
+    const { env, read, store } = createPauseTestEnv({
+      kv: { ...paused, 'org1--site1--catchUpPolicy': 'skip-if-older-than:1h' },
+      schedule: {
+        '/recent': {
+          type: 'page', scheduledPublish: recent, status: 'held', heldAt: recent, heldReason: 'paused',
+        },
+        '/old': {
+          type: 'page', scheduledPublish: old, status: 'held', heldAt: old, heldReason: 'paused',
+        },
+        '/approval': {
+          type: 'page', scheduledPublish: old, status: 'held', heldAt: old, heldReason: 'missed',
+        },
+      },
+    });
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch();
+
+    const response = await worker.fetch(createRequest('resume'), env);
+
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.deepStrictEqual([body.paused, body.released, body.skipped, body.held], [false, 1, 1, 0]);
+    assert.ok(!store.has('org1--site1--paused'));
+
+    const schedule = read('schedules/org1--site1.json');
+    assert.deepStrictEqual(schedule['/recent'], { type: 'page', scheduledPublish: recent });
+    assert.strictEqual(schedule['/old'], undefined);
+    assert.strictEqual(schedule['/approval'].heldReason, 'missed', 'Entries held for approval stay held');
+
+    const [record] = read(`missed/${new Date().toISOString().split('T')[0]}.json`);
+    assert.strictEqual(record.path, '/old');
+    assert.strictEqual(record.action, 'skipped');
+    assert.strictEqual(record.policy, 'skip-if-older-than:1h');
+
+    global.fetch = originalFetch;
+  });
+
+  it('should keep overdue entries held for sites with the hold-for-approval policy', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const old = minutesAgo(30);
+    const { env, read } = createPauseTestEnv({
+      kv: { ...paused, 'org1--site1--catchUpPolicy': 'hold-for-approval' },
+      schedule: {
+        '/old': {
+          type: 'page', scheduledPublish: old, status: 'held', heldAt: old, heldReason: 'paused',
+        },
+      },
+    });
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch();
+
+    const body = await (await worker.fetch(createRequest('resume'), env)).json();
+
+    assert.strictEqual(body.held, 1);
+    const entry = read('schedules/org1--site1.json')['/old'];
+    assert.strictEqual(entry.status, 'held');
+    assert.strictEqual(entry.heldReason, 'missed');
+
+    global.fetch = originalFetch;
+  });
+});
+
+describe('Kill switch API Tests', () => {
+  function createKillSwitchEnv(kv = {}) {
+    const store = new Map(Object.entries(kv));
+    return {
+      env: {
+        OPERATOR_TOKEN: 'operator-secret',
+        SCHEDULER_KV: {
+          get: async (key, options) => {
+            const value = store.get(key) ?? null;
+            return value && options?.type === 'json' ? JSON.parse(value) : value;
+          },
+          put: async (key, value) => {
+            store.set(key, value);
+          },
+          delete: async (key) => {
+            store.delete(key);
+          },
+        },
+      },
+      store,
+    };
+  }
+
+  function createRequest(body, authToken = 'Bearer operator-secret') {
+    return new Request('https://example.com/kill-switch', {
+      method: 'POST',
+      headers: { Authorization: authToken, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it('should turn the kill switch on and off and report it in the health check', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, store } = createKillSwitchEnv();
+
+    let health = await (await worker.fetch(new Request('https://example.com/health'), env)).json();
+    assert.deepStrictEqual(health, { status: 'ok', killSwitch: { enabled: false } });
+
+    const response = await worker.fetch(createRequest({ enabled: true, reason: 'Admin API outage' }), env);
+    assert.strictEqual(response.status, 200);
+    const { killSwitch } = await response.json();
+    assert.strictEqual(killSwitch.enabled, true);
+    assert.strictEqual(killSwitch.reason, 'Admin API outage');
+    assert.ok(store.has('scheduler--killSwitch'));
+
+    health = await (await worker.fetch(new Request('https://example.com/health'), env)).json();
+    assert.strictEqual(health.status, 'stopped');
+    assert.deepStrictEqual(health.killSwitch, killSwitch);
+
+    await worker.fetch(createRequest({ enabled: false }), env);
+    assert.ok(!store.has('scheduler--killSwitch'));
+  });
+
+  it('should return 500 when the health check fails', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env } = createKillSwitchEnv();
+    env.SCHEDULER_KV.get = async () => ({
+      get enabledAt() { throw new Error('Unreadable kill switch'); },
+    });
+
+    const response = await worker.fetch(new Request('https://example.com/health'), env);
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.headers.get('X-Error'), 'Health check failed: Internal server error');
+  });
+
+  it('should keep the time the kill switch was first turned on', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const enabledAt = '2025-01-01T10:00:00.000Z';
+    const { env } = createKillSwitchEnv({ 'scheduler--killSwitch': JSON.stringify({ enabledAt }) });
+
+    const response = await worker.fetch(createRequest({ enabled: true }), env);
+    assert.strictEqual((await response.json()).killSwitch.enabledAt, enabledAt);
+  });
+
+  it('should require the operator token', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, store } = createKillSwitchEnv();
+
+    let response = await worker.fetch(createRequest({ enabled: true }, 'Bearer wrong-secret'), env);
+    assert.strictEqual(response.status, 401);
+    response = await worker.fetch(createRequest({ enabled: true }, 'token site-admin-token'), env);
+    assert.strictEqual(response.status, 401);
+    delete env.OPERATOR_TOKEN;
+    response = await worker.fetch(createRequest({ enabled: true }), env);
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(store.size, 0);
+  });
+
+  it('should reject a body without enabled', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env } = createKillSwitchEnv();
+
+    const response = await worker.fetch(createRequest({ enabled: 'yes' }), env);
+    assert.strictEqual(response.status, 400);
+  });
+});
+
+describe('updateSchedule authorization Tests', () => {
+  const scheduledPublish = () => new Date(Date.now() + 10 * 60 * 1000).toISOString();
+
+  function createSnapshotEnv() {
+    const objects = new Map();
+    return {
+      env: {
+        R2_BUCKET: {
+          get: async (key) => (objects.has(key)
+            ? { json: async () => JSON.parse(objects.get(key)) }
+            : null),
+          put: async (key, value) => {
+            objects.set(key, value);
+          },
+        },
+        SCHEDULER_KV: {
+          get: async (key) => (key === 'org1--site1--apiKey' ? 'test-api-key' : null),
+          put: async () => true,
+        },
+      },
+      read: (key) => (objects.has(key) ? JSON.parse(objects.get(key)) : undefined),
+    };
+  }
+
+  function mockSnapshotFetch({
+    time, snapshotAccess = true, intent, auditPostCalls = [],
+  }) {
+    return async (url, opts) => {
+      if (url.includes('admin.hlx.page/log/') && opts?.method === 'POST') {
+        auditPostCalls.push(JSON.parse(opts.body));
+        return { ok: true, status: 201 };
+      }
+      if (url.includes('admin.hlx.page/log/')) {
+        return { ok: true, json: async () => ({ entries: intent ? [intent] : [] }) };
+      }
+      if (url.includes('admin.hlx.page/profile/')) {
+        return { ok: true, json: async () => ({ profile: { email: 'author@example.com' } }) };
+      }
+      if (url.endsWith('/snapshot/org1/site1/main')) {
+        return { ok: snapshotAccess, status: snapshotAccess ? 200 : 403 };
+      }
+      if (url.includes('admin.hlx.page/snapshot/')) {
+        const manifest = { metadata: { scheduledPublish: time } };
+        return { ok: true, json: async () => ({ manifest }) };
+      }
+      return { ok: false, status: 404 };
+    };
+  }
+
+  function createSnapshotRequest(body, authToken) {
+    return new Request('https://example.com/schedule/snapshot/org1/site1', {
+      method: 'POST',
+      headers: {
+        ...(authToken && { Authorization: authToken }),
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it('should reject requests without authorization or nonce', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, read } = createSnapshotEnv();
+    const originalFetch = global.fetch;
+    global.fetch = mockSnapshotFetch({ time: scheduledPublish() });
+
+    const response = await worker.fetch(createSnapshotRequest({ snapshotId: 'snap-1', approved: true }), env);
+
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(read('schedules/org1--site1.json'), undefined);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should reject tokens without access to the snapshot list', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, read } = createSnapshotEnv();
+    const originalFetch = global.fetch;
+    global.fetch = mockSnapshotFetch({ time: scheduledPublish(), snapshotAccess: false });
+
+    const response = await worker.fetch(createSnapshotRequest({ snapshotId: 'snap-1' }, 'token other-token'), env);
+
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(read('schedules/org1--site1.json'), undefined);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should schedule with a DA token and post an audit log entry', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, read } = createSnapshotEnv();
+    const time = scheduledPublish();
+    const auditPostCalls = [];
+    const originalFetch = global.fetch;
+    global.fetch = mockSnapshotFetch({ time, auditPostCalls });
+
+    const response = await worker.fetch(createSnapshotRequest({
+      snapshotId: 'snap-1', approved: true,
+    }, 'token author-token'), env);
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(read('schedules/org1--site1.json')['snap-1'], {
+      type: 'snapshot', scheduledPublish: time, approved: true, userId: 'author@example.com',
+    });
+    assert.deepStrictEqual(auditPostCalls, [{
+      entries: [{
+        route: 'scheduled-snapshot-publish',
+        snapshotId: 'snap-1',
+        scheduledPublish: time,
+        approved: true,
+        triggeredBy: 'author@example.com',
+      }],
+    }]);
+
+    global.fetch = originalFetch;
+  });
+
+  it('should schedule with a schedule-snapshot-intent nonce', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, read } = createSnapshotEnv();
+    const time = scheduledPublish();
+    const auditPostCalls = [];
+    const originalFetch = global.fetch;
+    global.fetch = mockSnapshotFetch({
+      time,
+      auditPostCalls,
+      intent: {
+        route: 'schedule-snapshot-intent',
+        nonce: 'sk-nonce',
+        snapshotId: 'snap-1',
+        approved: false,
+        user: 'sidekick@example.com',
+        timestamp: Date.now(),
+      },
+    });
+
+    const response = await worker.fetch(createSnapshotRequest({
+      snapshotId: 'snap-1', nonce: 'sk-nonce',
+    }), env);
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(read('schedules/org1--site1.json')['snap-1'].userId, 'sidekick@example.com');
+    assert.strictEqual(auditPostCalls[0].entries[0].triggeredBy, 'sidekick@example.com');
+
+    global.fetch = originalFetch;
+  });
+
+  it('should reject a nonce whose intent did not approve the snapshot', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, read } = createSnapshotEnv();
+    const originalFetch = global.fetch;
+    global.fetch = mockSnapshotFetch({
+      time: scheduledPublish(),
+      intent: {
+        route: 'schedule-snapshot-intent',
+        nonce: 'sk-nonce',
+        snapshotId: 'snap-1',
+        approved: false,
+        user: 'sidekick@example.com',
+        timestamp: Date.now(),
+      },
+    });
+
+    const response = await worker.fetch(createSnapshotRequest({
+      snapshotId: 'snap-1', approved: true, nonce: 'sk-nonce',
+    }), env);
+
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(read('schedules/org1--site1.json'), undefined);
+
+    global.fetch = originalFetch;
+  });
+});
+
+describe('Unregister API Tests', () => {
+  function createUnregisterEnv({ schedule, kv = {} } = {}) {
+    const objects = new Map([['schedules/index.json', JSON.stringify(['org1--site1'])]]);
+    if (schedule) objects.set('schedules/org1--site1.json', JSON.stringify(schedule));
+    const store = new Map([['org1--site1--apiKey', 'test-api-key'], ...Object.entries(kv)]);
+    return {
+      env: {
+        R2_BUCKET: {
+          get: async (key) => (objects.has(key)
+            ? { json: async () => JSON.parse(objects.get(key)) }
+            : null),
+          put: async (key, value) => {
+            objects.set(key, value);
+          },
+        },
+        SCHEDULER_KV: {
+          get: async (key, options) => {
+            const value = store.get(key) ?? null;
+            return value && options?.type === 'json' ? JSON.parse(value) : value;
+          },
+          delete: async (key) => {
+            store.delete(key);
+          },
+        },
+      },
+      objects,
+      store,
+    };
+  }
+
+  function mockAdminFetch({ admin = true, auditPostCalls = [] } = {}) {
+    return async (url, opts) => {
+      if (url.includes('admin.hlx.page/config/')) {
+        return { ok: admin, status: admin ? 200 : 403 };
+      }
+      if (url.includes('admin.hlx.page/profile/')) {
+        return { ok: true, json: async () => ({ profile: { email: 'admin@example.com' } }) };
+      }
+      if (url.includes('admin.hlx.page/log/') && opts?.method === 'POST') {
+        auditPostCalls.push(JSON.parse(opts.body));
+        return { ok: true, status: 201 };
+      }
+      return { ok: false, status: 404 };
+    };
+  }
+
+  const unregisterRequest = () => new Request('https://example.com/register/org1/site1', {
+    method: 'DELETE',
+    headers: { Authorization: 'token admin-token' },
+  });
+
+  it('should archive the schedule and remove all site state', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const schedule = {
+      '/a': [
+        { type: 'page', scheduledPublish: '2030-01-01T10:00:00Z' },
+        { type: 'unpublish', scheduledPublish: '2030-01-02T10:00:00Z' },
+      ],
+      'snap-1': { type: 'snapshot', scheduledPublish: '2030-01-01T10:00:00Z', approved: false },
+    };
+    const { env, objects, store } = createUnregisterEnv({
+      schedule,
+      kv: {
+        'org1--site1--catchUpPolicy': 'hold-for-approval',
+        'org2--site2--apiKey': 'other-key',
+      },
+    });
+    const auditPostCalls = [];
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch({ auditPostCalls });
+
+    try {
+      const response = await worker.fetch(unregisterRequest(), env);
+
+      assert.strictEqual(response.status, 200);
+      const { removed } = await response.json();
+      assert.strictEqual(removed.entries, 3);
+      assert.strictEqual(removed.catchUpPolicy, true);
+      assert.strictEqual(removed.pause, false);
+      assert.match(removed.archive, /^archive\/org1--site1-.+\.json$/);
+      assert.deepStrictEqual(JSON.parse(objects.get(removed.archive)), schedule);
+      assert.deepStrictEqual(JSON.parse(objects.get('schedules/org1--site1.json')), {});
+      assert.deepStrictEqual(JSON.parse(objects.get('schedules/index.json')), []);
+      assert.deepStrictEqual([...store.keys()], ['org2--site2--apiKey']);
+      assert.strictEqual(auditPostCalls[0].entries[0].route, 'unregistered-site');
+      assert.strictEqual(auditPostCalls[0].entries[0].triggeredBy, 'admin@example.com');
+
+      const registered = await worker.fetch(new Request('https://example.com/register/org1/site1'), env);
+      assert.strictEqual(registered.status, 404);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  it('should not archive anything for sites without a schedule', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, objects, store } = createUnregisterEnv();
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch();
+
+    try {
+      const response = await worker.fetch(unregisterRequest(), env);
+
+      assert.strictEqual(response.status, 200);
+      const { removed } = await response.json();
+      assert.deepStrictEqual([removed.entries, removed.archive], [0, null]);
+      assert.strictEqual([...objects.keys()].some((key) => key.startsWith('archive/')), false);
+      assert.strictEqual(store.size, 0);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  it('should require admin access', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, store } = createUnregisterEnv();
+    const originalFetch = global.fetch;
+    global.fetch = mockAdminFetch({ admin: false });
+
+    try {
+      const response = await worker.fetch(unregisterRequest(), env);
+      assert.strictEqual(response.status, 401);
+      assert.ok(store.has('org1--site1--apiKey'));
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  it('should return 404 for sites that are not registered', async () => {
+    const { default: worker } = await import('../src/index.js');
+    const { env, store } = createUnregisterEnv();
+    store.clear();
+
+    const response = await worker.fetch(unregisterRequest(), env);
+    assert.strictEqual(response.status, 404);
+  });
+});
@@ -0,0 +1,153 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+
+/**
+ * API keys are stored in KV encrypted with AES-GCM, as
+ * `enc:<version>:<iv>:<ciphertext>` with base64 iv and ciphertext. The KV key
+ * is authenticated with the value, so a value copied to another site's key
+ * does not decrypt.
+ *
+ * The encryption keys come from the `API_KEY_ENCRYPTION_KEYS` secret, a JSON
+ * object of base64 encoded 256-bit keys by version, e.g. `{"1": "..."}`. New
+ * values are encrypted with `API_KEY_ENCRYPTION_KEY_VERSION`. Values stored
+ * in plaintext, or with another version, are re-encrypted the first time they
+ * are read, so an older version can be dropped from the secret once all keys
+ * were read again. Without the secret, no API key is stored, so a deploy
+ * that misses it does not silently store keys in plaintext.
+ */
+
+const PREFIX = 'enc:';
+const IV_LENGTH = 12;
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+}
+
+function readEncryptionKeys(env) {
+  if (!env.API_KEY_ENCRYPTION_KEYS) return null;
+  const keys = JSON.parse(env.API_KEY_ENCRYPTION_KEYS);
+  const version = String(env.API_KEY_ENCRYPTION_KEY_VERSION || '');
+  if (!keys[version]) {
+    throw new Error(`API_KEY_ENCRYPTION_KEYS has no key for version "${version}"`);
+  }
+  return { keys, version };
+}
+
+async function importKey(base64Key) {
+  return crypto.subtle.importKey('raw', fromBase64(base64Key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Whether a stored value is encrypted
+ * @param {string} value - The value stored in KV
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+  return value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt an API key with the current encryption key
+ * @param {Object} env - The environment object
+ * @param {string} kvKey - The KV key the value is stored under
+ * @param {string} apiKey - The API key
+ * @returns {Promise<string>} The value to store
+ * @throws {Error} When encryption is not configured
+ */
+export async function encryptApiKey(env, kvKey, apiKey) {
+  const encryption = readEncryptionKeys(env);
+  if (!encryption) {
+    throw new Error(`API_KEY_ENCRYPTION_KEYS is not set, not storing ${kvKey}`);
+  }
+  const { keys, version } = encryption;
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(kvKey) },
+    await importKey(keys[version]),
+    new TextEncoder().encode(apiKey),
+  );
+  return `${PREFIX}${version}:${toBase64(iv)}:${toBase64(ciphertext)}`;
+}
+
+/**
+ * Decrypt a stored API key. Plaintext values are returned as they are.
+ * @param {Object} env - The environment object
+ * @param {string} kvKey - The KV key the value is stored under
+ * @param {string} value - The value stored in KV
+ * @returns {Promise<string>} The API key
+ * @throws {Error} When the key of its version is missing or the value was
+ * tampered with
+ */
+export async function decryptApiKey(env, kvKey, value) {
+  if (!isEncrypted(value)) return value;
+  const [version, iv, ciphertext] = value.slice(PREFIX.length).split(':');
+  const keys = env.API_KEY_ENCRYPTION_KEYS ? JSON.parse(env.API_KEY_ENCRYPTION_KEYS) : {};
+  if (!keys[version]) {
+    throw new Error(`No encryption key of version "${version}" to decrypt ${kvKey}`);
+  }
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv), additionalData: new TextEncoder().encode(kvKey) },
+    await importKey(keys[version]),
+    fromBase64(ciphertext),
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+// Re-encrypt a value read in plaintext or with an older version, keeping its
+// metadata. A value that was replaced since it was read is left alone.
+async function migrateApiKey(env, kvKey, value, apiKey) {
+  try {
+    const { value: current, metadata } = await env.SCHEDULER_KV.getWithMetadata(kvKey);
+    if (current !== value) return;
+    const encrypted = await encryptApiKey(env, kvKey, apiKey);
+    await env.SCHEDULER_KV.put(kvKey, encrypted, metadata ? { metadata } : undefined);
+    console.log(`Re-encrypted ${kvKey}`);
+  } catch (err) {
+    console.warn(`Could not re-encrypt ${kvKey}:`, err.message);
+  }
+}
+
+/**
+ * Read and decrypt an API key from KV
+ * @param {Object} env - The environment object
+ * @param {string} kvKey - `<org>--<site>--apiKey` or `<org>--<site>--nextApiKey`
+ * @returns {Promise<string|null>} The API key, null when none is stored
+ */
+export async function readApiKey(env, kvKey) {
+  const value = await env.SCHEDULER_KV.get(kvKey);
+  if (!value) return null;
+  const apiKey = await decryptApiKey(env, kvKey, value);
+
+  const encryption = readEncryptionKeys(env);
+  if (encryption && !value.startsWith(`${PREFIX}${encryption.version}:`)) {
+    await migrateApiKey(env, kvKey, value, apiKey);
+  }
+  return apiKey;
+}
+
+/**
+ * Encrypt and store an API key in KV
+ * @param {Object} env - The environment object
+ * @param {string} kvKey - `<org>--<site>--apiKey` or `<org>--<site>--nextApiKey`
+ * @param {string} apiKey - The API key
+ * @param {Object} [metadata] - KV metadata stored with it
+ * @returns {Promise<void>}
+ */
+export async function writeApiKey(env, kvKey, apiKey, metadata) {
+  const encrypted = await encryptApiKey(env, kvKey, apiKey);
+  await env.SCHEDULER_KV.put(kvKey, encrypted, metadata ? { metadata } : undefined);
+}
@@ -0,0 +1,172 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+
+import { casUpdate, changeSiteSchedule } from './schedule-store.js';
+
+/**
+ * What the cron worker, or the schedule coordinator of a site, does with
+ * entries that are overdue because they could not be queued on time (e.g. the
+ * worker was down or the alarm was stopped by the kill switch), and what resuming a paused site
+ * does with the entries held while it was paused:
+ * - `publish-late` (default): publish them right away
+ * - `skip-if-older-than:<duration>`: skip them when they are overdue by more
+ *   than the duration (`<number><s|m|h|d>`, e.g. `30m` or `2h`)
+ * - `hold-for-approval`: keep them unpublished with `status: "held"` until an
+ *   author re-schedules them
+ *
+ * The policy of a site is stored in KV next to its API key.
+ */
+
+export const DEFAULT_CATCH_UP_POLICY = 'publish-late';
+
+const DURATION_UNITS_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * KV key of the catch-up policy of an org/site
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @returns {string}
+ */
+export function catchUpPolicyKey(org, site) {
+  return `${org}--${site}--catchUpPolicy`;
+}
+
+/**
+ * Parse a catch-up policy
+ * @param {string} value - e.g. `skip-if-older-than:2h`
+ * @returns {{mode: string, maxAgeMs?: number}|null} null when the policy is invalid
+ */
+export function parseCatchUpPolicy(value) {
+  if (value === 'publish-late' || value === 'hold-for-approval') {
+    return { mode: value };
+  }
+  const match = /^skip-if-older-than:(\d+)([smhd])$/.exec(value || '');
+  if (!match || Number(match[1]) === 0) return null;
+  return {
+    mode: 'skip-if-older-than',
+    maxAgeMs: Number(match[1]) * DURATION_UNITS_MS[match[2]],
+  };
+}
+
+// Entries that should have been queued by an earlier tick
+export const MISSED_GRACE_MS = 5 * 60 * 1000;
+
+/**
+ * Read the catch-up policy of an org/site. Falls back to `publish-late` when
+ * none is set, or it cannot be read or parsed.
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @returns {Promise<{value: string, mode: string, maxAgeMs?: number}>}
+ */
+export async function readCatchUpPolicy(env, org, site) {
+  let value = DEFAULT_CATCH_UP_POLICY;
+  try {
+    value = (await env.SCHEDULER_KV.get(catchUpPolicyKey(org, site))) || DEFAULT_CATCH_UP_POLICY;
+  } catch (err) {
+    console.warn(`Could not read the catch-up policy of ${org}--${site}:`, err.message);
+  }
+  const policy = parseCatchUpPolicy(value);
+  if (!policy) {
+    console.warn(`Invalid catch-up policy for ${org}--${site}: ${value}`);
+    return { value: DEFAULT_CATCH_UP_POLICY, ...parseCatchUpPolicy(DEFAULT_CATCH_UP_POLICY) };
+  }
+  return { value, ...policy };
+}
+
+/**
+ * What to do with an entry that was missed
+ * @param {Object} policy - The catch-up policy of the site
+ * @param {number} overdueMs - How long ago the entry was due
+ * @returns {string} `publish`, `skipped` or `held`
+ */
+export function catchUpAction(policy, overdueMs) {
+  if (policy.mode === 'hold-for-approval') return 'held';
+  if (policy.mode === 'skip-if-older-than' && overdueMs > policy.maxAgeMs) return 'skipped';
+  return 'publish';
+}
+
+/**
+ * The schedule mutations that apply the outcome of the catch-up policy to
+ * missed entries: skipped entries are removed (or a recurring entry advanced
+ * to its next occurrence), held entries are kept with `status: "held"`, and
+ * entries to publish that were held by a pause are released
+ * @param {Array} missed - Array of {snapshot, action}, with the publish
+ * message of the entry and the result of `catchUpAction`
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Object>} The mutations, see schedule-mutations.js
+ */
+export function missedEntryMutations(missed, now = Date.now()) {
+  return missed.map(({ snapshot, action }) => {
+    const { path, type, scheduledPublish } = snapshot;
+    if (action === 'publish') return { op: 'release', path, type };
+    return action === 'held'
+      ? {
+        op: 'hold', path, type, scheduledPublish, heldAt: new Date(now).toISOString(), reason: 'missed',
+      }
+      : {
+        op: 'complete',
+        path,
+        type,
+        scheduledPublish,
+        nextOccurrence: snapshot.recurrence ? snapshot.nextOccurrence : null,
+      };
+  });
+}
+
+/**
+ * Apply the outcome of the catch-up policy to missed entries, see
+ * `missedEntryMutations`
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @param {Array} missed - Array of {snapshot, action}
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<boolean>} Whether the site schedule was updated
+ */
+export async function settleMissedEntries(env, org, site, missed, now = Date.now()) {
+  try {
+    await changeSiteSchedule(env, org, site, missedEntryMutations(missed, now));
+    return true;
+  } catch (err) {
+    console.error(`Could not update the missed entries of ${org}--${site}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Append the missed entries of a tick to `missed/YYYY-MM-DD.json` in R2. The
+ * cron worker and the schedule coordinators append to the same file, so the
+ * write is conditional on what was read.
+ * @param {Object} env - The environment object
+ * @param {Array} records - Array of {org, site, path, type, scheduledPublish, policy, action}
+ * @param {number} now - Current time in milliseconds
+ */
+export async function recordMissedEntries(env, records, now = Date.now()) {
+  if (records.length === 0) return;
+  const detectedAt = new Date(now).toISOString();
+  const fileName = `missed/${detectedAt.split('T')[0]}.json`;
+  try {
+    await casUpdate(env, fileName, (missed) => [
+      ...(missed || []),
+      ...records.map((record) => ({ ...record, detectedAt })),
+    ]);
+  } catch (err) {
+    console.error('Could not record the missed entries:', err.message);
+  }
+}
@@ -0,0 +1,79 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+
+/**
+ * Delivery history of queue messages, recorded by the publish worker for every
+ * failed or throttled attempt and attached by the DLQ worker to the failed
+ * record of a message whose retries ran out.
+ */
+
+const HISTORY_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * KV key of the delivery history of a queue message. The key is derived from
+ * the message body, so it stays the same across retries and when the message
+ * is moved to the DLQ.
+ * @param {Object} body - The queue message body
+ * @returns {string}
+ */
+export function historyKey(body) {
+  const path = body.path ?? body.snapshotId;
+  return `history--${body.org}--${body.site}--${body.type || 'snapshot'}--${path}--${body.scheduledPublish}`;
+}
+
+/**
+ * Read the delivery history of a queue message.
+ * @param {Object} env - The environment object
+ * @param {Object} body - The queue message body
+ * @returns {Promise<Array>} The recorded events, oldest first
+ */
+export async function readHistory(env, body) {
+  if (!env.SCHEDULER_KV) return [];
+  try {
+    return (await env.SCHEDULER_KV.get(historyKey(body), { type: 'json' })) || [];
+  } catch (err) {
+    console.warn('Could not read message history:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Append an event to the delivery history of a queue message.
+ * @param {Object} env - The environment object
+ * @param {Object} body - The queue message body
+ * @param {Object} event - The event to record
+ */
+export async function appendHistory(env, body, event) {
+  try {
+    const history = await readHistory(env, body);
+    history.push(event);
+    await env.SCHEDULER_KV.put(historyKey(body), JSON.stringify(history), {
+      expirationTtl: HISTORY_TTL_SECONDS,
+    });
+  } catch (err) {
+    console.warn('Could not record message history:', err.message);
+  }
+}
+
+/**
+ * Remove the delivery history of a queue message once it has been recorded.
+ * @param {Object} env - The environment object
+ * @param {Object} body - The queue message body
+ */
+export async function clearHistory(env, body) {
+  try {
+    await env.SCHEDULER_KV.delete(historyKey(body));
+  } catch (err) {
+    console.warn('Could not clear message history:', err.message);
+  }
+}
@@ -0,0 +1,78 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+
+/**
+ * In-flight markers in KV record that a publish message was sent for a
+ * schedule entry, so the cron worker does not send it again while it is
+ * still queued or being published.
+ */
+
+const DEFAULT_STALE_SECONDS = 60 * 60;
+
+/**
+ * KV key of the in-flight marker of a schedule entry. It includes the
+ * scheduled time, so a re-scheduled entry or the next occurrence of a
+ * recurring entry is not taken for the message already sent. Messages queued
+ * by earlier versions may lack the type or carry a `snapshotId` instead of the
+ * path.
+ * @param {Object} snapshot - The publish message
+ * @returns {string}
+ */
+export function enqueuedKey(snapshot) {
+  const type = snapshot.type || 'snapshot';
+  const path = snapshot.path ?? snapshot.snapshotId;
+  return `enqueued--${snapshot.org}--${snapshot.site}--${type}--${path}--${snapshot.scheduledPublish}`;
+}
+
+// How long a message may stay in flight before it is considered lost
+function staleSeconds(env) {
+  const seconds = Number.parseInt(env.ENQUEUED_STALE_SECONDS, 10);
+  return seconds > 0 ? seconds : DEFAULT_STALE_SECONDS;
+}
+
+/**
+ * Whether a publish message was already sent for the entry and is still in
+ * flight. Markers expire once the entry is stale, so a lost message is sent
+ * again on a later tick. Returns false when KV cannot be read.
+ * @param {Object} env - The environment object
+ * @param {Object} snapshot - The publish message
+ * @returns {Promise<boolean>}
+ */
+export async function isInFlight(env, snapshot) {
+  try {
+    return (await env.SCHEDULER_KV.get(enqueuedKey(snapshot))) !== null;
+  } catch (err) {
+    console.warn(`Could not read the in-flight marker of ${snapshot.path}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Record that a publish message was sent for the entry. The marker lives
+ * until the message is due plus the stale timeout.
+ * @param {Object} env - The environment object
+ * @param {Object} snapshot - The publish message, with its `delaySeconds`
+ * @param {number} now - Current time in milliseconds
+ */
+export async function markInFlight(env, snapshot, now = Date.now()) {
+  try {
+    await env.SCHEDULER_KV.put(enqueuedKey(snapshot), JSON.stringify({
+      enqueuedAt: new Date(now).toISOString(),
+    }), {
+      // KV requires an expiration of at least 60 seconds
+      expirationTtl: Math.max(60, snapshot.delaySeconds + staleSeconds(env)),
+    });
+  } catch (err) {
+    console.warn(`Could not record the in-flight marker of ${snapshot.path}:`, err.message);
+  }
+}
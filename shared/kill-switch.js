@@ -0,0 +1,37 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+
+/**
+ * The kill switch stops all scheduled publishing, e.g. while admin.hlx.page
+ * has a known outage. It is stored in KV as `{ enabledAt, reason? }` and only
+ * exists while it is on. The cron worker and the schedule coordinators queue
+ * nothing, and the publish worker retries its messages with a long delay.
+ */
+
+// Not an `<org>--<site>` key, so it cannot collide with a site setting
+export const KILL_SWITCH_KEY = 'scheduler--killSwitch';
+
+/**
+ * Read the kill switch. A kill switch that cannot be read is treated as off,
+ * so publishing is not stopped by a KV outage.
+ * @param {Object} env - The environment object
+ * @returns {Promise<{enabledAt: string, reason?: string}|null>} null when it is off
+ */
+export async function getKillSwitch(env) {
+  try {
+    return await env.SCHEDULER_KV.get(KILL_SWITCH_KEY, { type: 'json' });
+  } catch (err) {
+    console.warn('Could not read the kill switch:', err.message);
+    return null;
+  }
+}
@@ -0,0 +1,51 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { nextOccurrence } from './recurrence.js';
+
+/**
+ * Build the publish queue message for a schedule entry. Recurring entries
+ * carry their next occurrence, so the publish worker can advance the entry
+ * instead of removing it.
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @param {string} path - The page path or snapshot id
+ * @param {Object} entry - The schedule entry
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} The message, with the `delaySeconds` left until the entry is due
+ */
+export function createPublishMessage(org, site, path, entry, now = Date.now()) {
+  const {
+    scheduledPublish,
+    approved = false,
+    type = 'snapshot',
+    userId = null,
+    recurrence,
+    occurrence = 1,
+  } = entry;
+  const delaySeconds = Math.max(0, Math.ceil((new Date(scheduledPublish).getTime() - now) / 1000));
+  return {
+    org,
+    site,
+    path,
+    scheduledPublish,
+    approved,
+    type,
+    userId,
+    delaySeconds,
+    ...(recurrence && {
+      recurrence,
+      occurrence,
+      nextOccurrence: nextOccurrence(scheduledPublish, recurrence, occurrence, now),
+    }),
+  };
+}
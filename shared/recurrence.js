@@ -0,0 +1,81 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Move a timestamp forward by a number of calendar months (UTC), keeping the
+ * time of day. The day of month is clamped to the length of the target month,
+ * so a series anchored on the 31st publishes on the last day of shorter months
+ * and returns to the 31st afterwards.
+ */
+function addMonths(time, months, monthDay) {
+  const date = new Date(time);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return Date.UTC(
+    year,
+    month,
+    Math.min(monthDay, lastDay),
+    date.getUTCHours(),
+    date.getUTCMinutes(),
+    date.getUTCSeconds(),
+    date.getUTCMilliseconds(),
+  );
+}
+
+function step(time, recurrence) {
+  const interval = recurrence.interval || 1;
+  switch (recurrence.freq) {
+    case 'daily':
+      return time + interval * DAY_MS;
+    case 'weekly':
+      return time + interval * 7 * DAY_MS;
+    case 'monthly':
+      return addMonths(time, interval, recurrence.byMonthDay || new Date(time).getUTCDate());
+    default:
+      throw new Error(`Unsupported recurrence frequency: ${recurrence.freq}`);
+  }
+}
+
+/**
+ * Expand the occurrence that follows the one currently stored on a recurring
+ * schedule entry. Occurrences that are already in the past (e.g. because the
+ * cron worker was down) are skipped, so a series is never published more than
+ * once for the same tick.
+ * @param {string} scheduledPublish - The occurrence currently stored on the entry
+ * @param {Object} recurrence - {freq, interval?, count?, until?, byMonthDay?}
+ * @param {number} occurrence - 1-based index of the stored occurrence
+ * @param {number} now - Current time in milliseconds
+ * @returns {{scheduledPublish: string, occurrence: number}|null} The next
+ * occurrence, or null when the series has ended (count or until reached)
+ */
+export function nextOccurrence(scheduledPublish, recurrence, occurrence = 1, now = Date.now()) {
+  let time = new Date(scheduledPublish).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid scheduledPublish: ${scheduledPublish}`);
+  }
+  let index = occurrence;
+  do {
+    time = step(time, recurrence);
+    index += 1;
+  } while (time <= now);
+
+  if (recurrence.count && index > recurrence.count) {
+    return null;
+  }
+  if (recurrence.until && time > new Date(recurrence.until).getTime()) {
+    return null;
+  }
+  return { scheduledPublish: new Date(time).toISOString(), occurrence: index };
+}
@@ -0,0 +1,206 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Named changes to the schedule of one org/site. Mutations are plain data, so
+ * the same change can be applied by any worker to the R2 object, or sent to the
+ * site's schedule coordinator (a Durable Object) that applies it there.
+ *
+ * A mutation is `{ op, path, ...args }`. Applying it changes the schedule in
+ * place and returns a result with at least `changed`.
+ */
+
+/**
+ * The action of a schedule entry, `snapshot` for entries stored without a type
+ * @param {Object} entry - The schedule entry
+ * @returns {string}
+ */
+export function getActionType(entry) {
+  return entry.type || 'snapshot';
+}
+
+/**
+ * Get the scheduled actions for a path. A path in a site schedule holds a single
+ * entry, or an array of entries when several actions (e.g. a publish and an
+ * unpublish) are scheduled for it.
+ * @param {Object} schedule - The schedule of one org/site
+ * @param {string} path - The page path or snapshot id
+ * @returns {Array} The entries scheduled for the path
+ */
+export function getPathActions(schedule, path) {
+  const value = schedule?.[path];
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Store the actions for a path, as a single entry when there is only one
+/* eslint-disable no-param-reassign */
+function setPathActions(schedule, path, actions) {
+  if (actions.length === 0) {
+    delete schedule[path];
+  } else {
+    schedule[path] = actions.length === 1 ? actions[0] : actions;
+  }
+}
+/* eslint-enable no-param-reassign */
+
+const OPERATIONS = {
+  // Replace everything scheduled for the path with one entry
+  put(schedule, { path, entry }) {
+    setPathActions(schedule, path, [entry]);
+    return { changed: true };
+  },
+
+  // Add entries, replacing the scheduled actions of the same types
+  schedule(schedule, { path, entries }) {
+    const types = entries.map(getActionType);
+    const actions = getPathActions(schedule, path)
+      .filter((existing) => !types.includes(getActionType(existing)));
+    setPathActions(schedule, path, [...actions, ...entries]);
+    return { changed: true };
+  },
+
+  // Remove the action of a type, or all actions of the path without a type
+  remove(schedule, { path, type }) {
+    const actions = getPathActions(schedule, path);
+    const remaining = type ? actions.filter((entry) => getActionType(entry) !== type) : [];
+    if (actions.length === remaining.length) return { changed: false };
+    setPathActions(schedule, path, remaining);
+    return { changed: true };
+  },
+
+  // Move the single action of the path (of a type, when given) to a new time.
+  // This releases an entry held by the catch-up policy, or one that failed.
+  reschedule(schedule, { path, type, scheduledPublish }) {
+    const matching = getPathActions(schedule, path)
+      .filter((entry) => !type || getActionType(entry) === type);
+    if (matching.length !== 1) return { changed: false, matches: matching.length };
+    const [entry] = matching;
+    const previousScheduledPublish = entry.scheduledPublish;
+    entry.scheduledPublish = scheduledPublish;
+    if (entry.status === 'held' || entry.status === 'failed') {
+      delete entry.status;
+      delete entry.heldAt;
+      delete entry.heldReason;
+      delete entry.failedAt;
+      delete entry.failureReason;
+    }
+    return {
+      changed: true, matches: 1, previousScheduledPublish, type: getActionType(entry),
+    };
+  },
+
+  // Put a failed action back into the schedule at a new time. The entry is
+  // moved there with its other fields (e.g. its recurrence), or added again
+  // when it was removed since. An entry that was re-scheduled or moved on to
+  // its next occurrence since it failed is left alone.
+  replay(schedule, { path, entry: replayEntry, failedScheduledPublish }) {
+    const type = getActionType(replayEntry);
+    const actions = getPathActions(schedule, path);
+    const entry = actions.find((action) => getActionType(action) === type);
+    if (!entry) {
+      setPathActions(schedule, path, [...actions, replayEntry]);
+      return { changed: true, replayed: true, entry: { ...replayEntry } };
+    }
+    if (entry.scheduledPublish !== failedScheduledPublish) {
+      return { changed: false, replayed: false };
+    }
+    OPERATIONS.reschedule(schedule, { path, type, scheduledPublish: replayEntry.scheduledPublish });
+    return { changed: true, replayed: true, entry: { ...entry } };
+  },
+
+  // An action was published: advance a recurring entry to its next occurrence,
+  // or remove the entry
+  complete(schedule, {
+    path, type, scheduledPublish, nextOccurrence,
+  }) {
+    const actions = getPathActions(schedule, path);
+    const entry = actions.find((action) => getActionType(action) === type);
+    if (!entry) return { changed: false, found: false };
+    // Only complete the occurrence that was just published: the author may
+    // have re-scheduled the entry while it was published, and a duplicate
+    // message for the same occurrence must not skip the next one.
+    if (scheduledPublish && entry.scheduledPublish !== scheduledPublish) {
+      return { changed: false, found: true };
+    }
+    if (nextOccurrence) {
+      entry.scheduledPublish = nextOccurrence.scheduledPublish;
+      entry.occurrence = nextOccurrence.occurrence;
+      return { changed: true, found: true, advanced: entry.scheduledPublish };
+    }
+    setPathActions(schedule, path, actions.filter((action) => action !== entry));
+    return { changed: true, found: true };
+  },
+
+  // An action failed for good; keep it in the schedule with `status: 'failed'`.
+  // A recurring entry records the failure as `lastFailure` and moves on to its
+  // next occurrence instead, so one failed occurrence does not stop the series.
+  markFailed(schedule, {
+    path, type, scheduledPublish, failedAt, failureReason, nextOccurrence,
+  }) {
+    const entry = getPathActions(schedule, path)
+      .find((action) => getActionType(action) === type);
+    if (!entry) return { changed: false, found: false };
+    // the author re-scheduled the entry while the message was retried
+    if (entry.scheduledPublish !== scheduledPublish) return { changed: false, found: true };
+    if (nextOccurrence) {
+      Object.assign(entry, {
+        scheduledPublish: nextOccurrence.scheduledPublish,
+        occurrence: nextOccurrence.occurrence,
+        lastFailure: { scheduledPublish, failedAt, failureReason },
+      });
+      return { changed: true, found: true, advanced: entry.scheduledPublish };
+    }
+    Object.assign(entry, { status: 'failed', failedAt, failureReason });
+    return { changed: true, found: true };
+  },
+
+  // Keep an action from being published: it was missed (`hold-for-approval`)
+  // or its site is paused. `reason` is `missed` or `paused`.
+  hold(schedule, {
+    path, type, scheduledPublish, heldAt, reason,
+  }) {
+    const entry = getPathActions(schedule, path)
+      .find((action) => getActionType(action) === type);
+    if (!entry || entry.scheduledPublish !== scheduledPublish) return { changed: false };
+    Object.assign(entry, { status: 'held', heldAt, heldReason: reason });
+    return { changed: true };
+  },
+
+  // Let a held action be published again
+  release(schedule, { path, type }) {
+    const entry = getPathActions(schedule, path)
+      .find((action) => getActionType(action) === type);
+    if (entry?.status !== 'held') return { changed: false };
+    delete entry.status;
+    delete entry.heldAt;
+    delete entry.heldReason;
+    return { changed: true };
+  },
+};
+
+/**
+ * Apply mutations to a site schedule, in order
+ * @param {Object} schedule - The site schedule, changed in place
+ * @param {Array<Object>} mutations - `{ op, path, ...args }`
+ * @returns {{changed: boolean, results: Array<Object>}} Whether anything
+ * changed, and the result of each mutation
+ * @throws {Error} For an unknown operation
+ */
+export function applyMutations(schedule, mutations) {
+  const results = mutations.map((mutation) => {
+    const operation = OPERATIONS[mutation.op];
+    if (!operation) throw new Error(`Unknown schedule operation: ${mutation.op}`);
+    return operation(schedule, mutation);
+  });
+  return { changed: results.some((result) => result.changed), results };
+}
@@ -0,0 +1,273 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+/* eslint-disable no-await-in-loop */
+
+import { applyMutations } from './schedule-mutations.js';
+
+/**
+ * Schedule storage shared by the register, cron, publish and DLQ workers.
+ *
+ * Each org/site has its own R2 object, `schedules/<org>--<site>.json`, holding
+ * `{ "<path|snapshotId>": entry | [entries] }`. `schedules/index.json` lists the
+ * org/site keys that have a schedule, so the cron worker does not need to list
+ * the bucket. The global `schedule.json` used before is read as a fallback for
+ * sites without a shard until `migrateLegacySchedule` has moved it.
+ *
+ * Writes are conditional on the etag that was read (R2 `onlyIf`), so an update
+ * made concurrently by another worker is never overwritten: the object is
+ * re-read and the change applied again, up to `MAX_WRITE_ATTEMPTS` times.
+ *
+ * Sites listed in `SCHEDULE_COORDINATOR_SITES` are owned by their schedule
+ * coordinator, a Durable Object bound as `SCHEDULE_COORDINATOR`: their changes
+ * are sent to it and applied one at a time, and the R2 object is the snapshot
+ * it keeps up to date for reading.
+ */
+
+export const LEGACY_SCHEDULE_KEY = 'schedule.json';
+export const SCHEDULE_INDEX_KEY = 'schedules/index.json';
+export const MAX_WRITE_ATTEMPTS = 5;
+
+/**
+ * Thrown when a schedule object kept changing between read and write for
+ * `MAX_WRITE_ATTEMPTS` attempts. Handlers respond with its `status` (409).
+ */
+export class ScheduleConflictError extends Error {
+  constructor(key) {
+    super(`Schedule was modified concurrently, please retry (${key})`);
+    this.name = 'ScheduleConflictError';
+    this.status = 409;
+  }
+}
+
+/**
+ * R2 key of the schedule of one org/site
+ * @param {string} orgSiteKey - `<org>--<site>`
+ * @returns {string}
+ */
+export function siteScheduleKey(orgSiteKey) {
+  return `schedules/${orgSiteKey}.json`;
+}
+
+async function readJson(env, key) {
+  const object = await env.R2_BUCKET.get(key);
+  return object ? object.json() : null;
+}
+
+/**
+ * Read-modify-write of a JSON object in R2, guarded by its etag. An object
+ * that does not exist yet is only created if nobody else created it first.
+ * @param {Object} env - The environment object
+ * @param {string} key - The R2 key
+ * @param {Function} update - Receives the current value (null when missing)
+ * and returns the value to store, or `undefined` to leave the object as is
+ * @returns {Promise<*>} The stored value, or undefined when nothing was written
+ */
+export async function casUpdate(env, key, update) {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt += 1) {
+    const object = await env.R2_BUCKET.get(key);
+    const current = object ? await object.json() : null;
+    const next = await update(current);
+    if (next === undefined) return undefined;
+
+    const onlyIf = object ? { etagMatches: object.etag } : { etagDoesNotMatch: '*' };
+    const written = await env.R2_BUCKET.put(key, JSON.stringify(next, null, 2), { onlyIf });
+    // R2 resolves to null when the condition failed
+    if (written !== null) return next;
+    console.warn(`${key} changed while it was updated, retrying (attempt ${attempt})`);
+  }
+  throw new ScheduleConflictError(key);
+}
+
+// Read the org/site slice of the legacy schedule.json, if it still exists
+async function readLegacySiteSchedule(env, orgSiteKey) {
+  try {
+    const legacy = await readJson(env, LEGACY_SCHEDULE_KEY);
+    return legacy?.[orgSiteKey] || null;
+  } catch (err) {
+    console.warn('Could not read legacy schedule data:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Read the org/site keys listed in the schedule index
+ * @param {Object} env - The environment object
+ * @returns {Promise<Array<string>>}
+ */
+export async function listScheduledSites(env) {
+  return (await readJson(env, SCHEDULE_INDEX_KEY)) || [];
+}
+
+async function updateIndex(env, update) {
+  await casUpdate(env, SCHEDULE_INDEX_KEY, async (current) => {
+    const sites = new Set(current || []);
+    await update(sites);
+    const next = [...sites].sort();
+    // leave the index alone when it already lists the same sites
+    return JSON.stringify(next) === JSON.stringify(current) ? undefined : next;
+  });
+}
+
+/**
+ * Read the schedule of one org/site
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @returns {Promise<Object>} The entries by path, empty when nothing is scheduled
+ */
+export async function readSiteSchedule(env, org, site) {
+  const orgSiteKey = `${org}--${site}`;
+  const schedule = await readJson(env, siteScheduleKey(orgSiteKey));
+  if (schedule) return schedule;
+  return (await readLegacySiteSchedule(env, orgSiteKey)) || {};
+}
+
+/**
+ * Read, change and write the schedule of one org/site. Only that site's
+ * object is written; the index is only written when the site is missing from
+ * it while it has entries, or listed while it has none. Every write with
+ * entries checks the index, so a site whose earlier index update failed after
+ * its object was written is listed again. A site is only removed from the
+ * index while its object is still empty, as another worker may have added an
+ * entry (and the site to the index) in the meantime. The mutation is applied
+ * again to a fresh copy when the schedule was changed concurrently, so it must
+ * only depend on the schedule it receives.
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @param {Function} mutate - Changes the schedule in place; returning `false`
+ * leaves it unchanged and skips the write
+ * @returns {Promise<boolean>} Whether the schedule was written
+ * @throws {ScheduleConflictError} When the schedule kept changing concurrently
+ */
+export async function updateSiteSchedule(env, org, site, mutate) {
+  const orgSiteKey = `${org}--${site}`;
+  let wasEmpty;
+  const written = await casUpdate(env, siteScheduleKey(orgSiteKey), async (existing) => {
+    // Without a shard the legacy slice is the current state. An emptied shard
+    // is kept as `{}`, so the migration does not bring legacy entries back.
+    const schedule = existing || (await readLegacySiteSchedule(env, orgSiteKey)) || {};
+    wasEmpty = !existing || Object.keys(existing).length === 0;
+    if (await mutate(schedule) === false) return undefined;
+    return schedule;
+  });
+  if (written === undefined) return false;
+
+  const isEmpty = Object.keys(written).length === 0;
+  if (!isEmpty) {
+    await updateIndex(env, (sites) => sites.add(orgSiteKey));
+  } else if (!wasEmpty && isEmpty) {
+    // Re-read as part of the index update, so a concurrent add either sees
+    // this update or makes it retry
+    await updateIndex(env, async (sites) => {
+      const current = await readJson(env, siteScheduleKey(orgSiteKey));
+      if (!current || Object.keys(current).length === 0) sites.delete(orgSiteKey);
+    });
+  }
+  return true;
+}
+
+/**
+ * Whether the schedule of an org/site is owned by its schedule coordinator.
+ * `SCHEDULE_COORDINATOR_SITES` is a comma-separated list of `<org>--<site>`
+ * keys, or `*` for all sites.
+ * @param {Object} env - The environment object
+ * @param {string} orgSiteKey - `<org>--<site>`
+ * @returns {boolean}
+ */
+export function isCoordinatedSite(env, orgSiteKey) {
+  const sites = (env.SCHEDULE_COORDINATOR_SITES || '').split(',').map((key) => key.trim());
+  return sites.includes('*') || sites.includes(orgSiteKey);
+}
+
+async function sendToCoordinator(env, org, site, mutations) {
+  const orgSiteKey = `${org}--${site}`;
+  if (!env.SCHEDULE_COORDINATOR) {
+    // writing the R2 object directly would be overwritten by the coordinator
+    throw new Error(`No schedule coordinator bound for ${orgSiteKey}`);
+  }
+  const id = env.SCHEDULE_COORDINATOR.idFromName(orgSiteKey);
+  const response = await env.SCHEDULE_COORDINATOR.get(id).fetch('https://schedule-coordinator/mutations', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ org, site, mutations }),
+  });
+  if (response.status === 409) throw new ScheduleConflictError(siteScheduleKey(orgSiteKey));
+  if (!response.ok) {
+    throw new Error(`Schedule coordinator of ${orgSiteKey} failed with status ${response.status}`);
+  }
+  return (await response.json()).results;
+}
+
+/**
+ * Apply mutations (see schedule-mutations.js) to the schedule of one org/site,
+ * through its schedule coordinator when it has one, or to the R2 object
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @param {Array<Object>} mutations - `{ op, path, ...args }`
+ * @returns {Promise<Array<Object>>} The result of each mutation
+ * @throws {ScheduleConflictError} When the schedule kept changing concurrently
+ */
+export async function changeSiteSchedule(env, org, site, mutations) {
+  if (isCoordinatedSite(env, `${org}--${site}`)) {
+    return sendToCoordinator(env, org, site, mutations);
+  }
+  let results;
+  await updateSiteSchedule(env, org, site, (schedule) => {
+    const applied = applyMutations(schedule, mutations);
+    results = applied.results;
+    return applied.changed;
+  });
+  return results;
+}
+
+/**
+ * Move the legacy schedule.json into per-org/site shards. Sites that already
+ * have a shard keep it, since it was created from the legacy data and changed
+ * since. The legacy file is archived as `archive/schedule-<timestamp>.json`
+ * and removed, so the migration runs once.
+ * @param {Object} env - The environment object
+ * @returns {Promise<{migrated: number, skipped: number}|null>} null when there
+ * is nothing to migrate
+ */
+export async function migrateLegacySchedule(env) {
+  const legacy = await readJson(env, LEGACY_SCHEDULE_KEY);
+  if (!legacy) return null;
+
+  const scheduled = [];
+  let migrated = 0;
+  let skipped = 0;
+  for (const [orgSiteKey, schedule] of Object.entries(legacy)) {
+    // Only create missing shards; a shard written in the meantime wins
+    const key = siteScheduleKey(orgSiteKey);
+    let created = false;
+    const shard = await casUpdate(env, key, (current) => {
+      created = !current;
+      return current ? undefined : schedule;
+    }) ?? await readJson(env, key);
+    if (created) {
+      migrated += 1;
+    } else {
+      skipped += 1;
+    }
+    if (Object.keys(shard).length > 0) scheduled.push(orgSiteKey);
+  }
+  await updateIndex(env, (sites) => scheduled.forEach((orgSiteKey) => sites.add(orgSiteKey)));
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  await env.R2_BUCKET.put(`archive/schedule-${timestamp}.json`, JSON.stringify(legacy, null, 2));
+  await env.R2_BUCKET.delete(LEGACY_SCHEDULE_KEY);
+  console.log(`Migrated schedule.json: ${migrated} sites moved to shards, ${skipped} kept their shard`);
+  return { migrated, skipped };
+}
@@ -0,0 +1,46 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+
+/**
+ * Scheduled publishing can be paused per org/site, e.g. during an incident or
+ * a content freeze. The pause is stored in KV next to the API key as
+ * `{ pausedAt, reason? }`. The cron worker does not queue entries of a paused
+ * site and the publish worker holds the messages already in flight.
+ */
+
+/**
+ * KV key of the pause of an org/site
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @returns {string}
+ */
+export function pausedKey(org, site) {
+  return `${org}--${site}--paused`;
+}
+
+/**
+ * Read the pause of an org/site. A pause that cannot be read is treated as
+ * no pause, so publishing is not stopped by a KV outage.
+ * @param {Object} env - The environment object
+ * @param {string} org - The organization
+ * @param {string} site - The site
+ * @returns {Promise<{pausedAt: string, reason?: string}|null>}
+ */
+export async function getSitePause(env, org, site) {
+  try {
+    return await env.SCHEDULER_KV.get(pausedKey(org, site), { type: 'json' });
+  } catch (err) {
+    console.warn(`Could not read the pause of ${org}--${site}:`, err.message);
+    return null;
+  }
+}